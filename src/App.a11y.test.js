@@ -0,0 +1,169 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { axe, toHaveNoViolations } from 'jest-axe';
+import { routes } from './router';
+import App, { RestaurantCard, MenuItem, MenuItemModal, GourmetPicks, CartDrawer, SearchPanel } from './App';
+import { CurrencyProvider } from './price';
+
+expect.extend(toHaveNoViolations);
+
+const kaya = {
+  id: 'kayacafe', name: 'Kaya Cafe', specialty: 'Lake fish', location: 'Lilongwe',
+  hours: 'Daily 07:00-21:00', image: '', rating: 4.5,
+};
+const chambo = {
+  id: 'chambo-kaya', restaurantId: 'kayacafe', name: 'Chambo', category: 'Main Dishes',
+  description: 'Whole fried chambo', price: 'K7,500', image: '', tags: { diets: [], allergens: [], spicy: 0 },
+};
+const noReviews = { count: 0, average: 0 };
+
+test('RestaurantCard is one named button plus its favourite toggle', async () => {
+  const onSelect = jest.fn();
+  const { container } = render(
+    <RestaurantCard restaurant={kaya} rating={noReviews} selected favourite={false}
+      onToggleFavourite={() => {}} onSelect={onSelect} />
+  );
+  const card = screen.getByRole('button', { name: 'Kaya Cafe' });
+  expect(card).toHaveAttribute('aria-current', 'true');
+  userEvent.tab();
+  userEvent.tab();
+  expect(card).toHaveFocus();
+  userEvent.keyboard('{enter}');
+  expect(onSelect).toHaveBeenCalledTimes(1);
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('MenuItem labels its add button with the dish', async () => {
+  const onAdd = jest.fn();
+  const onSelect = jest.fn();
+  const { container } = render(<MenuItem item={chambo} onSelect={onSelect} onAdd={onAdd} />);
+  userEvent.click(screen.getByRole('button', { name: 'Add Chambo to order' }));
+  expect(onAdd).toHaveBeenCalled();
+  expect(onSelect).not.toHaveBeenCalled();
+  userEvent.click(screen.getByRole('button', { name: 'Chambo' }));
+  expect(onSelect).toHaveBeenCalled();
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+describe('MenuItemModal', () => {
+  let opener;
+  afterEach(() => opener.remove());
+
+  const renderModal = (onClose = jest.fn()) => {
+    opener = document.createElement('button');
+    opener.textContent = 'Chambo';
+    document.body.appendChild(opener);
+    opener.focus();
+    const utils = render(<MenuItemModal item={chambo} onClose={onClose} onOrder={() => {}} />);
+    return { ...utils, opener, onClose };
+  };
+
+  test('is a labelled modal dialog that starts on its close button', async () => {
+    const { baseElement } = renderModal();
+    const dialog = screen.getByRole('dialog', { name: 'Chambo' });
+    expect(dialog).toHaveAttribute('aria-modal', 'true');
+    expect(screen.getByRole('button', { name: 'Close' })).toHaveFocus();
+    expect(await axe(baseElement)).toHaveNoViolations();
+  });
+
+  test('keeps Tab inside, closes on Escape and gives focus back', () => {
+    const { unmount, opener, onClose } = renderModal();
+    const close = screen.getByRole('button', { name: 'Close' });
+    userEvent.tab({ shift: true });
+    expect(screen.getByRole('button', { name: 'Order Now' })).toHaveFocus();
+    userEvent.tab();
+    expect(close).toHaveFocus();
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(onClose).toHaveBeenCalled();
+    unmount();
+    expect(opener).toHaveFocus();
+  });
+});
+
+test('a pick that is not on a menu still offers Order Now', () => {
+  const pick = { id: 'promo-0', name: 'Friday Grill Night', description: '', price: '', image: '' };
+  const onViewMenu = jest.fn();
+  render(<MenuItemModal item={pick} onClose={() => {}} onViewMenu={onViewMenu} />);
+  userEvent.click(screen.getByRole('button', { name: 'Order Now' }));
+  expect(onViewMenu).toHaveBeenCalled();
+  expect(screen.queryByRole('group', { name: 'Quantity' })).not.toBeInTheDocument();
+});
+
+test('GourmetPicks is a labelled carousel; a targeted pick opens its restaurant', async () => {
+  const picks = [
+    { id: 'promo-0', name: 'Chambo week', description: '', promoText: '', image: '', priority: 2, targetRestaurantId: 'kayacafe' },
+    { id: 'promo-1', name: 'Usipa', description: '', promoText: 'New', image: '', priority: 1 },
+  ];
+  const onOpen = jest.fn();
+  const { container, unmount } = render(
+    <GourmetPicks picks={picks} restaurantById={new Map([['kayacafe', kaya]])} onOpen={onOpen} />
+  );
+  const slides = screen.getAllByRole('group');
+  expect(slides.map(s => s.getAttribute('aria-label'))).toEqual(['1 of 2', '2 of 2']);
+  expect(screen.getByRole('button', { name: 'Next pick' })).toBeEnabled();
+  userEvent.click(screen.getByRole('button', { name: /Chambo week/ }));
+  expect(onOpen).toHaveBeenCalledWith(picks[0], kaya);
+  expect(await axe(container)).toHaveNoViolations();
+  unmount();
+});
+
+test('CartDrawer is a dialog with labelled line controls', async () => {
+  const line = { key: 'chambo::', restaurantId: 'kayacafe', item: chambo, quantity: 2, notes: '' };
+  const cart = {
+    lines: [line], count: 2, groups: [{ restaurantId: 'kayacafe', lines: [line], total: 15000 }],
+    setQuantity: jest.fn(), remove: jest.fn(), clearRestaurant: jest.fn(),
+  };
+  const { baseElement } = render(<CartDrawer cart={cart} restaurants={[kaya]} onClose={() => {}} />);
+  expect(screen.getByRole('dialog', { name: 'Your Order' })).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Increase quantity' }));
+  expect(cart.setQuantity).toHaveBeenCalledWith('chambo::', 3);
+  userEvent.click(screen.getByRole('button', { name: 'Remove Chambo' }));
+  expect(cart.remove).toHaveBeenCalledWith('chambo::');
+  expect(await axe(baseElement)).toHaveNoViolations();
+});
+
+test('SearchPanel price limits are typed in the display currency', () => {
+  localStorage.setItem('domasi.currency.v1', 'USD');
+  const nsima = { ...chambo, id: 'nsima-kaya', name: 'Nsima', description: '', price: 'K3,500' };
+  const dietary = { prefs: { diets: [], avoid: [], maxSpicy: null }, toggle() {}, update() {}, reset() {}, active: false };
+  render(
+    <CurrencyProvider rates={{ MWK: 1, USD: 2000, ZAR: 100 }}>
+      <SearchPanel
+        restaurants={[kaya]} menuItems={{ kayacafe: [chambo, nsima] }}
+        query="" filters={{ category: '', location: '', minPrice: '', maxPrice: '3', minRating: '' }}
+        dietary={dietary} dishWarnings={() => null} hideUnsuitable={false} ratingFor={() => noReviews}
+        onQueryChange={() => {}} onFiltersChange={() => {}} onSelectItem={() => {}} onSelectRestaurant={() => {}}
+      />
+    </CurrencyProvider>
+  );
+  // K7,500 at K2,000 to the dollar
+  expect(screen.getByRole('spinbutton', { name: /^Max ≈ .*3\.75$/ })).toHaveValue(3);
+  // $3 is K6,000: Nsima (K3,500) makes it, Chambo (K7,500) doesn't
+  expect(screen.getByRole('heading', { name: 'Nsima' })).toBeInTheDocument();
+  expect(screen.queryByRole('heading', { name: 'Chambo' })).not.toBeInTheDocument();
+  localStorage.removeItem('domasi.currency.v1');
+});
+
+describe('mobile restaurant sidebar', () => {
+  beforeEach(() => { window.location.hash = routes.menus(); });
+  afterEach(() => { window.location.hash = ''; });
+
+  test('toggle is named, moves focus in and Escape hands it back', async () => {
+    const { container } = render(<App />);
+    const toggle = screen.getByRole('button', { name: 'Show restaurants' });
+    const sidebar = screen.getByRole('complementary', { name: 'Restaurants' });
+    expect(toggle).toHaveAttribute('aria-controls', sidebar.id);
+    expect(sidebar).toHaveClass('invisible');
+
+    toggle.focus();
+    fireEvent.click(toggle);
+    expect(toggle).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByRole('heading', { name: 'Restaurants' })).toHaveFocus();
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(toggle).toHaveAttribute('aria-expanded', 'false');
+    expect(toggle).toHaveFocus();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
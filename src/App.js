@@ -1,494 +1,1920 @@
-import React, { useState, useEffect, useCallback, memo } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo, useId, memo, lazy, Suspense } from 'react';
 import {
   Search, Home, UtensilsCrossed, Star, MapPin, Navigation, X, AlertCircle,
+  ShoppingCart, Plus, Minus, Trash2, WifiOff, RefreshCw, SearchX, ClipboardCheck, Clock,
+  Leaf, Sprout, Moon, WheatOff, Nut, Milk, Fish, Flame, Salad, ArrowUpDown, Map as MapIcon,
+  LocateFixed, Heart, History, MessageSquare, Languages, Banknote, ChevronLeft, ChevronRight,
 } from 'lucide-react';
+import { useCart, lineTotal, getOrderSink } from './cart';
+import { loadSnapshot, saveSnapshot, revalidateDelay, isUsableSnapshot, formatAge } from './dataCache';
+import { SW_UPDATE_EVENT, applyUpdate } from './serviceWorkerRegistration';
+import { useHashRoute, routes, navigate, goBack } from './router';
+import { buildSearchIndex, getFacets, searchMenu, highlight } from './search';
+import { getDriveImageUrl } from './driveImage';
+import SafeImage from './SafeImage';
+import { validateWorkbook, MENU_SCHEMA, GOURMET_PICKS_SCHEMA } from './sheetSchema';
+import { getDataSource, upgradeLegacyItemId } from './dataSources';
+import { parseHours, getOpenStatus, describeStatus, isOpenNow, useNow } from './openingHours';
+import {
+  DIET_TAGS, ALLERGEN_TAGS, MAX_SPICY, isTagged, tagLabel, checkDish, useDietaryPreferences,
+} from './dietary';
+import { groupByCategory, SORT_OPTIONS } from './menuSections';
+import { activePicks, pickOrderTarget } from './gourmetPicks';
+import { createPoller, mergeData, describeChanges } from './liveUpdates';
+import { useDialog, scrollBehavior } from './a11y';
+import {
+  TOWNS, formatDistance, distancesFrom, sortByDistance, useNearMe,
+} from './geo';
+import { useFavourites, useRecentlyViewed, liveIds } from './favourites';
+import {
+  getReviewStore, useReviewSummaries, sortReviews, REVIEW_SORTS, MAX_REVIEW_LENGTH,
+} from './reviews';
+import { LANGUAGES, intlLocale, useI18n } from './i18n';
+import { DISPLAY_CURRENCIES, priceOf, filterAmount, useCurrency } from './price';
+
+const RestaurantMap = lazy(() => import('./RestaurantMap'));
 
 // ─────────────────────────────────────────────────────────────────────────────
 // CONFIG
 // ─────────────────────────────────────────────────────────────────────────────
-const FALLBACK_IMG =
-  'https://images.unsplash.com/photo-1546069901-ba9599a7e63c?w=500&h=400&fit=crop';
-
 const DEBUG = process.env.NODE_ENV !== 'production';
 const log  = (...a) => DEBUG && console.log('[RestaurantApp]', ...a);
 const warn = (...a) => DEBUG && console.warn('[RestaurantApp]', ...a);
 const err  = (...a) => console.error('[RestaurantApp]', ...a);
 
-// ─────────────────────────────────────────────────────────────────────────────
-// GOOGLE DRIVE URL CONVERSION
-//
-// FIX: drive.google.com/uc?export=view redirects to a download/virus-scan
-// page — browsers refuse to render it in <img> tags.
-// The correct embeddable format is:
-//   https://lh3.googleusercontent.com/d/FILE_ID
-// which serves the raw bytes directly with proper CORS headers.
-// ─────────────────────────────────────────────────────────────────────────────
-export const getDriveImageUrl = (raw) => {
-  if (!raw) return FALLBACK_IMG;
-  const url = raw.toString().trim();
-
-  // Already a non-Drive URL → pass through
-  if (!url.includes('drive.google.com') && url.startsWith('http')) {
-    return url;
-  }
-
-  let fileId = null;
-
-  // Format A: /file/d/{ID}/...
-  const filePathMatch = url.match(/\/file\/d\/([-\w]{10,})/);
-  if (filePathMatch) fileId = filePathMatch[1];
-
-  // Format B/C: ?id={ID} or &id={ID}
-  if (!fileId) {
-    const queryMatch = url.match(/[?&]id=([-\w]{10,})/);
-    if (queryMatch) fileId = queryMatch[1];
-  }
-
-  // Format D: bare file ID (28-44 chars, no spaces/dots/slashes)
-  if (!fileId && /^[-\w]{28,44}$/.test(url)) fileId = url;
-
-  if (fileId) {
-    // FIX: use lh3.googleusercontent.com — the only Drive URL that browsers
-    // can load directly in <img> without being redirected to a download page.
-    const resolved = `https://lh3.googleusercontent.com/d/${fileId}`;
-    log('Drive ID', fileId, '→', resolved);
-    return resolved;
-  }
-
-  warn('Could not extract Drive file ID from:', url);
-  return FALLBACK_IMG;
+export { getDriveImageUrl };
+
+// `sizes` for each slot SafeImage fills, so srcset picks a sensible width
+const IMAGE_SIZES = {
+  card:   '(min-width: 1024px) 230px, (min-width: 768px) 33vw, 50vw',
+  tile:   '160px',
+  pick:   '(min-width: 1024px) 384px, (min-width: 768px) 50vw, 100vw',
+  dish:   '(min-width: 1024px) 280px, (min-width: 768px) 38vw, 100vw',
+  modal:  '(min-width: 480px) 448px, 100vw',
+  thumb:  '64px',
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
-// SafeImage
-// FIX: compute the URL once on mount/src-change via useMemo-style init,
-// not on every render. Also guard against infinite error loops.
+// Sub-components
+// FIX: defined OUTSIDE the parent component so React doesn't recreate them
+// on every render — the root cause of the repeated getGoogleDriveImageUrl
+// calls and flashing images when opening the menu modal.
 // ─────────────────────────────────────────────────────────────────────────────
-const SafeImage = memo(({ src, alt, className }) => {
-  // Resolve once; don't re-run getGoogleDriveImageUrl on every parent render
-  const [imgSrc, setImgSrc] = useState(() => getDriveImageUrl(src));
-  const [failed, setFailed]  = useState(false);
+const ErrorBanner = ({ message }) => (
+  <div className="flex items-center gap-2 bg-red-50 border border-red-200 text-red-700 text-sm px-4 py-2 rounded-lg mb-4">
+    <AlertCircle className="w-4 h-4 flex-shrink-0" /><span>{message}</span>
+  </div>
+);
+
+// Shown for deep links whose restaurant / dish id no longer exists in the sheet
+const NotFound = ({ title, message, actionLabel, onAction }) => (
+  <div className="flex flex-col items-center justify-center h-full py-16 px-6 text-center text-gray-500">
+    <SearchX className="w-16 h-16 mb-4 text-gray-300" />
+    <h2 className="text-xl font-semibold text-gray-700 mb-1">{title}</h2>
+    <p className="mb-6">{message}</p>
+    <button className="bg-red-600 text-white px-6 py-2 rounded-lg font-bold hover:bg-red-700" onClick={onAction}>
+      {actionLabel}
+    </button>
+  </div>
+);
+
+// Overlay + dialog box. Clicking the backdrop or pressing Escape closes it;
+// focus is trapped inside while open and handed back on close (see a11y.js).
+// Name it with labelledBy (id of its heading) or label.
+const Dialog = ({ labelledBy, label, onClose, className = '', overlayClassName = '', children }) => {
+  const ref = useRef(null);
+  useDialog(ref, { onClose });
+  return (
+    <div className={`fixed inset-0 bg-black bg-opacity-50 flex z-50 ${overlayClassName}`} onClick={onClose}>
+      <div
+        ref={ref} role="dialog" aria-modal="true" aria-labelledby={labelledBy} aria-label={label} tabIndex={-1}
+        className={`bg-white focus:outline-none ${className}`} onClick={e => e.stopPropagation()}
+      >
+        {children}
+      </div>
+    </div>
+  );
+};
+
+// Offline / last-updated pill for the cached sheet snapshot
+const SyncStatus = ({ lastUpdated, offline, syncing }) => {
+  const { t } = useI18n();
+  const now = useNow();   // keeps "5 min ago" counting
+  if (!lastUpdated && !offline) return null;
+  const age = lastUpdated ? formatAge(lastUpdated, now.getTime(), t) : null;
+  return offline ? (
+    <div className="inline-flex items-center gap-1 bg-amber-50 border border-amber-200 text-amber-700 text-xs px-3 py-1 rounded-full">
+      <WifiOff className="w-3 h-3" />
+      {age ? t('sync.offlineSince', { age }) : t('sync.offline')}
+    </div>
+  ) : (
+    <div className="inline-flex items-center gap-1 text-gray-400 text-xs">
+      <RefreshCw className={`w-3 h-3 ${syncing ? 'animate-spin' : ''}`} />
+      {syncing ? t('sync.updating') : t('sync.lastUpdated', { age })}
+    </div>
+  );
+};
+
+// Shown when a new build has been deployed and its service worker is waiting
+const UpdatePrompt = () => {
+  const { t } = useI18n();
+  const [registration, setRegistration] = useState(null);
 
   useEffect(() => {
-    setImgSrc(getDriveImageUrl(src));
-    setFailed(false);
-  }, [src]);
-
-  const handleError = useCallback(() => {
-    if (!failed) {
-      warn('Image failed to load:', imgSrc);
-      setFailed(true);
-      setImgSrc(FALLBACK_IMG);
-    }
-    // No more setImgSrc after fallback — prevents infinite onError loop
-  }, [failed, imgSrc]);
+    const onUpdate = (e) => setRegistration(e.detail);
+    window.addEventListener(SW_UPDATE_EVENT, onUpdate);
+    return () => window.removeEventListener(SW_UPDATE_EVENT, onUpdate);
+  }, []);
+
+  if (!registration) return null;
+  return (
+    <div className="fixed bottom-20 left-1/2 -translate-x-1/2 z-50 bg-gray-900 text-white text-sm px-4 py-3 rounded-lg shadow-lg flex items-center gap-4">
+      <span>{t('app.update')}</span>
+      <button className="font-bold text-red-400 hover:text-red-300" onClick={() => applyUpdate(registration)}>
+        {t('app.reload')}
+      </button>
+      <button className="text-gray-400 hover:text-white" onClick={() => setRegistration(null)} aria-label={t('common.close')}>
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+// "Prices updated at Kaya Cafe" after a background refresh changes something
+const TOAST_MS = 6000;
+
+const LiveUpdateToast = ({ update, onDismiss }) => {
+  const { t } = useI18n();
+  const message = update && describeChanges(update, t);
+
+  useEffect(() => {
+    if (!update) return undefined;
+    const timer = setTimeout(onDismiss, TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [update, onDismiss]);
 
+  // The live region stays mounted so screen readers announce what lands in it
   return (
-    <img
-      src={imgSrc || FALLBACK_IMG}
-      alt={alt}
-      className={className}
-      onError={handleError}
-    />
+    <div role="status" className="fixed top-4 left-1/2 -translate-x-1/2 z-50">
+      {message && (
+        <div className="bg-gray-900 text-white text-sm px-4 py-3 rounded-lg shadow-lg flex items-center gap-3">
+          <RefreshCw className="w-4 h-4 text-red-400" />
+          <span>{message}</span>
+          <button className="text-gray-400 hover:text-white" onClick={onDismiss} aria-label={t('common.close')}>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const LanguageSwitcher = ({ className = '' }) => {
+  const { t, lang, setLang } = useI18n();
+  return (
+    <label className={`inline-flex items-center gap-1 text-xs text-gray-500 ${className}`}>
+      <Languages className="w-4 h-4" />
+      <span className="sr-only">{t('app.language')}</span>
+      <select
+        className="border border-gray-300 rounded-lg px-2 py-1 bg-white text-gray-700"
+        value={lang} onChange={e => setLang(e.target.value)}
+      >
+        {LANGUAGES.map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
+      </select>
+    </label>
+  );
+};
+
+const CurrencySwitcher = ({ className = '' }) => {
+  const { t } = useI18n();
+  const { currency, setCurrency } = useCurrency();
+  return (
+    <label className={`inline-flex items-center gap-1 text-xs text-gray-500 ${className}`}>
+      <Banknote className="w-4 h-4" />
+      <span className="sr-only">{t('price.currency')}</span>
+      <select
+        className="border border-gray-300 rounded-lg px-2 py-1 bg-white text-gray-700"
+        value={currency} onChange={e => setCurrency(e.target.value)}
+      >
+        {DISPLAY_CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
+      </select>
+    </label>
+  );
+};
+
+// An item's price in the diner's currency; converted prices keep the
+// menu's own text in the tooltip
+const Price = ({ item, className = '' }) => {
+  const { currency, itemPrice } = useCurrency();
+  const converted = priceOf(item) && priceOf(item).currency !== currency;
+  return <span className={className} title={converted ? item.price : undefined}>{itemPrice(item)}</span>;
+};
+
+// "Open now · Closes at 21:00" — ticks on its own so parents don't re-render
+const OpenBadge = memo(({ hours, className = '' }) => {
+  const { t }  = useI18n();
+  const now    = useNow();
+  const status = useMemo(() => getOpenStatus(parseHours(hours), now), [hours, now]);
+  const text   = describeStatus(status, t);
+  if (!text) return null;
+  return (
+    <span className={`inline-flex items-center gap-1 text-xs font-medium px-2 py-0.5 rounded-full max-w-full ${
+      status.isOpen ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+    } ${className}`}>
+      <Clock className="w-3 h-3 flex-shrink-0" /><span className="truncate">{text}</span>
+    </span>
   );
 });
 
-// ─────────────────────────────────────────────────────────────────────────────
-// Google Sheets Service
-// ─────────────────────────────────────────────────────────────────────────────
-class GoogleSheetsService {
-  constructor(apiKey, sheetId) {
-    if (!apiKey) warn('Missing REACT_APP_GOOGLE_SHEETS_API_KEY');
-    if (!sheetId) warn('Missing REACT_APP_GOOGLE_SHEETS_ID');
-    this.apiKey   = apiKey;
-    this.sheetId  = sheetId;
-    this.baseUrl  = `https://sheets.googleapis.com/v4/spreadsheets/${sheetId}`;
-  }
-
-  async _fetch(range) {
-    const url = `${this.baseUrl}/values/${encodeURIComponent(range)}?key=${this.apiKey}`;
-    const res = await fetch(url);
-    if (!res.ok) {
-      const body = await res.text();
-      err(`Sheet fetch failed [${range}]:`, res.status, body);
-      return [];
-    }
-    const data = await res.json();
-    return data.values || [];
-  }
+const OpenNowToggle = ({ value, onChange }) => {
+  const { t } = useI18n();
+  return (
+    <button
+      className={`inline-flex items-center gap-1 text-xs font-medium px-3 py-1 rounded-full border ${
+        value ? 'bg-green-600 border-green-600 text-white' : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'
+      }`}
+      onClick={() => onChange(!value)}
+      aria-pressed={value}
+    >
+      <Clock className="w-3 h-3" /> {t('filters.openNow')}
+    </button>
+  );
+};
 
-  async getSheetData(range = 'Sheet1!A:M') {
-    try {
-      const rows = await this._fetch(range);
-      log('Sheet rows received:', rows.length);
-      return rows;
-    } catch (e) { err('getSheetData:', e); return []; }
-  }
+// Sorts by distance from the device, or from a chosen town when the
+// browser can't or won't say where it is
+const NearMeToggle = ({ nearMe }) => {
+  const { t } = useI18n();
+  const { status, town, enable, disable, chooseTown } = nearMe;
+  const on = status === 'on';
+  const failed = status === 'denied' || status === 'unavailable';
 
-  async getGourmetPicks(range = 'GourmetPicks!A:F') {
-    try {
-      const rows = await this._fetch(range);
-      if (rows.length < 2) { warn('GourmetPicks: empty'); return []; }
-      const [, ...data] = rows;
-      return data.slice(0, 3).map((row, i) => ({
-        id:          `promo-${i}`,
-        name:        row[0] || '',
-        description: row[1] || '',
-        promoText:   row[2] || '',
-        image:       getDriveImageUrl(row[3]?.trim()),
-        price:       row[4] || '',
-        mapsUrl:     row[5] || '',
-      }));
-    } catch (e) { err('getGourmetPicks:', e); return []; }
-  }
-
-  parseSheetData(sheetData) {
-    if (!sheetData || sheetData.length < 2) {
-      warn('parseSheetData: no data'); return { restaurants: [], menuItems: {} };
-    }
-    const [, ...rows] = sheetData;
-    const restaurants = new Map();
-    const menuItems   = {};
-    let   skipped     = 0;
-
-    rows.forEach((row, idx) => {
-      if (row.length < 7) { skipped++; return; }
-      const [rName, itemName, price, cat, desc, img, , loc, spec, rate, rImg, maps, isTop] = row;
-      if (!rName) { skipped++; return; }
-
-      if (!restaurants.has(rName)) {
-        const rId = rName.toLowerCase().replace(/[^a-z0-9]/g, '');
-        restaurants.set(rName, {
-          id:       rId,
-          name:     rName,
-          location: loc  || 'Malawi',
-          specialty:spec  || 'Malawian Cuisine',
-          rating:   parseFloat(rate) || 4.5,
-          image:    getDriveImageUrl(rImg?.trim()),
-          mapsUrl:  maps || '',
-          isTop:    isTop === 'TRUE',
-        });
-        menuItems[rId] = [];
-      }
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <button
+        className={`inline-flex items-center gap-1 text-xs font-medium px-3 py-1 rounded-full border ${
+          on ? 'bg-green-600 border-green-600 text-white' : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'
+        }`}
+        onClick={status === 'off' ? enable : disable}
+        aria-pressed={on}
+      >
+        <LocateFixed className="w-3 h-3" />
+        {status === 'locating' ? t('nearMe.locating') : town ? t('nearMe.nearTown', { town: town.name }) : t('nearMe.toggle')}
+      </button>
+      {(failed || town) && (
+        <label className="flex items-center gap-1 text-xs text-gray-500">
+          {failed && `${t(status === 'denied' ? 'nearMe.blocked' : 'nearMe.unavailable')} `}
+          <select
+            className="border border-gray-300 rounded-lg px-2 py-1 bg-white text-gray-700"
+            value={town?.id || ''}
+            onChange={e => chooseTown(e.target.value)}
+          >
+            <option value="" disabled>{t('nearMe.chooseTown')}</option>
+            {TOWNS.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+};
 
-      const rId = restaurants.get(rName).id;
-      menuItems[rId].push({
-        id:          `${itemName}-${rId}-${idx}`,
-        name:        itemName || 'Unnamed Item',
-        price:       price    || '',
-        category:    cat      || 'Main Dishes',
-        description: desc     || '',
-        image:       getDriveImageUrl(img?.trim()),
-        mapsUrl:     maps     || '',
-      });
+// "★ 4.3 (12)" from review summaries, not the sheet's Rating column
+const RatingSummary = ({ summary, className = '' }) => {
+  const { t } = useI18n();
+  return (
+    <span className={`inline-flex items-center ${className}`}>
+      <Star className={`w-3 h-3 mr-1 ${summary.count ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}`} />
+      {summary.count
+        ? <><span className="font-medium">{summary.average.toFixed(1)}</span><span className="text-gray-500 ml-1">({summary.count})</span></>
+        : <span className="text-gray-400">{t('reviews.none')}</span>}
+    </span>
+  );
+};
+
+const StarInput = ({ value, onChange }) => {
+  const { t } = useI18n();
+  return (
+    <div role="radiogroup" aria-label={t('reviews.yourRating')} className="flex gap-1">
+      {[1, 2, 3, 4, 5].map(n => (
+        <button
+          key={n} type="button" role="radio" aria-checked={value === n}
+          aria-label={t('reviews.stars', { count: n })}
+          onClick={() => onChange(n)}
+        >
+          <Star className={`w-6 h-6 ${n <= value ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}`} />
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// '' for an undated review rather than "Invalid Date"
+const formatReviewDate = (iso, lang) => {
+  const date = new Date(iso || NaN);
+  return Number.isNaN(date.getTime())
+    ? '' : date.toLocaleDateString(intlLocale(lang), { day: 'numeric', month: 'short', year: 'numeric' });
+};
+
+// Review form + list for one restaurant or dish. Loads on mount — key it by target.
+const ReviewsPanel = ({ store, targetType, targetId, restaurantId, onAdded }) => {
+  const { t, lang } = useI18n();
+  const [reviews, setReviews] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [sort, setSort] = useState('newest');
+  const [draft, setDraft] = useState({ rating: 0, text: '', author: '' });
+  const [status, setStatus] = useState({ sending: false, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    store.list(targetType, targetId).then(res => {
+      if (cancelled) return;
+      if (res.ok) setReviews(res.reviews);
+      else setLoadError(res.error);
     });
+    return () => { cancelled = true; };
+  }, [store, targetType, targetId]);
 
-    if (skipped) warn(`Skipped ${skipped} rows`);
-    log(`Parsed: ${restaurants.size} restaurants`);
-    return { restaurants: Array.from(restaurants.values()), menuItems };
-  }
-}
+  const submit = async (e) => {
+    e.preventDefault();
+    setStatus({ sending: true, error: null });
+    const res = await store.add({ targetType, targetId, restaurantId, ...draft });
+    if (!res.ok) { setStatus({ sending: false, error: res.error }); return; }
+    setReviews(r => [...(r || []), res.review]);
+    setDraft({ rating: 0, text: '', author: '' });
+    setStatus({ sending: false, error: null });
+    onAdded(res.review);
+  };
 
-// ─────────────────────────────────────────────────────────────────────────────
-// Sub-components
-// FIX: defined OUTSIDE the parent component so React doesn't recreate them
-// on every render — the root cause of the repeated getGoogleDriveImageUrl
-// calls and flashing images when opening the menu modal.
-// ─────────────────────────────────────────────────────────────────────────────
-const ErrorBanner = ({ message }) => (
-  <div className="flex items-center gap-2 bg-red-50 border border-red-200 text-red-700 text-sm px-4 py-2 rounded-lg mb-4">
-    <AlertCircle className="w-4 h-4 flex-shrink-0" /><span>{message}</span>
-  </div>
+  const sorted = useMemo(() => sortReviews(reviews || [], sort), [reviews, sort]);
+
+  return (
+    <div className="space-y-4 text-sm">
+      <form onSubmit={submit} className="space-y-2">
+        <StarInput value={draft.rating} onChange={rating => setDraft(d => ({ ...d, rating }))} />
+        <textarea
+          rows={2} maxLength={MAX_REVIEW_LENGTH} placeholder={t('reviews.textPlaceholder')} aria-label={t('reviews.textPlaceholder')}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2"
+          value={draft.text} onChange={e => setDraft(d => ({ ...d, text: e.target.value }))}
+        />
+        <div className="flex gap-2">
+          <input
+            type="text" placeholder={t('reviews.namePlaceholder')} aria-label={t('reviews.namePlaceholder')} maxLength={60}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2"
+            value={draft.author} onChange={e => setDraft(d => ({ ...d, author: e.target.value }))}
+          />
+          <button
+            type="submit" disabled={!draft.rating || status.sending}
+            className="bg-red-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-red-700 disabled:opacity-50"
+          >
+            {status.sending ? t('reviews.posting') : t('reviews.post')}
+          </button>
+        </div>
+        {status.error && <p className="text-red-600">{status.error}</p>}
+      </form>
+
+      {loadError ? (
+        <p className="text-red-600">{loadError}</p>
+      ) : reviews === null ? (
+        <p className="text-gray-400">{t('reviews.loading')}</p>
+      ) : reviews.length === 0 ? (
+        <p className="text-gray-400">{t('reviews.empty')}</p>
+      ) : (
+        <div>
+          <label className="flex items-center justify-end gap-1 text-gray-600 mb-2">
+            <ArrowUpDown className="w-4 h-4" />
+            <span className="sr-only">{t('reviews.sort')}</span>
+            <select className="border border-gray-300 rounded-lg px-2 py-1 bg-white" value={sort} onChange={e => setSort(e.target.value)}>
+              {REVIEW_SORTS.map(o => <option key={o.id} value={o.id}>{t(`reviewSort.${o.id}`)}</option>)}
+            </select>
+          </label>
+          <ul className="divide-y">
+            {sorted.map(r => (
+              <li key={r.id} className="py-2">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="flex" aria-label={t('reviews.outOf', { count: r.rating })}>
+                    {[1, 2, 3, 4, 5].map(n => (
+                      <Star key={n} className={`w-3 h-3 ${n <= r.rating ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}`} />
+                    ))}
+                  </span>
+                  <span className="text-xs text-gray-400">{[r.author || t('reviews.anonymous'), formatReviewDate(r.createdAt, lang)].filter(Boolean).join(' · ')}</span>
+                </div>
+                {r.text && <p className="text-gray-700 mt-1">{r.text}</p>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const HeartButton = ({ active, label, onToggle, className = '' }) => {
+  const { t } = useI18n();
+  return (
+    <button
+      className={`bg-white/90 rounded-full p-1 shadow-md hover:bg-white ${className}`}
+      onClick={e => { e.stopPropagation(); onToggle(); }}
+      aria-pressed={active}
+      aria-label={t(active ? 'favourites.removeNamed' : 'favourites.addNamed', { name: label })}
+      title={t(active ? 'favourites.remove' : 'favourites.add')}
+    >
+      <Heart className={`w-4 h-4 ${active ? 'fill-red-600 text-red-600' : 'text-gray-500'}`} />
+    </button>
+  );
+};
+
+// The card's title button; its ::after stretches over the whole card so the
+// card is one click/tap target, while screen readers and Tab see a single
+// named button. Other controls on the card need z-10 to sit above it.
+const CardButton = ({ onClick, current, children }) => (
+  <button
+    className="text-left max-w-full truncate focus:outline-none after:absolute after:inset-0 after:content-['']"
+    onClick={onClick} aria-current={current ? 'true' : undefined}
+  >
+    {children}
+  </button>
 );
 
-const RestaurantCard = memo(({ restaurant, selected, onSelect }) => (
-  <div
-    className={`bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow cursor-pointer border ${
-      selected ? 'ring-2 ring-red-500' : ''
-    }`}
+const RestaurantCard = memo(({ restaurant, rating, selected, distanceKm, favourite, onToggleFavourite, onSelect }) => {
+  const { t } = useI18n();
+  return (
+    <div
+      className={`relative bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow cursor-pointer border focus-within:ring-2 focus-within:ring-red-300 ${
+        selected ? 'ring-2 ring-red-500' : ''
+      }`}
+    >
+      <SafeImage src={restaurant.image} alt="" sizes={IMAGE_SIZES.card} className="w-full h-24 object-cover rounded-t-lg" />
+      {onToggleFavourite && (
+        <HeartButton active={favourite} label={restaurant.name} onToggle={onToggleFavourite} className="absolute top-2 right-2 z-10" />
+      )}
+      <div className="p-3">
+        <h3 className="font-semibold text-sm truncate">
+          <CardButton onClick={onSelect} current={selected}>{restaurant.name}</CardButton>
+        </h3>
+        <p className="text-xs text-gray-600">{restaurant.specialty}</p>
+        <OpenBadge hours={restaurant.hours} className="mt-2" />
+        {distanceKm !== undefined && (
+          <p className="text-xs text-gray-500 mt-1">{t('nearMe.away', { distance: formatDistance(distanceKm) })}</p>
+        )}
+        <div className="flex items-center justify-between mt-2 text-xs">
+          <RatingSummary summary={rating} />
+          <div className="flex items-center text-gray-500">
+            <MapPin className="w-3 h-3 mr-1" /><span className="truncate">{restaurant.location}</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+// Compact tile for the home page's "Recently viewed" row
+const RecentTile = ({ image, title, subtitle, onSelect }) => (
+  <button
+    className="flex-shrink-0 w-40 bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow border text-left"
     onClick={onSelect}
   >
-    <SafeImage src={restaurant.image} alt={restaurant.name} className="w-full h-24 object-cover rounded-t-lg" />
-    <div className="p-3">
-      <h3 className="font-semibold text-sm truncate">{restaurant.name}</h3>
-      <p className="text-xs text-gray-600">{restaurant.specialty}</p>
-      <div className="flex items-center justify-between mt-2 text-xs">
-        <div className="flex items-center">
-          <Star className="w-3 h-3 text-yellow-400 mr-1" /><span>{restaurant.rating}</span>
+    <SafeImage src={image} alt={title} sizes={IMAGE_SIZES.tile} className="w-full h-20 object-cover rounded-t-lg" />
+    <div className="p-2">
+      <p className="font-semibold text-sm truncate">{title}</p>
+      <p className="text-xs text-gray-500 truncate">{subtitle}</p>
+    </div>
+  </button>
+);
+
+// Home page promos. Native scroll-snap does the swiping; the arrows and dots
+// are for mouse and keyboard. Only today's picks show — see gourmetPicks.js.
+const GourmetPicks = ({ picks, restaurantById, onOpen }) => {
+  const { t, localized } = useI18n();
+  const now = useNow();
+  const trackRef = useRef(null);
+  const [current, setCurrent] = useState(0);
+  const titleId = useId();
+  const active = useMemo(() => activePicks(picks, now), [picks, now]);
+
+  const scrollTo = (i) => {
+    const slide = trackRef.current?.children[i];
+    if (slide) trackRef.current.scrollTo({ left: slide.offsetLeft, behavior: scrollBehavior() });
+  };
+  // Nearest slide to the left edge, so the dots follow a swipe
+  const onScroll = () => {
+    const track = trackRef.current;
+    const offsets = Array.from(track.children, el => Math.abs(el.offsetLeft - track.scrollLeft));
+    setCurrent(offsets.indexOf(Math.min(...offsets)));
+  };
+
+  if (!active.length) return null;
+  const arrow = 'absolute top-1/2 -translate-y-1/2 z-10 bg-white/90 text-gray-700 rounded-full p-1 shadow-md hover:bg-white disabled:opacity-0';
+  return (
+    <section className="mb-8" aria-roledescription="carousel" aria-labelledby={titleId}>
+      <h2 id={titleId} className="text-2xl font-semibold mb-4 flex items-center">
+        <UtensilsCrossed className="w-6 h-6 mr-2 text-red-600" /> {t('home.picks')}
+      </h2>
+      <div className="relative">
+        <div ref={trackRef} onScroll={onScroll} className="relative flex overflow-x-auto snap-x snap-mandatory -mx-3 pb-2">
+          {active.map((dish, i) => {
+            const target = restaurantById.get(dish.targetRestaurantId);
+            return (
+              <div
+                key={dish.id} className="snap-start flex-shrink-0 w-full md:w-1/2 lg:w-1/3 px-3"
+                role="group" aria-roledescription="slide" aria-label={t('home.pickSlide', { number: i + 1, total: active.length })}
+              >
+                <button
+                  className="w-full h-full text-left bg-gradient-to-br from-red-500 to-orange-500 rounded-lg overflow-hidden shadow-lg text-white"
+                  onClick={() => onOpen(dish, target)}
+                >
+                  <SafeImage src={dish.image} alt="" sizes={IMAGE_SIZES.pick} className="w-full h-32 object-cover opacity-80" />
+                  <div className="p-4">
+                    <h3 className="font-bold text-lg mb-2">
+                      {localized(dish, 'name')}{' '}
+                      {dish.promoText && (
+                        <span className="text-xs bg-white/20 px-2 py-1 rounded ml-2">{localized(dish, 'promoText')}</span>
+                      )}
+                    </h3>
+                    <p className="text-sm opacity-90">{localized(dish, 'description')}</p>
+                    {target && (
+                      <p className="text-sm font-semibold mt-2 flex items-center">
+                        {t('home.pickMenu', { restaurant: target.name })} <ChevronRight className="w-4 h-4" />
+                      </p>
+                    )}
+                  </div>
+                </button>
+              </div>
+            );
+          })}
         </div>
-        <div className="flex items-center text-gray-500">
-          <MapPin className="w-3 h-3 mr-1" /><span className="truncate">{restaurant.location}</span>
+        {active.length > 1 && (
+          <>
+            <button className={`${arrow} left-1`} disabled={current === 0}
+              aria-label={t('home.picksPrevious')} onClick={() => scrollTo(current - 1)}>
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+            <button className={`${arrow} right-1`} disabled={current === active.length - 1}
+              aria-label={t('home.picksNext')} onClick={() => scrollTo(current + 1)}>
+              <ChevronRight className="w-5 h-5" />
+            </button>
+            <div className="flex justify-center gap-2 mt-2">
+              {active.map((dish, i) => (
+                <button
+                  key={dish.id}
+                  className={`w-2 h-2 rounded-full ${i === current ? 'bg-red-600' : 'bg-gray-300'}`}
+                  aria-label={t('home.picksGoTo', { number: i + 1 })} aria-current={i === current}
+                  onClick={() => scrollTo(i)}
+                />
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+const DIET_ICONS = {
+  vegetarian: Leaf, vegan: Sprout, halal: Moon, glutenFree: WheatOff,
+  nuts: Nut, dairy: Milk, fish: Fish,
+};
+
+// Diet tags in green, "contains" allergens in amber, one flame per spice level
+const DietaryIcons = ({ tags, showLabels = false, className = '' }) => {
+  const { t } = useI18n();
+  if (!isTagged(tags)) return null;
+  const chip = 'inline-flex items-center gap-1 text-xs rounded-full px-1.5 py-0.5';
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {tags.diets.map(id => {
+        const Icon = DIET_ICONS[id];
+        const label = tagLabel(id, t);
+        return (
+          <span key={id} title={label} aria-label={label} className={`${chip} bg-green-50 text-green-700`}>
+            <Icon className="w-3 h-3" />{showLabels && label}
+          </span>
+        );
+      })}
+      {tags.allergens.map(id => {
+        const Icon = DIET_ICONS[id];
+        const label = t('diet.contains', { allergen: tagLabel(id, t).toLowerCase() });
+        return (
+          <span key={id} title={label} aria-label={label} className={`${chip} bg-amber-50 text-amber-700`}>
+            <Icon className="w-3 h-3" />{showLabels && label}
+          </span>
+        );
+      })}
+      {tags.spicy > 0 && (
+        <span title={`${t('diet.spicy')} ${tags.spicy}/${MAX_SPICY}`} aria-label={t('diet.spicyLevel', { level: tags.spicy, max: MAX_SPICY })} className={`${chip} bg-red-50 text-red-600`}>
+          {Array.from({ length: tags.spicy }, (_, i) => <Flame key={i} className="w-3 h-3" />)}
+          {showLabels && t('diet.spicy')}
+        </span>
+      )}
+    </div>
+  );
+};
+
+const DietaryWarning = ({ reasons, className = '' }) => reasons ? (
+  <p className={`flex items-center gap-1 text-xs font-medium text-red-600 ${className}`}>
+    <AlertCircle className="w-3 h-3 flex-shrink-0" />{reasons.join(' · ')}
+  </p>
+) : null;
+
+// Persistent "I eat / avoid / spice" preferences — applied to every menu
+const DietaryFilter = ({ dietary }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const { prefs, toggle, update, reset, active } = dietary;
+  const count = prefs.diets.length + prefs.avoid.length + (prefs.maxSpicy !== null ? 1 : 0);
+  const box = (list, tag) => (
+    <label key={tag.id} className="flex items-center gap-2">
+      <input type="checkbox" checked={prefs[list].includes(tag.id)} onChange={() => toggle(list, tag.id)} />
+      {tagLabel(tag.id, t)}
+    </label>
+  );
+
+  return (
+    <div>
+      <button
+        className={`inline-flex items-center gap-1 text-xs font-medium px-3 py-1 rounded-full border ${
+          active ? 'bg-green-600 border-green-600 text-white' : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'
+        }`}
+        onClick={() => setOpen(o => !o)}
+        aria-expanded={open}
+      >
+        <Salad className="w-3 h-3" /> {t('diet.filter')}{active && ` (${count})`}
+      </button>
+      {open && (
+        <div className="mt-2 p-3 border rounded-lg bg-white shadow-sm text-sm space-y-3">
+          <fieldset>
+            <legend className="font-medium text-gray-700 mb-1">{t('diet.onlyEat')}</legend>
+            <div className="grid grid-cols-2 gap-1">{DIET_TAGS.map(tag => box('diets', tag))}</div>
+          </fieldset>
+          <fieldset>
+            <legend className="font-medium text-gray-700 mb-1">{t('diet.avoid')}</legend>
+            <div className="grid grid-cols-2 gap-1">{ALLERGEN_TAGS.map(tag => box('avoid', tag))}</div>
+          </fieldset>
+          <label className="flex items-center justify-between gap-2">
+            <span className="font-medium text-gray-700">{t('diet.spice')}</span>
+            <select
+              className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+              value={prefs.maxSpicy ?? ''}
+              onChange={e => update({ maxSpicy: e.target.value === '' ? null : +e.target.value })}
+            >
+              <option value="">{t('diet.spiceAny')}</option>
+              <option value="0">{t('diet.spice0')}</option>
+              <option value="1">{t('diet.spice1')}</option>
+              <option value="2">{t('diet.spice2')}</option>
+            </select>
+          </label>
+          <fieldset className="flex items-center justify-between gap-2">
+            <legend className="sr-only">{t('diet.unsuitable')}</legend>
+            <span className="font-medium text-gray-700">{t('diet.otherDishes')}</span>
+            <div className="flex gap-3">
+              {['flag', 'hide'].map(mode => (
+                <label key={mode} className="flex items-center gap-1">
+                  <input type="radio" name="dietary-mode" checked={prefs.mode === mode} onChange={() => update({ mode })} />
+                  {t(`diet.mode.${mode}`)}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+          {active && <button className="text-red-600 font-medium" onClick={reset}>{t('diet.clear')}</button>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const MenuItem = memo(({ item, warnings, favourite, onToggleFavourite, onSelect, onAdd }) => {
+  const { t, localized } = useI18n();
+  const name = localized(item, 'name');
+  return (
+    <div
+      className={`relative bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow cursor-pointer p-4 border focus-within:ring-2 focus-within:ring-red-300 ${warnings ? 'opacity-70' : ''}`}
+    >
+      <SafeImage src={item.image} alt="" sizes={IMAGE_SIZES.dish} className="w-full h-32 object-cover rounded-lg mb-3" />
+      {onToggleFavourite && (
+        <HeartButton active={favourite} label={name} onToggle={onToggleFavourite} className="absolute top-6 right-6 z-10" />
+      )}
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="font-semibold text-gray-800"><CardButton onClick={onSelect}>{name}</CardButton></h3>
+          <p className="text-sm text-gray-600">{item.category}</p>
+          <DietaryIcons tags={item.tags} className="mt-1" />
+          <DietaryWarning reasons={warnings} className="mt-1" />
+        </div>
+        <div className="flex flex-col items-end gap-2">
+          <Price item={item} className="font-bold text-green-600" />
+          {onAdd && (
+            <button
+              className="relative z-10 bg-red-600 text-white rounded-full p-1 hover:bg-red-700"
+              onClick={e => { e.stopPropagation(); onAdd(); }}
+              aria-label={t('dish.addToOrder', { name })}
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          )}
         </div>
       </div>
     </div>
-  </div>
-));
+  );
+});
 
-const MenuItem = memo(({ item, onSelect }) => (
-  <div
-    className="bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow cursor-pointer p-4 border"
-    onClick={onSelect}
-  >
-    <SafeImage src={item.image} alt={item.name} className="w-full h-32 object-cover rounded-lg mb-3" />
-    <div className="flex justify-between items-start">
-      <div>
-        <h3 className="font-semibold text-gray-800">{item.name}</h3>
-        <p className="text-sm text-gray-600">{item.category}</p>
+// Category sections with a sticky chip bar. The chip for the section at the
+// top of the scroll area lights up; tapping a chip scrolls to its section.
+const MenuSections = ({ items, footer, renderItem }) => {
+  const { t, localized } = useI18n();
+  const [sort, setSort]         = useState('menu');
+  const [activeId, setActiveId] = useState(null);
+  const scrollRef = useRef(null);
+  const barRef    = useRef(null);
+  const chipRefs  = useRef({});
+
+  // Name sort follows the names on screen; the items stay as the sheet has them
+  const sections = useMemo(
+    () => groupByCategory(items, { sort, nameOf: item => localized(item, 'name') }), [items, sort, localized]);
+  const current  = sections.some(s => s.id === activeId) ? activeId : sections[0]?.id;
+
+  const spy = useCallback(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    const top = el.scrollTop + (barRef.current?.offsetHeight || 0) + 8;
+    const atBottom = el.scrollTop + el.clientHeight >= el.scrollHeight - 2;
+    let id = sections[0]?.id;
+    sections.forEach(s => {
+      const section = document.getElementById(`menu-section-${s.id}`);
+      if (section && (atBottom || section.offsetTop <= top)) id = s.id;
+    });
+    setActiveId(id);
+  }, [sections]);
+
+  useEffect(() => {
+    chipRefs.current[current]?.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+  }, [current]);
+
+  const jumpTo = (id) => {
+    const el = scrollRef.current;
+    const section = document.getElementById(`menu-section-${id}`);
+    if (!el || !section) return;
+    el.scrollTo({ top: section.offsetTop - (barRef.current?.offsetHeight || 0), behavior: scrollBehavior() });
+    setActiveId(id);
+  };
+
+  return (
+    <div ref={scrollRef} onScroll={spy} className="flex-1 overflow-y-auto relative">
+      <div ref={barRef} className="sticky top-0 z-10 bg-white/95 backdrop-blur border-b px-6 py-3 flex items-center gap-3">
+        <nav className="flex-1 flex gap-2 overflow-x-auto" aria-label={t('menu.categories')}>
+          {sections.map(s => (
+            <button
+              key={s.id}
+              ref={el => { chipRefs.current[s.id] = el; }}
+              onClick={() => jumpTo(s.id)}
+              aria-current={s.id === current ? 'true' : undefined}
+              className={`whitespace-nowrap text-sm px-3 py-1 rounded-full border ${
+                s.id === current ? 'bg-red-600 border-red-600 text-white' : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {s.category} <span className="opacity-70">{s.items.length}</span>
+            </button>
+          ))}
+        </nav>
+        <label className="flex items-center gap-1 text-sm text-gray-600 flex-shrink-0">
+          <ArrowUpDown className="w-4 h-4" />
+          <span className="sr-only">{t('menu.sort')}</span>
+          <select className="border border-gray-300 rounded-lg px-2 py-1 bg-white" value={sort} onChange={e => setSort(e.target.value)}>
+            {SORT_OPTIONS.map(o => <option key={o.id} value={o.id}>{t(`sort.${o.id}`)}</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="p-6 space-y-8">
+        {sections.map(s => (
+          <section key={s.id} id={`menu-section-${s.id}`} aria-labelledby={`menu-heading-${s.id}`}>
+            <h2 id={`menu-heading-${s.id}`} className="text-lg font-semibold text-gray-800 mb-3">{s.category}</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {s.items.map(renderItem)}
+            </div>
+          </section>
+        ))}
+        {footer}
       </div>
-      <span className="font-bold text-green-600">{item.price}</span>
     </div>
-  </div>
-));
+  );
+};
+
+const QuantityStepper = ({ value, onChange }) => {
+  const { t } = useI18n();
+  return (
+    <div className="flex items-center border rounded-lg" role="group" aria-label={t('cart.quantity')}>
+      <button className="p-2 hover:bg-gray-100" onClick={() => onChange(value - 1)} aria-label={t('cart.decrease')}>
+        <Minus className="w-4 h-4" />
+      </button>
+      <span className="w-8 text-center font-medium" aria-live="polite">{value}</span>
+      <button className="p-2 hover:bg-gray-100" onClick={() => onChange(value + 1)} aria-label={t('cart.increase')}>
+        <Plus className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+const MenuItemModal = memo(({
+  item, warnings, favourite, onToggleFavourite, rating, reviewStore, onReviewAdded, onClose, onOrder, onViewMenu,
+}) => {
+  const { t, localized } = useI18n();
+  const { currency } = useCurrency();
+  const name = localized(item, 'name');
+  const price = priceOf(item);
+  const [quantity, setQuantity] = useState(1);
+  const [notes,    setNotes]    = useState('');
+  const [showReviews, setShowReviews] = useState(false);
+  const titleId = useId();
 
-const MenuItemModal = memo(({ item, onClose }) => {
   const mapsUrl = item.mapsUrl?.startsWith('http')
     ? item.mapsUrl
     : `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(item.name)}`;
 
   return (
-    <div
-      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
-      onClick={onClose}
+    <Dialog
+      labelledBy={titleId} onClose={onClose}
+      overlayClassName="items-center justify-center p-4" className="rounded-lg max-w-md w-full max-h-[90vh] overflow-y-auto"
     >
-      <div className="bg-white rounded-lg max-w-md w-full" onClick={e => e.stopPropagation()}>
-        <div className="relative">
-          {/* FIX: image src is already resolved — no extra getDriveImageUrl call here */}
-          <SafeImage src={item.image} alt={item.name} className="w-full h-48 object-cover rounded-t-lg" />
-          <button onClick={onClose} className="absolute top-2 right-2 bg-white rounded-full p-1 shadow-md hover:bg-gray-100">
-            <X className="w-6 h-6" />
-          </button>
+      <div className="relative">
+        {/* FIX: image src is already resolved — no extra getDriveImageUrl call here */}
+        <SafeImage src={item.image} alt={name} sizes={IMAGE_SIZES.modal} eager className="w-full h-48 object-cover rounded-t-lg" />
+        <button
+          onClick={onClose} aria-label={t('common.close')} data-autofocus
+          className="absolute top-2 right-2 bg-white rounded-full p-1 shadow-md hover:bg-gray-100"
+        >
+          <X className="w-6 h-6" />
+        </button>
+      </div>
+      <div className="p-6">
+        <div className="flex items-start justify-between gap-3 mb-2">
+          <h2 id={titleId} className="text-xl font-bold">{name}</h2>
+          {onToggleFavourite && <HeartButton active={favourite} label={name} onToggle={onToggleFavourite} />}
         </div>
-        <div className="p-6">
-          <h2 className="text-xl font-bold mb-2">{item.name}</h2>
-          <p className="text-gray-600 mb-6">{item.description}</p>
-          <div className="flex flex-col gap-3">
-            <a
-              href={mapsUrl} target="_blank" rel="noopener noreferrer"
-              className="flex items-center justify-center bg-blue-600 text-white py-3 rounded-lg font-bold hover:bg-blue-700"
-            >
-              <Navigation className="w-4 h-4 mr-2" /> Directions
-            </a>
-            <div className="flex justify-between items-center mt-2">
-              <span className="text-2xl font-bold text-green-600">{item.price}</span>
-              <button className="bg-red-600 text-white px-8 py-2 rounded-lg font-bold">Order Now</button>
+        {rating && <RatingSummary summary={rating} className="text-sm mb-2" />}
+        <DietaryIcons tags={item.tags} showLabels className="mb-2" />
+        <DietaryWarning reasons={warnings} className="mb-2" />
+        <p className="text-gray-600 mb-6">{localized(item, 'description')}</p>
+        {onOrder && (
+          <textarea
+            rows={2} placeholder={t('dish.kitchenNotes')} aria-label={t('dish.kitchenNotes')}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm mb-3"
+            value={notes} onChange={e => setNotes(e.target.value)}
+          />
+        )}
+        <div className="flex flex-col gap-3">
+          <a
+            href={mapsUrl} target="_blank" rel="noopener noreferrer"
+            className="flex items-center justify-center bg-blue-600 text-white py-3 rounded-lg font-bold hover:bg-blue-700"
+          >
+            <Navigation className="w-4 h-4 mr-2" /> {t('dish.directions')}
+          </a>
+          <div className="flex justify-between items-center mt-2 gap-3">
+            <div>
+              <Price item={item} className="text-2xl font-bold text-green-600" />
+              {price && price.currency !== currency && (
+                <p className="text-xs text-gray-500">{t('price.chargedAs', { price: item.price })}</p>
+              )}
             </div>
+            {/* Picks that aren't on a menu order from their restaurant's page */}
+            {!onOrder && onViewMenu && (
+              <button
+                className="bg-red-600 text-white px-6 py-2 rounded-lg font-bold hover:bg-red-700"
+                onClick={onViewMenu}
+              >
+                {t('dish.orderNow')}
+              </button>
+            )}
+            {onOrder && (
+              <div className="flex items-center gap-3">
+                <QuantityStepper value={quantity} onChange={q => setQuantity(Math.max(1, q))} />
+                <button
+                  className="bg-red-600 text-white px-6 py-2 rounded-lg font-bold hover:bg-red-700"
+                  onClick={() => onOrder(quantity, notes)}
+                >
+                  {t('dish.orderNow')}
+                </button>
+              </div>
+            )}
           </div>
         </div>
+        {reviewStore && (
+          <div className="mt-6 border-t pt-4">
+            <button
+              className="flex items-center gap-2 font-semibold text-gray-800"
+              onClick={() => setShowReviews(v => !v)}
+              aria-expanded={showReviews}
+            >
+              <MessageSquare className="w-4 h-4" /> {rating?.count ? t('reviews.titleCount', { count: rating.count }) : t('reviews.title')}
+            </button>
+            {showReviews && (
+              <div className="mt-3">
+                <ReviewsPanel
+                  store={reviewStore} targetType="item" targetId={item.id}
+                  restaurantId={item.restaurantId} onAdded={onReviewAdded}
+                />
+              </div>
+            )}
+          </div>
+        )}
       </div>
-    </div>
+    </Dialog>
   );
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Main Component
+// Dish search
+// Query + filters live in the parent so they survive opening a result and
+// coming back. The index is rebuilt only when the sheet data changes.
 // ─────────────────────────────────────────────────────────────────────────────
-const MalawianRestaurantApp = () => {
-  const [restaurants,        setRestaurants]        = useState([]);
-  const [menuItems,          setMenuItems]           = useState({});
-  const [gourmetPicks,       setGourmetPicks]        = useState([]);
-  const [activeTab,          setActiveTab]           = useState('home');
-  const [selectedRestaurant, setSelectedRestaurant]  = useState(null);
-  const [selectedMenuItem,   setSelectedMenuItem]    = useState(null);
-  const [searchTerm,         setSearchTerm]          = useState('');
-  const [showSidebar,        setShowSidebar]         = useState(false);
-  const [loadError,          setLoadError]           = useState(null);
-  const [loading,            setLoading]             = useState(true);
+const EMPTY_SEARCH_FILTERS = { category: '', location: '', minPrice: '', maxPrice: '', minRating: '' };
 
-  useEffect(() => {
-    const apiKey  = process.env.REACT_APP_GOOGLE_SHEETS_API_KEY;
-    const sheetId = process.env.REACT_APP_GOOGLE_SHEETS_ID;
-    if (!apiKey || !sheetId) {
-      setLoadError('Missing REACT_APP_GOOGLE_SHEETS_API_KEY or REACT_APP_GOOGLE_SHEETS_ID');
-      setLoading(false); return;
+const Highlighted = ({ text, matched }) => highlight(text, matched).map((part, i) =>
+  part.match
+    ? <mark key={i} className="bg-yellow-200 text-inherit rounded px-0.5">{part.text}</mark>
+    : <React.Fragment key={i}>{part.text}</React.Fragment>
+);
+
+const SearchPanel = ({
+  restaurants, menuItems, query, filters, dietary, dishWarnings, hideUnsuitable, ratingFor,
+  onQueryChange, onFiltersChange, onSelectItem, onSelectRestaurant,
+}) => {
+  const { t, localized } = useI18n();
+  const { currency, rates, money } = useCurrency();
+  const index  = useMemo(() => buildSearchIndex(restaurants, menuItems), [restaurants, menuItems]);
+  const facets = useMemo(() => getFacets(index), [index]);
+
+  const active = query.trim() !== '' || Object.values(filters).some(Boolean);
+  const results = useMemo(() => {
+    if (!active) return [];
+    const groups = searchMenu(index, query, {
+      category:  filters.category,
+      location:  filters.location,
+      // Typed in the display currency; the index holds Kwacha
+      minPrice:  filterAmount(filters.minPrice, currency, rates),
+      maxPrice:  filterAmount(filters.maxPrice, currency, rates),
+      minRating: parseFloat(filters.minRating) || 0,
+    });
+    if (!hideUnsuitable) return groups;
+    return groups
+      .map(g => ({ ...g, items: g.items.filter(({ item }) => !dishWarnings(item)) }))
+      .filter(g => g.items.length > 0);
+  }, [active, index, query, filters, currency, rates, hideUnsuitable, dishWarnings]);
+
+  const setFilter = (key, value) => onFiltersChange({ ...filters, [key]: value });
+  const minLabel = t('search.minPrice', { price: money(facets.minPrice) });
+  const maxLabel = t('search.maxPrice', { price: money(facets.maxPrice) });
+  const selectCls = 'border border-gray-300 rounded-lg px-3 py-2 text-sm bg-white';
+  const total = results.reduce((n, g) => n + g.items.length, 0);
+
+  return (
+    <div className="flex-1 p-6 overflow-y-auto pb-20">
+      <div className="max-w-4xl mx-auto">
+        <div className="relative mb-4">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-5 h-5" />
+          <input
+            type="search" autoFocus placeholder={t('search.placeholder')} aria-label={t('search.placeholder')}
+            className="w-full pl-11 pr-4 py-3 border border-gray-300 rounded-lg"
+            value={query} onChange={e => onQueryChange(e.target.value)}
+          />
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-6">
+          <select className={selectCls} aria-label={t('search.categoryLabel')} value={filters.category} onChange={e => setFilter('category', e.target.value)}>
+            <option value="">{t('search.allCategories')}</option>
+            {facets.categories.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+          <select className={selectCls} aria-label={t('search.locationLabel')} value={filters.location} onChange={e => setFilter('location', e.target.value)}>
+            <option value="">{t('search.allLocations')}</option>
+            {facets.locations.map(l => <option key={l} value={l}>{l}</option>)}
+          </select>
+          <input
+            type="number" min="0" step="any" placeholder={minLabel} aria-label={minLabel}
+            className={`${selectCls} w-32`}
+            value={filters.minPrice} onChange={e => setFilter('minPrice', e.target.value)}
+          />
+          <input
+            type="number" min="0" step="any" placeholder={maxLabel} aria-label={maxLabel}
+            className={`${selectCls} w-32`}
+            value={filters.maxPrice} onChange={e => setFilter('maxPrice', e.target.value)}
+          />
+          <select className={selectCls} aria-label={t('search.ratingLabel')} value={filters.minRating} onChange={e => setFilter('minRating', e.target.value)}>
+            <option value="">{t('search.anyRating')}</option>
+            {[3, 3.5, 4, 4.5].map(r => <option key={r} value={r}>{t('search.ratingUp', { rating: r })}</option>)}
+          </select>
+          <DietaryFilter dietary={dietary} />
+          {active && (
+            <button
+              className="text-sm text-red-600 font-medium px-2"
+              onClick={() => { onQueryChange(''); onFiltersChange(EMPTY_SEARCH_FILTERS); }}
+            >
+              {t('common.clear')}
+            </button>
+          )}
+        </div>
+
+        {!active ? (
+          <p className="text-gray-400 text-sm text-center mt-8">{t('search.prompt')}</p>
+        ) : total === 0 ? (
+          <p className="text-gray-400 text-sm text-center mt-8">{t('search.noResults')}</p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-500 mb-4">
+              {t('search.summary', {
+                dishes:      t('search.dishes', { count: total }),
+                restaurants: t('search.restaurants', { count: results.length }),
+              })}
+            </p>
+            <div className="space-y-6">
+              {results.map(group => (
+                <section key={group.restaurant.id} className="bg-white rounded-lg shadow-md border">
+                  <button
+                    className="w-full text-left p-4 border-b flex items-center justify-between hover:bg-gray-50"
+                    onClick={() => onSelectRestaurant(group.restaurant)}
+                  >
+                    <div>
+                      <h2 className="font-semibold text-gray-800">{group.restaurant.name}</h2>
+                      <p className="text-xs text-gray-500">{group.restaurant.specialty} • {group.restaurant.location}</p>
+                    </div>
+                    <RatingSummary summary={ratingFor(group.restaurant.id)} className="text-xs" />
+                  </button>
+                  <ul className="divide-y">
+                    {group.items.map(({ item, matched }) => (
+                      <li key={item.id}>
+                        <button className="w-full text-left p-4 flex gap-3 hover:bg-gray-50" onClick={() => onSelectItem(item)}>
+                          <SafeImage src={item.image} alt={localized(item, 'name')} sizes={IMAGE_SIZES.thumb} className="w-16 h-16 object-cover rounded-lg flex-shrink-0" />
+                          <div className="flex-1 min-w-0">
+                            <div className="flex justify-between gap-2">
+                              <h3 className="font-medium text-gray-800"><Highlighted text={localized(item, 'name')} matched={matched} /></h3>
+                              <Price item={item} className="font-bold text-green-600 whitespace-nowrap" />
+                            </div>
+                            <p className="text-xs text-gray-500"><Highlighted text={item.category} matched={matched} /></p>
+                            {item.description && (
+                              <p className="text-sm text-gray-600 line-clamp-2"><Highlighted text={localized(item, 'description')} matched={matched} /></p>
+                            )}
+                            <DietaryIcons tags={item.tags} className="mt-1" />
+                            <DietaryWarning reasons={dishWarnings(item)} className="mt-1" />
+                          </div>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Data-quality report (#/admin/validate)
+// Not linked from the UI — for content editors. Fetches the raw rows itself
+// so it always reflects the live sheet rather than the cached snapshot.
+// ─────────────────────────────────────────────────────────────────────────────
+const ValidationReport = () => {
+  const [problems, setProblems] = useState(null);
+  const [error,    setError]    = useState(null);
+  const [running,  setRunning]  = useState(false);
+
+  const run = useCallback(async () => {
+    const source = getDataSource();
+    if (!source.rows) {
+      setError(`The ${source.name} data source isn't a spreadsheet — nothing to check`); return;
+    }
+    setRunning(true); setError(null);
+    try {
+      const res = await source.rows();
+      if (res.ok) setProblems(validateWorkbook(res));
+      else setError(`Could not load the spreadsheet: ${res.error}`);
+    } catch (e) {
+      err('Validation failed:', e);
+      setError('Could not load the spreadsheet. Check console for details.');
+    } finally {
+      setRunning(false);
     }
-    const sheets = new GoogleSheetsService(apiKey, sheetId);
-    (async () => {
-      try {
-        const [sheetData, picks] = await Promise.all([sheets.getSheetData(), sheets.getGourmetPicks()]);
-        const parsed = sheets.parseSheetData(sheetData);
-        setRestaurants(parsed.restaurants);
-        setMenuItems(parsed.menuItems);
-        setGourmetPicks(picks);
-      } catch (e) {
-        err('Sync failed:', e);
-        setLoadError('Failed to load data. Check console for details.');
-      } finally {
-        setLoading(false);
-      }
-    })();
   }, []);
 
-  const filteredRestaurants = restaurants.filter(r =>
-    r.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    r.location.toLowerCase().includes(searchTerm.toLowerCase())
+  useEffect(() => { run(); }, [run]);
+
+  const errors   = problems?.filter(p => p.severity === 'error').length   || 0;
+  const warnings = problems?.filter(p => p.severity === 'warning').length || 0;
+
+  return (
+    <div className="flex-1 p-6 overflow-y-auto pb-20">
+      <div className="max-w-6xl mx-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-2xl font-bold text-gray-800 flex items-center">
+            <ClipboardCheck className="w-6 h-6 mr-2 text-red-600" /> Spreadsheet check
+          </h1>
+          <button
+            className="flex items-center gap-2 border px-4 py-2 rounded-lg text-sm font-medium hover:bg-gray-100 disabled:opacity-50"
+            disabled={running} onClick={run}
+          >
+            <RefreshCw className={`w-4 h-4 ${running ? 'animate-spin' : ''}`} /> Re-check
+          </button>
+        </div>
+
+        {error && <ErrorBanner message={error} />}
+
+        {problems === null ? (
+          !error && <div className="flex justify-center py-20 text-gray-400">Checking…</div>
+        ) : problems.length === 0 ? (
+          <p className="text-green-700 bg-green-50 border border-green-200 rounded-lg px-4 py-3">
+            No problems found in {MENU_SCHEMA.sheet} or {GOURMET_PICKS_SCHEMA.sheet}.
+          </p>
+        ) : (
+          <>
+            <p className="text-gray-600 mb-4">
+              {errors} error{errors === 1 ? '' : 's'}, {warnings} warning{warnings === 1 ? '' : 's'}.
+              Errors hide or break content on the site; warnings mean a default or another row's value is shown instead.
+            </p>
+            <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th className="px-4 py-2">Sheet</th>
+                    <th className="px-4 py-2">Row</th>
+                    <th className="px-4 py-2">Column</th>
+                    <th className="px-4 py-2">Problem</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {problems.map((p, i) => (
+                    <tr key={i} className={p.severity === 'error' ? 'bg-red-50/50' : ''}>
+                      <td className="px-4 py-2 whitespace-nowrap">{p.sheet}</td>
+                      <td className="px-4 py-2 font-mono">{p.row}</td>
+                      <td className="px-4 py-2 whitespace-nowrap">{p.column && `${p.column} · ${p.field}`}</td>
+                      <td className="px-4 py-2">
+                        <span className={`text-xs font-bold uppercase mr-2 ${p.severity === 'error' ? 'text-red-600' : 'text-amber-600'}`}>
+                          {p.severity}
+                        </span>
+                        {p.message}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
   );
+};
 
-  const selectRestaurantForMenu = useCallback((r) => {
-    setSelectedRestaurant(r);
-    setActiveTab('menu');
-    setShowSidebar(false);
-  }, []);
+// ─────────────────────────────────────────────────────────────────────────────
+// Cart drawer
+// Two steps: review lines grouped per restaurant, then checkout one
+// restaurant's order through whichever sink getOrderSink picks for it.
+// ─────────────────────────────────────────────────────────────────────────────
+const CartDrawer = ({ cart, restaurants, onClose }) => {
+  const { t, localized } = useI18n();
+  const { money } = useCurrency();
+  const titleId = useId();
+  const [checkoutId, setCheckoutId] = useState(null);
+  const [customer,   setCustomer]   = useState({ name: '', phone: '', notes: '' });
+  const [sending,    setSending]    = useState(false);
+  const [status,     setStatus]     = useState(null);
 
-  // ── Home Tab ────────────────────────────────────────────────────────────────
-  const HomeTab = () => (
+  const restaurantFor = (id) => restaurants.find(r => r.id === id) || { id, name: t('cart.unknownRestaurant') };
+  const group = cart.groups.find(g => g.restaurantId === checkoutId);
+
+  const submit = async () => {
+    const restaurant = restaurantFor(group.restaurantId);
+    setSending(true); setStatus(null);
+    const result = await getOrderSink(restaurant).submit({
+      restaurant, lines: group.lines, total: group.total, customer,
+    });
+    setSending(false);
+    if (result.ok) {
+      cart.clearRestaurant(group.restaurantId);
+      setCheckoutId(null);
+      setStatus({ ok: true, message: t('cart.sentTo', { restaurant: restaurant.name }) });
+    } else {
+      err('Order failed:', result.error);
+      setStatus({ ok: false, message: result.error });
+    }
+  };
+
+  return (
+    <Dialog labelledBy={titleId} onClose={onClose} overlayClassName="justify-end" className="w-full max-w-md h-full flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b">
+        <h2 id={titleId} className="text-lg font-bold flex items-center">
+          <ShoppingCart className="w-5 h-5 mr-2 text-red-600" /> {group ? t('cart.checkout') : t('cart.title')}
+        </h2>
+        <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-100" aria-label={t('common.close')}>
+          <X className="w-6 h-6" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-6">
+        {status && (
+          status.ok
+            ? <div className="bg-green-50 border border-green-200 text-green-700 text-sm px-4 py-2 rounded-lg">{status.message}</div>
+            : <ErrorBanner message={status.message} />
+        )}
+
+        {group ? (
+          <div className="space-y-3">
+            <p className="text-gray-600 text-sm">
+              {restaurantFor(group.restaurantId).name} • {money(group.total)}
+            </p>
+            <input
+              type="text" placeholder={t('cart.name')} aria-label={t('cart.name')}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              value={customer.name} onChange={e => setCustomer(c => ({ ...c, name: e.target.value }))}
+            />
+            <input
+              type="tel" placeholder={t('cart.phone')} aria-label={t('cart.phone')}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              value={customer.phone} onChange={e => setCustomer(c => ({ ...c, phone: e.target.value }))}
+            />
+            <textarea
+              rows={3} placeholder={t('cart.notes')} aria-label={t('cart.notes')}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              value={customer.notes} onChange={e => setCustomer(c => ({ ...c, notes: e.target.value }))}
+            />
+          </div>
+        ) : cart.groups.length === 0 ? (
+          <p className="text-gray-400 text-sm text-center mt-8">{t('cart.empty')}</p>
+        ) : cart.groups.map(g => (
+          <section key={g.restaurantId}>
+            <h3 className="font-semibold text-gray-800 mb-2">{restaurantFor(g.restaurantId).name}</h3>
+            <div className="space-y-3">
+              {g.lines.map(line => (
+                <div key={line.key} className="flex items-center gap-3">
+                  <SafeImage src={line.item.image} alt={localized(line.item, 'name')} sizes={IMAGE_SIZES.thumb} className="w-12 h-12 object-cover rounded-lg" />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium truncate">{localized(line.item, 'name')}</p>
+                    {line.notes && <p className="text-xs text-gray-500 truncate">{line.notes}</p>}
+                    <p className="text-xs text-green-600 font-bold">{money(lineTotal(line))}</p>
+                  </div>
+                  <QuantityStepper value={line.quantity} onChange={q => cart.setQuantity(line.key, q)} />
+                  <button
+                    onClick={() => cart.remove(line.key)} className="text-gray-400 hover:text-red-600"
+                    aria-label={t('cart.remove', { name: localized(line.item, 'name') })}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-between items-center mt-3 pt-3 border-t">
+              <span className="font-bold">{money(g.total)}</span>
+              <button
+                className="bg-red-600 text-white px-4 py-2 rounded-lg font-bold text-sm hover:bg-red-700"
+                onClick={() => { setStatus(null); setCheckoutId(g.restaurantId); }}
+              >
+                {t('cart.checkout')}
+              </button>
+            </div>
+          </section>
+        ))}
+      </div>
+
+      {group && (
+        <div className="p-4 border-t flex gap-3">
+          <button className="flex-1 border py-3 rounded-lg font-bold" onClick={() => setCheckoutId(null)}>{t('common.back')}</button>
+          <button
+            className="flex-1 bg-red-600 text-white py-3 rounded-lg font-bold hover:bg-red-700 disabled:opacity-50"
+            disabled={sending} onClick={submit}
+          >
+            {sending ? t('cart.sending') : t('cart.send')}
+          </button>
+        </div>
+      )}
+    </Dialog>
+  );
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Tabs
+// Everything they show comes in as props from the main component, which
+// owns the data, the route and the preferences.
+// ─────────────────────────────────────────────────────────────────────────────
+const HomeTab = ({
+  loadError, sync, loading, picks, restaurants, restaurantById, popularRestaurants, distances,
+  selectedRestaurantId, nearMe, openNowOnly, onOpenNowChange, ratingFor, favourites,
+  favouriteRestaurants, favouriteItems, recentEntries, onClearRecent, dishWarnings,
+  onOpenPick, onSelectRestaurant, onSelectItem, onAddToCart,
+}) => {
+  const { t, localized } = useI18n();
+  return (
     <div className="flex-1 p-6 overflow-y-auto pb-20">
       <div className="max-w-6xl mx-auto">
-        {loadError && <ErrorBanner message={loadError} />}
+        {loadError && <ErrorBanner message={t(loadError)} />}
 
         <div className="text-center mb-8">
-          <h1 className="text-3xl font-bold text-gray-800 mb-2">Malawian Restaurant Menus</h1>
-          <p className="text-gray-600">Discover authentic Malawian cuisine from the warm heart of Africa</p>
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">{t('app.title')}</h1>
+          <p className="text-gray-600">{t('app.tagline')}</p>
+          <div className="mt-2 flex flex-wrap items-center justify-center gap-3">
+            <SyncStatus {...sync} />
+            <LanguageSwitcher />
+            <CurrencySwitcher />
+          </div>
         </div>
 
         {loading ? (
-          <div className="flex justify-center py-20 text-gray-400">Loading…</div>
+          <div className="flex justify-center py-20 text-gray-400">{t('common.loading')}</div>
         ) : (
           <>
-            {gourmetPicks.length > 0 && (
-              <section className="mb-8">
-                <h2 className="text-2xl font-semibold mb-4 flex items-center">
-                  <UtensilsCrossed className="w-6 h-6 mr-2 text-red-600" /> Gourmet's Picks
-                </h2>
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                  {gourmetPicks.map(dish => (
-                    <div
-                      key={dish.id}
-                      className="bg-gradient-to-br from-red-500 to-orange-500 rounded-lg overflow-hidden shadow-lg text-white cursor-pointer"
-                      onClick={() => setSelectedMenuItem(dish)}
-                    >
-                      <SafeImage src={dish.image} alt={dish.name} className="w-full h-32 object-cover opacity-80" />
-                      <div className="p-4">
-                        <h3 className="font-bold text-lg mb-2">
-                          {dish.name}{' '}
-                          <span className="text-xs bg-white/20 px-2 py-1 rounded ml-2">{dish.promoText}</span>
-                        </h3>
-                        <p className="text-sm opacity-90">{dish.description}</p>
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              </section>
-            )}
+            <GourmetPicks picks={picks} restaurantById={restaurantById} onOpen={onOpenPick} />
 
             <section className="mb-8">
-              <h2 className="text-2xl font-semibold mb-4 flex items-center text-gray-800">
-                <MapPin className="w-6 h-6 mr-2 text-red-600" /> Popular Restaurants
-              </h2>
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-semibold flex items-center text-gray-800">
+                  <MapPin className="w-6 h-6 mr-2 text-red-600" /> {t(nearMe.origin ? 'home.nearest' : 'home.popular')}
+                </h2>
+                <div className="flex flex-wrap items-center justify-end gap-2">
+                  <NearMeToggle nearMe={nearMe} />
+                  <OpenNowToggle value={openNowOnly} onChange={onOpenNowChange} />
+                </div>
+              </div>
               <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
-                {restaurants.filter(r => r.isTop).slice(0, 5).map(r => (
+                {popularRestaurants.slice(0, 5).map(r => (
                   <RestaurantCard
                     key={r.id} restaurant={r}
-                    selected={selectedRestaurant?.id === r.id}
-                    onSelect={() => selectRestaurantForMenu(r)}
+                    rating={ratingFor(r.id)}
+                    selected={selectedRestaurantId === r.id}
+                    distanceKm={distances[r.id]}
+                    favourite={favourites.restaurants.includes(r.id)}
+                    onToggleFavourite={() => favourites.toggleRestaurant(r.id)}
+                    onSelect={() => onSelectRestaurant(r)}
                   />
                 ))}
               </div>
-              {!loading && restaurants.filter(r => r.isTop).length === 0 && (
+              {nearMe.origin ? popularRestaurants.length === 0 && (
                 <p className="text-gray-400 text-sm mt-2">
-                  No featured restaurants yet — add <code>TRUE</code> in column M.
+                  {t(restaurants.some(r => r.id in distances) ? 'home.noneNearbyOpen' : 'home.noCoordinates')}
                 </p>
+              ) : !loading && restaurants.filter(r => r.isTop).length === 0 ? (
+                <p className="text-gray-400 text-sm mt-2">{t('home.noFeatured')}</p>
+              ) : popularRestaurants.length === 0 && (
+                <p className="text-gray-400 text-sm mt-2">{t('home.nonePopularOpen')}</p>
               )}
             </section>
 
-            
+            {(favouriteRestaurants.length > 0 || favouriteItems.length > 0) && (
+              <section className="mb-8">
+                <h2 className="text-2xl font-semibold mb-4 flex items-center text-gray-800">
+                  <Heart className="w-6 h-6 mr-2 text-red-600" /> {t('home.favourites')}
+                </h2>
+                {favouriteRestaurants.length > 0 && (
+                  <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4 mb-4">
+                    {favouriteRestaurants.map(r => (
+                      <RestaurantCard
+                        key={r.id} restaurant={r}
+                        rating={ratingFor(r.id)}
+                        distanceKm={distances[r.id]}
+                        favourite
+                        onToggleFavourite={() => favourites.toggleRestaurant(r.id)}
+                        onSelect={() => onSelectRestaurant(r)}
+                      />
+                    ))}
+                  </div>
+                )}
+                {favouriteItems.length > 0 && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                    {favouriteItems.map(item => (
+                      <MenuItem
+                        key={item.id} item={item}
+                        warnings={dishWarnings(item)}
+                        favourite
+                        onToggleFavourite={() => favourites.toggleItem(item.id)}
+                        onSelect={() => onSelectItem(item)}
+                        onAdd={() => onAddToCart(item)}
+                      />
+                    ))}
+                  </div>
+                )}
+              </section>
+            )}
+
+            {recentEntries.length > 0 && (
+              <section className="mb-8">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-2xl font-semibold flex items-center text-gray-800">
+                    <History className="w-6 h-6 mr-2 text-red-600" /> {t('home.recent')}
+                  </h2>
+                  <button className="text-sm text-gray-500 hover:text-red-600" onClick={onClearRecent}>{t('common.clear')}</button>
+                </div>
+                <div className="flex gap-4 overflow-x-auto pb-2">
+                  {recentEntries.map(({ kind, id, target }) => kind === 'item' ? (
+                    <RecentTile
+                      key={`item:${id}`} image={target.image} title={localized(target, 'name')}
+                      subtitle={restaurantById.get(target.restaurantId)?.name || target.category}
+                      onSelect={() => onSelectItem(target)}
+                    />
+                  ) : (
+                    <RecentTile
+                      key={`restaurant:${id}`} image={target.image} title={target.name}
+                      subtitle={target.location}
+                      onSelect={() => onSelectRestaurant(target)}
+                    />
+                  ))}
+                </div>
+              </section>
+            )}
+
           </>
         )}
       </div>
     </div>
   );
+};
 
-  // ── Menu Tab ────────────────────────────────────────────────────────────────
-  const MenuTab = () => (
+const MenuTab = ({
+  sync, sidebarRef, showSidebar, onToggleSidebar, onSearchTermChange, openNowOnly, onOpenNowChange,
+  nearMe, dietary, filteredRestaurants, selectedRestaurant, restaurantMissing, routeRestaurantId,
+  distances, ratingFor, favourites, restaurantMenu, visibleMenu, dishWarnings, reviewStore,
+  onReviewAdded, reviewsOpenFor, onToggleReviews, onSelectRestaurant, onSelectItem, onAddToCart,
+}) => {
+  const { t } = useI18n();
+  return (
     <div className="flex-1 flex px-6 py-6 gap-6 overflow-hidden pb-20">
       <button
         className="md:hidden fixed top-4 left-4 z-30 bg-red-600 text-white p-2 rounded-lg shadow-lg"
-        onClick={() => setShowSidebar(s => !s)}
+        onClick={onToggleSidebar}
+        aria-label={t('menu.toggleSidebar')}
+        aria-expanded={showSidebar}
+        aria-controls="restaurant-sidebar"
       >
         <UtensilsCrossed className="w-5 h-5" />
       </button>
 
-      {/* Sidebar */}
-      <div className={`${showSidebar ? 'translate-x-0' : '-translate-x-full'} md:translate-x-0
+      {/* Sidebar — off-screen and out of the tab order on mobile until toggled */}
+      <aside
+        id="restaurant-sidebar" ref={sidebarRef} aria-label={t('menu.restaurants')}
+        className={`${showSidebar ? 'translate-x-0' : '-translate-x-full invisible'} md:translate-x-0 md:visible
         fixed md:relative top-0 left-0 w-80 md:w-1/4 h-full bg-white rounded-lg shadow-md p-4 z-20 flex flex-col`}
       >
         <div className="mb-4">
-          <h2 className="text-lg font-semibold mb-3">Restaurants</h2>
+          <div className="flex items-center justify-between gap-2 mb-1">
+            <h2 className="text-lg font-semibold focus:outline-none" tabIndex={-1} data-autofocus>{t('menu.restaurants')}</h2>
+            <div className="flex items-center gap-2">
+              <LanguageSwitcher />
+              <CurrencySwitcher />
+            </div>
+          </div>
+          <div className="mb-3"><SyncStatus {...sync} /></div>
           <div className="relative">
             <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-4 h-4" />
             <input
-              type="text" placeholder="Search…"
+              type="text" placeholder={t('menu.searchRestaurants')} aria-label={t('menu.searchRestaurants')}
               className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg text-sm"
-              onChange={e => setSearchTerm(e.target.value)}
+              onChange={e => onSearchTermChange(e.target.value)}
             />
           </div>
+          <div className="mt-3 flex flex-wrap items-start gap-2">
+            <OpenNowToggle value={openNowOnly} onChange={onOpenNowChange} />
+            <NearMeToggle nearMe={nearMe} />
+            <DietaryFilter dietary={dietary} />
+          </div>
         </div>
         <div className="flex-1 overflow-y-auto space-y-3">
           {filteredRestaurants.length === 0
-            ? <p className="text-gray-400 text-sm text-center mt-8">No restaurants found</p>
+            ? <p className="text-gray-400 text-sm text-center mt-8">{t('menu.noRestaurants')}</p>
             : filteredRestaurants.map(r => (
                 <RestaurantCard
                   key={r.id} restaurant={r}
+                  rating={ratingFor(r.id)}
                   selected={selectedRestaurant?.id === r.id}
-                  onSelect={() => { setSelectedRestaurant(r); setShowSidebar(false); }}
+                  distanceKm={distances[r.id]}
+                  favourite={favourites.restaurants.includes(r.id)}
+                  onToggleFavourite={() => favourites.toggleRestaurant(r.id)}
+                  onSelect={() => onSelectRestaurant(r)}
                 />
               ))
           }
         </div>
-      </div>
+      </aside>
 
       {/* Menu panel */}
       <div className="flex-1 bg-white rounded-lg shadow-md overflow-hidden flex flex-col">
-        {selectedRestaurant ? (
+        {restaurantMissing ? (
+          <NotFound
+            title={t('notFound.restaurant')}
+            message={t('notFound.restaurantMessage')}
+            actionLabel={t('notFound.browse')}
+            onAction={() => navigate(routes.menus(), { replace: true })}
+          />
+        ) : selectedRestaurant ? (
           <>
             <div className="p-6 border-b">
               <h1 className="text-2xl font-bold text-gray-800">{selectedRestaurant.name}</h1>
               <p className="text-gray-600">{selectedRestaurant.specialty} • {selectedRestaurant.location}</p>
               <div className="flex items-center mt-2">
-                <Star className="w-4 h-4 text-yellow-400 mr-1" />
-                <span className="font-medium">{selectedRestaurant.rating}</span>
-                <span className="text-gray-500 ml-2">• Malawian Cuisine</span>
+                <RatingSummary summary={ratingFor(selectedRestaurant.id)} />
+                <span className="text-gray-500 ml-2">• {t('menu.cuisine')}</span>
+                <button
+                  className="ml-auto inline-flex items-center gap-1 text-sm font-medium text-red-600 hover:text-red-700"
+                  onClick={() => onToggleReviews(selectedRestaurant.id)}
+                  aria-expanded={reviewsOpenFor === selectedRestaurant.id}
+                >
+                  <MessageSquare className="w-4 h-4" />
+                  {t(reviewsOpenFor === selectedRestaurant.id ? 'reviews.hide' : 'reviews.title')}
+                </button>
               </div>
+              <OpenBadge hours={selectedRestaurant.hours} className="mt-2" />
+              {reviewsOpenFor === selectedRestaurant.id && (
+                <div className="mt-4 max-h-80 overflow-y-auto pr-1">
+                  <ReviewsPanel
+                    key={selectedRestaurant.id}
+                    store={reviewStore} targetType="restaurant" targetId={selectedRestaurant.id}
+                    onAdded={onReviewAdded}
+                  />
+                </div>
+              )}
             </div>
-            <div className="flex-1 p-6 overflow-y-auto">
-              {(menuItems[selectedRestaurant.id] || []).length === 0
-                ? <p className="text-gray-400 text-sm text-center mt-8">No menu items yet</p>
-                : <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                    {(menuItems[selectedRestaurant.id] || []).map(item => (
-                      <MenuItem key={item.id} item={item} onSelect={() => setSelectedMenuItem(item)} />
-                    ))}
-                  </div>
-              }
-            </div>
+            {restaurantMenu.length === 0
+              ? <p className="text-gray-400 text-sm text-center mt-8">{t('menu.empty')}</p>
+              : <MenuSections
+                  key={selectedRestaurant.id}
+                  items={visibleMenu}
+                  renderItem={item => (
+                    <MenuItem
+                      key={item.id} item={item}
+                      warnings={dishWarnings(item)}
+                      favourite={favourites.items.includes(item.id)}
+                      onToggleFavourite={() => favourites.toggleItem(item.id)}
+                      onSelect={() => onSelectItem(item)}
+                      onAdd={() => onAddToCart(item)}
+                    />
+                  )}
+                  footer={visibleMenu.length < restaurantMenu.length && (
+                    <p className="text-gray-400 text-sm text-center">
+                      {t('diet.hidden', { count: restaurantMenu.length - visibleMenu.length })}
+                    </p>
+                  )}
+                />
+            }
           </>
+        ) : routeRestaurantId ? (
+          <div className="flex justify-center py-20 text-gray-400">{t('common.loading')}</div>
         ) : (
           <div className="flex flex-col items-center justify-center h-full text-gray-400">
             <UtensilsCrossed className="w-16 h-16 mb-4" />
-            <p>Select a restaurant to view their menu</p>
+            <p>{t('menu.selectRestaurant')}</p>
           </div>
         )}
       </div>
     </div>
   );
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main Component
+// ─────────────────────────────────────────────────────────────────────────────
+const MalawianRestaurantApp = () => {
+  const { t } = useI18n();
+  // Cached snapshot renders instantly; the effect below revalidates it
+  const [cached]                                     = useState(loadSnapshot);
+  const [restaurants,        setRestaurants]        = useState(() => cached?.restaurants  || []);
+  const [menuItems,          setMenuItems]           = useState(() => cached?.menuItems    || {});
+  const [gourmetPicks,       setGourmetPicks]        = useState(() => cached?.gourmetPicks || []);
+  const [lastUpdated,        setLastUpdated]         = useState(() => cached?.savedAt      || null);
+  const [offline,            setOffline]             = useState(() => !navigator.onLine);
+  const [syncing,            setSyncing]             = useState(false);
+  const [searchTerm,         setSearchTerm]          = useState('');
+  const [showSidebar,        setShowSidebar]         = useState(false);  // mobile only; always shown from md up
+  const [loadError,          setLoadError]           = useState(null); // catalog key
+  const [loading,            setLoading]             = useState(() => !cached);
+  const [showCart,           setShowCart]            = useState(false);
+  const [openNowOnly,        setOpenNowOnly]         = useState(false);
+  const nearMe = useNearMe();
+  const favourites = useFavourites();
+  const sidebarRef = useRef(null);
+  const closeSidebar = useCallback(() => setShowSidebar(false), []);
+  // Focus moves into the slide-over and back to its toggle; not trapped, so
+  // the toggle stays reachable
+  useDialog(sidebarRef, { active: showSidebar, trap: false, onClose: closeSidebar });
+  const [dataSource]  = useState(getDataSource);
+  const [reviewStore] = useState(getReviewStore);
+  const reviews = useReviewSummaries(reviewStore);
+  const [reviewsOpenFor, setReviewsOpenFor] = useState(null);
+  const recent     = useRecentlyViewed();
+  const dietary = useDietaryPreferences();
+  const [dishQuery,          setDishQuery]           = useState('');
+  const [dishFilters,        setDishFilters]         = useState(EMPTY_SEARCH_FILTERS);
+  const cart = useCart();
+  const [liveUpdate, setLiveUpdate] = useState(null);
+  const dismissLiveUpdate = useCallback(() => setLiveUpdate(null), []);
+  // What's on screen, for refresh() to diff against without depending on it
+  const shown = useRef(null);
+  shown.current = { restaurants, menuItems, gourmetPicks };
+
+  // → true when fresh data arrived (the poller backs off otherwise)
+  const refresh = useCallback(async () => {
+    setSyncing(true);
+    try {
+      const { ok, data, error } = await dataSource.load();
+      if (!ok) warn(`Loading from ${dataSource.name} failed:`, error);
+      if (ok && isUsableSnapshot(data)) {
+        // Unchanged records keep their identity, so these are no-ops for them
+        const merged = mergeData(shown.current, data);
+        const snap = saveSnapshot(merged.data);
+        setRestaurants(snap.restaurants);
+        setMenuItems(snap.menuItems);
+        setGourmetPicks(snap.gourmetPicks);
+        setLastUpdated(snap.savedAt);
+        setOffline(false);
+        setLoadError(null);
+        if (shown.current.restaurants.length && describeChanges(merged)) setLiveUpdate(merged);
+        return true;
+      }
+      // Menus already on screen (cached or loaded earlier) just go stale
+      if (shown.current.restaurants.length) {
+        warn('Refresh returned no data — keeping what is shown');
+        setOffline(true);
+      } else if (!ok) {
+        setLoadError('app.loadFailed');
+      }
+    } catch (e) {
+      err('Sync failed:', e);
+      if (shown.current.restaurants.length) setOffline(true);
+      else setLoadError('app.loadFailed');
+    } finally {
+      setSyncing(false);
+      setLoading(false);
+    }
+    return false;
+  }, [dataSource]);
+
+  useEffect(() => {
+    // Always revalidate; a snapshot saved moments ago just waits its turn
+    const delay = revalidateDelay(cached);
+    let timer = null;
+    if (delay) {
+      log(`Snapshot was saved moments ago — refreshing in ${Math.round(delay / 1000)}s`);
+      timer = setTimeout(refresh, delay);
+    } else {
+      refresh();
+    }
+
+    const goOnline  = () => { setOffline(false); refresh(); };
+    const goOffline = () => setOffline(true);
+    window.addEventListener('online',  goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('online',  goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, [cached, refresh]);
+
+  // Background polling — routes live in the hash, so the open menu and dish stay put
+  useEffect(() => {
+    const poller = createPoller(refresh);
+    poller.start();
+    return poller.stop;
+  }, [refresh]);
+
+  // ── Routing ─────────────────────────────────────────────────────────────────
+  // The hash is the source of truth for tab, restaurant and open dish.
+  const route     = useHashRoute();
+  const activeTab = route.name === 'home' || route.name === 'pick' ? 'home'
+                  : route.name === 'search' ? 'search'
+                  : route.name === 'map' ? 'map'
+                  : route.name === 'validate' ? 'validate'
+                  : route.name === 'notFound' ? 'notFound' : 'menu';
+
+  const selectedRestaurant = route.restaurantId
+    ? restaurants.find(r => r.id === route.restaurantId) || null
+    : null;
+  // Links shared before ids were stable carry the old row-numbered form
+  const routeItemIds = route.name === 'item'
+    ? [route.itemId, upgradeLegacyItemId(route.itemId, route.restaurantId)] : [];
+  const selectedMenuItem =
+      route.name === 'item' ? (menuItems[route.restaurantId] || []).find(i => routeItemIds.includes(i.id)) || null
+    : route.name === 'pick' ? gourmetPicks.find(p => p.id === route.pickId) || null
+    : null;
+
+  // Only claim "not found" once data has arrived — ids are unknown until then
+  const restaurantMissing = !loading && !!route.restaurantId && !selectedRestaurant;
+  const menuItemMissing   = !loading && !restaurantMissing
+    && (route.name === 'item' || route.name === 'pick') && !selectedMenuItem;
+
+  // Remember the last menu so the Menus tab returns to it
+  const lastRestaurantId = useRef(null);
+  if (selectedRestaurant) lastRestaurantId.current = selectedRestaurant.id;
+
+  // null when the dish suits the diner (or no preferences are set), else reasons
+  const dishWarnings = useCallback((item) => {
+    if (!dietary.active) return null;
+    const { ok, reasons } = checkDish(item.tags, dietary.prefs, t);
+    return ok ? null : reasons;
+  }, [dietary.active, dietary.prefs, t]);
+  const hideUnsuitable = dietary.active && dietary.prefs.mode === 'hide';
+
+  const restaurantMenu = selectedRestaurant ? menuItems[selectedRestaurant.id] || [] : [];
+  const visibleMenu    = hideUnsuitable ? restaurantMenu.filter(i => !dishWarnings(i)) : restaurantMenu;
+
+  const recordView = recent.record;
+  const selectMenuItem = useCallback((item) => {
+    if (item.restaurantId) recordView('item', item.id);
+    navigate(item.restaurantId ? routes.item(item.restaurantId, item.id) : routes.pick(item.id));
+  }, [recordView]);
+
+  const closeMenuItem = useCallback(() => {
+    goBack(route.name === 'pick' ? routes.home() : routes.menu(route.restaurantId));
+  }, [route.name, route.restaurantId]);
+
+  // Evaluated per render; OpenBadge keeps the visible status ticking
+  const openFilter = (r) => !openNowOnly || isOpenNow(r.hours);
+
+  const distances = useMemo(() => distancesFrom(nearMe.origin, restaurants), [nearMe.origin, restaurants]);
+  const byDistance = (list) => nearMe.origin ? sortByDistance(list, distances) : list;
+
+  const filteredRestaurants = byDistance(restaurants.filter(r =>
+    (r.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+     r.location.toLowerCase().includes(searchTerm.toLowerCase())) &&
+    openFilter(r)
+  ));
+  // With "Near me" on, home shows the closest places rather than the featured ones
+  const popularRestaurants = nearMe.origin
+    ? byDistance(restaurants.filter(r => r.id in distances && openFilter(r)))
+    : restaurants.filter(r => r.isTop && openFilter(r));
+
+  const selectRestaurantForMenu = useCallback((r) => {
+    recordView('restaurant', r.id);
+    navigate(routes.menu(r.id));
+    setShowSidebar(false);
+  }, [recordView]);
+
+  const { summaryFor } = reviews;
+  const ratingFor = useCallback((restaurantId) => summaryFor('restaurant', restaurantId), [summaryFor]);
+  // Search's "★ & up" filter reads restaurant.rating — give it the reviewed
+  // average, or null for "unrated" (not 0, which would fail every filter)
+  const ratedRestaurants = useMemo(
+    () => restaurants.map(r => ({ ...r, rating: summaryFor('restaurant', r.id).average })),
+    [restaurants, summaryFor]);
+
+  const restaurantById = useMemo(() => new Map(restaurants.map(r => [r.id, r])), [restaurants]);
+
+  // A pick aimed at a restaurant opens its menu; otherwise the pick itself
+  const openPick = useCallback((pick, target) => {
+    if (target) selectRestaurantForMenu(target);
+    else selectMenuItem(pick);
+  }, [selectRestaurantForMenu, selectMenuItem]);
+  // A pick orders as its dish on the linked menu when it has one
+  const pickTarget = useMemo(
+    () => (route.name === 'pick' && selectedMenuItem ? pickOrderTarget(selectedMenuItem, restaurants, menuItems) : null),
+    [route.name, selectedMenuItem, restaurants, menuItems]);
+  const orderable = selectedMenuItem?.restaurantId ? selectedMenuItem : pickTarget?.item;
+
+  const itemById = useMemo(
+    () => new Map(Object.values(menuItems).flat().map(i => [i.id, i])), [menuItems]);
+
+  // Each new snapshot is the whole sheet, so anything saved that it lacks is gone
+  const { prune: pruneFavourites } = favourites;
+  const { prune: pruneRecent }     = recent;
+  useEffect(() => {
+    if (!lastUpdated || restaurants.length === 0) return;
+    const live = liveIds(restaurants, menuItems);
+    pruneFavourites(live);
+    pruneRecent(live);
+  }, [lastUpdated, restaurants, menuItems, pruneFavourites, pruneRecent]);
+
+  const favouriteRestaurants = favourites.restaurants.map(id => restaurantById.get(id)).filter(Boolean);
+  const favouriteItems       = favourites.items.map(id => itemById.get(id)).filter(Boolean);
+  const recentEntries = recent.recent
+    .map(e => ({ ...e, target: (e.kind === 'item' ? itemById : restaurantById).get(e.id) }))
+    .filter(e => e.target);
+
+  const sync = { lastUpdated, offline, syncing };
+  const toggleSidebar = useCallback(() => setShowSidebar(s => !s), []);
+  const toggleReviews = useCallback((id) => setReviewsOpenFor(open => (open === id ? null : id)), []);
 
   // ── Root ────────────────────────────────────────────────────────────────────
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col">
-      {activeTab === 'home' ? <HomeTab /> : <MenuTab />}
+      {activeTab === 'home' ? (
+        <HomeTab
+          loadError={loadError} sync={sync} loading={loading} picks={gourmetPicks}
+          restaurants={restaurants} restaurantById={restaurantById}
+          popularRestaurants={popularRestaurants} distances={distances}
+          selectedRestaurantId={selectedRestaurant?.id} nearMe={nearMe}
+          openNowOnly={openNowOnly} onOpenNowChange={setOpenNowOnly}
+          ratingFor={ratingFor} favourites={favourites}
+          favouriteRestaurants={favouriteRestaurants} favouriteItems={favouriteItems}
+          recentEntries={recentEntries} onClearRecent={recent.clear} dishWarnings={dishWarnings}
+          onOpenPick={openPick} onSelectRestaurant={selectRestaurantForMenu}
+          onSelectItem={selectMenuItem} onAddToCart={cart.add}
+        />
+      ) : activeTab === 'menu' ? (
+        <MenuTab
+          sync={sync} sidebarRef={sidebarRef} showSidebar={showSidebar} onToggleSidebar={toggleSidebar}
+          onSearchTermChange={setSearchTerm} openNowOnly={openNowOnly} onOpenNowChange={setOpenNowOnly}
+          nearMe={nearMe} dietary={dietary} filteredRestaurants={filteredRestaurants}
+          selectedRestaurant={selectedRestaurant} restaurantMissing={restaurantMissing}
+          routeRestaurantId={route.restaurantId} distances={distances}
+          ratingFor={ratingFor} favourites={favourites}
+          restaurantMenu={restaurantMenu} visibleMenu={visibleMenu} dishWarnings={dishWarnings}
+          reviewStore={reviewStore} onReviewAdded={reviews.added}
+          reviewsOpenFor={reviewsOpenFor} onToggleReviews={toggleReviews}
+          onSelectRestaurant={selectRestaurantForMenu} onSelectItem={selectMenuItem} onAddToCart={cart.add}
+        />
+      ) : activeTab === 'search' ? (
+        <SearchPanel
+          restaurants={ratedRestaurants} menuItems={menuItems}
+          query={dishQuery} filters={dishFilters}
+          dietary={dietary} dishWarnings={dishWarnings} hideUnsuitable={hideUnsuitable}
+          ratingFor={ratingFor}
+          onQueryChange={setDishQuery} onFiltersChange={setDishFilters}
+          onSelectItem={selectMenuItem} onSelectRestaurant={selectRestaurantForMenu}
+        />
+      ) : activeTab === 'map' ? (
+        <div className="flex-1 flex flex-col px-6 py-6 pb-20">
+          <Suspense fallback={<div className="flex justify-center py-20 text-gray-400">{t('map.loading')}</div>}>
+            <RestaurantMap restaurants={restaurants} onSelectRestaurant={selectRestaurantForMenu} />
+          </Suspense>
+        </div>
+      ) : activeTab === 'validate' ? <ValidationReport /> : (
+        <div className="flex-1 pb-20">
+          <NotFound
+            title={t('notFound.page')}
+            message={t('notFound.pageMessage')}
+            actionLabel={t('notFound.goHome')}
+            onAction={() => navigate(routes.home(), { replace: true })}
+          />
+        </div>
+      )}
 
-      <nav className="fixed bottom-0 left-0 right-0 bg-white border-t p-3 flex justify-center gap-12 shadow-lg z-40 text-gray-500">
-        <button onClick={() => setActiveTab('home')} className={`flex flex-col items-center ${activeTab === 'home' ? 'text-red-600' : ''}`}>
-          <Home className="w-6 h-6" /><span className="text-xs">Home</span>
+      <nav className="fixed bottom-0 left-0 right-0 bg-white border-t p-3 flex justify-center gap-8 sm:gap-12 shadow-lg z-40 text-gray-500" aria-label={t('nav.label')}>
+        <button onClick={() => navigate(routes.home())} aria-current={activeTab === 'home' ? 'page' : undefined} className={`flex flex-col items-center ${activeTab === 'home' ? 'text-red-600' : ''}`}>
+          <Home className="w-6 h-6" /><span className="text-xs">{t('nav.home')}</span>
+        </button>
+        <button
+          onClick={() => activeTab !== 'menu' && navigate(
+            lastRestaurantId.current ? routes.menu(lastRestaurantId.current) : routes.menus()
+          )}
+          aria-current={activeTab === 'menu' ? 'page' : undefined}
+          className={`flex flex-col items-center ${activeTab === 'menu' ? 'text-red-600' : ''}`}>
+          <UtensilsCrossed className="w-6 h-6" /><span className="text-xs">{t('nav.menus')}</span>
+        </button>
+        <button onClick={() => navigate(routes.search())} aria-current={activeTab === 'search' ? 'page' : undefined} className={`flex flex-col items-center ${activeTab === 'search' ? 'text-red-600' : ''}`}>
+          <Search className="w-6 h-6" /><span className="text-xs">{t('nav.search')}</span>
+        </button>
+        <button onClick={() => navigate(routes.map())} aria-current={activeTab === 'map' ? 'page' : undefined} className={`flex flex-col items-center ${activeTab === 'map' ? 'text-red-600' : ''}`}>
+          <MapIcon className="w-6 h-6" /><span className="text-xs">{t('nav.map')}</span>
         </button>
-        <button onClick={() => setActiveTab('menu')} className={`flex flex-col items-center ${activeTab === 'menu' ? 'text-red-600' : ''}`}>
-          <UtensilsCrossed className="w-6 h-6" /><span className="text-xs">Menus</span>
+        <button onClick={() => setShowCart(true)} className={`relative flex flex-col items-center ${showCart ? 'text-red-600' : ''}`}>
+          <ShoppingCart className="w-6 h-6" /><span className="text-xs">{t('nav.cart')}</span>
+          {cart.count > 0 && (
+            <span className="absolute -top-1 -right-2 bg-red-600 text-white text-[10px] font-bold rounded-full min-w-[1.1rem] h-[1.1rem] px-1 flex items-center justify-center">
+              {cart.count}
+            </span>
+          )}
         </button>
       </nav>
 
       {selectedMenuItem && (
-        <MenuItemModal item={selectedMenuItem} onClose={() => setSelectedMenuItem(null)} />
+        <MenuItemModal
+          key={selectedMenuItem.id}
+          item={selectedMenuItem}
+          warnings={dishWarnings(selectedMenuItem)}
+          favourite={favourites.items.includes(selectedMenuItem.id)}
+          onToggleFavourite={selectedMenuItem.restaurantId ? () => favourites.toggleItem(selectedMenuItem.id) : null}
+          rating={selectedMenuItem.restaurantId ? reviews.summaryFor('item', selectedMenuItem.id) : null}
+          reviewStore={selectedMenuItem.restaurantId ? reviewStore : null}
+          onReviewAdded={reviews.added}
+          onClose={closeMenuItem}
+          onOrder={orderable ? (quantity, notes) => {
+            cart.add(orderable, quantity, notes);
+            closeMenuItem();
+            setShowCart(true);
+          } : undefined}
+          onViewMenu={() => (pickTarget?.restaurant
+            ? selectRestaurantForMenu(pickTarget.restaurant)
+            : navigate(routes.menus()))}
+        />
       )}
+
+      {menuItemMissing && (
+        <Dialog
+          label={t('notFound.dish')} onClose={closeMenuItem}
+          overlayClassName="items-center justify-center p-4" className="rounded-lg max-w-md w-full"
+        >
+          <NotFound
+            title={t('notFound.dish')}
+            message={t('notFound.dishMessage')}
+            actionLabel={t('common.close')}
+            onAction={closeMenuItem}
+          />
+        </Dialog>
+      )}
+
+      {showCart && (
+        <CartDrawer cart={cart} restaurants={restaurants} onClose={() => setShowCart(false)} />
+      )}
+
+      <UpdatePrompt />
+      <LiveUpdateToast update={liveUpdate} onDismiss={dismissLiveUpdate} />
     </div>
   );
 };
 
-export default MalawianRestaurantApp;
\ No newline at end of file
+// For the per-component accessibility tests in App.a11y.test.js
+export { Dialog, RestaurantCard, MenuItem, MenuItemModal, GourmetPicks, CartDrawer, SearchPanel };
+
+export default MalawianRestaurantApp;
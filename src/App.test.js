@@ -1,8 +1,70 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, act, fireEvent } from '@testing-library/react';
 import App from './App';
+import { POLL_INTERVAL_MS } from './liveUpdates';
+import { I18nProvider } from './i18n';
 
 test('renders learn react link', () => {
   render(<App />);
   const linkElement = screen.getByText(/learn react/i);
   expect(linkElement).toBeInTheDocument();
 });
+
+describe('background refresh', () => {
+  // Whatever source .env configures, answer with one restaurant until told to fail
+  let failing;
+  const menu = { values: [['Restaurant', 'Item', 'Price'], ['Kaya Cafe', 'Tea', 'K800']] };
+
+  beforeEach(() => {
+    failing = false;
+    localStorage.clear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = jest.fn(async (url) => {
+      if (failing) throw new TypeError('Failed to fetch');
+      return { ok: true, status: 200, json: async () => (/GourmetPicks/.test(url) ? { values: [] } : menu) };
+    });
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.fetch;
+    localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('a poll failing after a good first load marks the menus offline, not failed', async () => {
+    jest.useFakeTimers();
+    render(<App />);
+    expect(await screen.findByText(/^Last updated/)).toBeInTheDocument();
+
+    failing = true;
+    await act(async () => { jest.advanceTimersByTime(POLL_INTERVAL_MS); });
+    expect(await screen.findByText(/^Offline/)).toBeInTheDocument();
+    expect(screen.queryByText('Failed to load data. Check console for details.')).not.toBeInTheDocument();
+  });
+});
+
+describe('browsing in Chichewa', () => {
+  const menu = { values: [['Restaurant', 'Item', 'Price', 'Item name (Chichewa)'], ['Kaya Cafe', 'Tea', 'K800', 'Tiyi']] };
+
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('domasi.language.v1', 'ny');
+    window.location.hash = '#/r/kayacafe';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch = jest.fn(async (url) =>
+      ({ ok: true, status: 200, json: async () => (/GourmetPicks/.test(url) ? { values: [] } : menu) }));
+  });
+  afterEach(() => {
+    delete global.fetch;
+    localStorage.clear();
+    window.location.hash = '';
+    jest.restoreAllMocks();
+  });
+
+  test('shows translated dish names but orders the dish under its sheet name', async () => {
+    render(<I18nProvider><App /></I18nProvider>);
+    fireEvent.click(await screen.findByRole('button', { name: 'Onjezani Tiyi pa oda' }));
+    const [line] = JSON.parse(localStorage.getItem('domasi.cart.v1'));
+    expect(line.item).toMatchObject({ id: 'kayacafe-tea', name: 'Tea' });
+  });
+});
@@ -0,0 +1,108 @@
+import React, { useEffect, useRef, useMemo } from 'react';
+import L from 'leaflet';
+import 'leaflet.markercluster';
+import 'leaflet/dist/leaflet.css';
+import 'leaflet.markercluster/dist/MarkerCluster.css';
+import 'leaflet.markercluster/dist/MarkerCluster.Default.css';
+import { useI18n } from './i18n';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RESTAURANT MAP
+//
+// Loaded lazily from App so Leaflet only ships to people who open the Map
+// tab. Tiles default to OpenStreetMap; point REACT_APP_MAP_TILE_URL at any
+// {z}/{x}/{y} server (e.g. a local one in tests) and set
+// REACT_APP_MAP_TILE_ATTRIBUTION to match.
+// ─────────────────────────────────────────────────────────────────────────────
+export const TILES = {
+  url:         process.env.REACT_APP_MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: process.env.REACT_APP_MAP_TILE_ATTRIBUTION
+    || '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  maxZoom:     parseInt(process.env.REACT_APP_MAP_MAX_ZOOM, 10) || 19,
+};
+
+const MALAWI = { center: [-13.25, 34.3], zoom: 6 };
+
+// Plain CSS dot — Leaflet's default PNG markers don't survive bundling
+const MARKER_ICON = L.divIcon({
+  className: '',
+  html: '<span class="block w-4 h-4 rounded-full bg-red-600 border-2 border-white shadow-md"></span>',
+  iconSize: [16, 16],
+  iconAnchor: [8, 8],
+  popupAnchor: [0, -8],
+});
+
+// Built with DOM calls, not an HTML string — names come from the sheet
+const popupContent = (restaurant, onSelect, t) => {
+  const root = document.createElement('div');
+  root.className = 'space-y-1';
+  const name = root.appendChild(document.createElement('p'));
+  name.className = 'font-semibold text-gray-800';
+  name.textContent = restaurant.name;
+  const meta = root.appendChild(document.createElement('p'));
+  meta.className = 'text-xs text-gray-500';
+  meta.textContent = `${restaurant.specialty} • ${restaurant.location}`;
+  const button = root.appendChild(document.createElement('button'));
+  button.className = 'mt-1 bg-red-600 text-white text-xs font-medium px-3 py-1 rounded-lg';
+  button.textContent = t('map.viewMenu');
+  button.addEventListener('click', () => onSelect(restaurant));
+  return root;
+};
+
+const RestaurantMap = ({ restaurants, onSelectRestaurant, tiles = TILES }) => {
+  const { t } = useI18n();
+  const containerRef = useRef(null);
+  const mapRef       = useRef(null);
+  const clusterRef   = useRef(null);
+  const fittedRef    = useRef(false);
+  const onSelectRef  = useRef(onSelectRestaurant);
+  onSelectRef.current = onSelectRestaurant;
+  // Popups are built when opened, so they read the language at that moment
+  const tRef = useRef(t);
+  tRef.current = t;
+
+  useEffect(() => {
+    const map = L.map(containerRef.current, { center: MALAWI.center, zoom: MALAWI.zoom });
+    L.tileLayer(tiles.url, { attribution: tiles.attribution, maxZoom: tiles.maxZoom }).addTo(map);
+    clusterRef.current = L.markerClusterGroup({ showCoverageOnHover: false }).addTo(map);
+    mapRef.current = map;
+    return () => {
+      map.remove();
+      mapRef.current = null;
+      fittedRef.current = false;
+    };
+  }, [tiles.url, tiles.attribution, tiles.maxZoom]);
+
+  const plotted = useMemo(() => restaurants.filter(r => r.coords), [restaurants]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    const cluster = clusterRef.current;
+    if (!map || !cluster) return;
+    cluster.clearLayers();
+    const markers = plotted.map(r => L.marker([r.coords.lat, r.coords.lng], { icon: MARKER_ICON, title: r.name })
+      .bindPopup(() => popupContent(r, (picked) => onSelectRef.current(picked), tRef.current)));
+    cluster.addLayers(markers);
+
+    // Frame the restaurants once; later data refreshes leave the view alone
+    if (markers.length && !fittedRef.current) {
+      map.fitBounds(cluster.getBounds(), { padding: [32, 32], maxZoom: 14 });
+      fittedRef.current = true;
+    }
+  }, [plotted, tiles.url, tiles.attribution, tiles.maxZoom]);
+
+  const missing = restaurants.length - plotted.length;
+
+  return (
+    <div className="flex-1 flex flex-col bg-white rounded-lg shadow-md overflow-hidden">
+      <div ref={containerRef} className="flex-1 min-h-[60vh] z-0" aria-label={t('map.label')} />
+      {missing > 0 && (
+        <p className="px-4 py-2 text-xs text-gray-500 border-t">
+          {t('map.missing', { count: missing })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RestaurantMap;
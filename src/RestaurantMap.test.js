@@ -0,0 +1,51 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+
+// A stand-in tile server: nothing is fetched, the URLs are only checked
+const STUB_TILES = 'http://tiles.test/{z}/{x}/{y}.png';
+process.env.REACT_APP_MAP_TILE_URL = STUB_TILES;
+process.env.REACT_APP_MAP_TILE_ATTRIBUTION = 'Test tiles';
+const { default: RestaurantMap, TILES } = require('./RestaurantMap');
+
+const place = (id, name, coords) => ({ id, name, specialty: 'Lake fish', location: 'Lilongwe', coords });
+const kaya     = place('kayacafe', 'Kaya Cafe', { lat: -13.9626, lng: 33.7741 });
+const mandala  = place('mandala', 'Mandala Cafe', { lat: -13.9627, lng: 33.7742 });
+const grill    = place('lakeshoregrill', 'Lakeshore Grill', { lat: -15.7861, lng: 35.0058 });
+const unplaced = place('mamaruth', "Mama Ruth's Kitchen", null);
+
+// jsdom has no layout; Leaflet needs a sized container to place anything
+beforeEach(() => {
+  jest.spyOn(HTMLElement.prototype, 'clientWidth', 'get').mockReturnValue(800);
+  jest.spyOn(HTMLElement.prototype, 'clientHeight', 'get').mockReturnValue(600);
+});
+afterEach(() => jest.restoreAllMocks());
+
+// Leaflet's tiles are the only images, all with alt=""
+const tileUrls = () => screen.getAllByRole('img', { name: '' }).map(img => img.getAttribute('src')).filter(Boolean);
+
+test('tiles come from REACT_APP_MAP_TILE_URL', () => {
+  expect(TILES).toMatchObject({ url: STUB_TILES, attribution: 'Test tiles' });
+  render(<RestaurantMap restaurants={[kaya, grill]} onSelectRestaurant={() => {}} />);
+  const urls = tileUrls();
+  expect(urls.length).toBeGreaterThan(0);
+  expect(urls.every(u => /^http:\/\/tiles\.test\/\d+\/\d+\/\d+\.png$/.test(u))).toBe(true);
+  expect(screen.getByText('Test tiles')).toBeInTheDocument();
+});
+
+test('neighbours cluster and restaurants without coordinates are counted', async () => {
+  render(<RestaurantMap restaurants={[kaya, mandala, grill, unplaced]} onSelectRestaurant={() => {}} />);
+  // Kaya and Mandala sit metres apart: one "2" cluster, Lakeshore Grill alone.
+  // Framing the markers redraws the clusters; wait for the old ones to fade out.
+  expect(await screen.findByText('2')).toBeInTheDocument();
+  expect(screen.getByTitle('Lakeshore Grill')).toBeInTheDocument();
+  expect(screen.queryByTitle('Kaya Cafe')).not.toBeInTheDocument();
+  expect(screen.getByText(/1 restaurant isn't on the map yet/)).toBeInTheDocument();
+});
+
+test("a marker's popup opens that restaurant's menu", () => {
+  const onSelect = jest.fn();
+  render(<RestaurantMap restaurants={[kaya, grill]} onSelectRestaurant={onSelect} />);
+  fireEvent.click(screen.getByTitle('Lakeshore Grill'));
+  expect(screen.getByText('Lakeshore Grill', { selector: 'p' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'View menu' }));
+  expect(onSelect).toHaveBeenCalledWith(grill);
+});
@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useRef, useMemo, memo } from 'react';
+import { FALLBACK_IMG, getDriveImageUrl, responsiveImage, previewImageUrl } from './driveImage';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SafeImage
+//
+// Sheet images are full-size Drive uploads, so this never asks for one:
+//   • src/srcSet come from responsiveImage() — pass `sizes` for the slot the
+//     image fills so the browser can pick a width (defaults to full width)
+//   • nothing is fetched until the image is within ROOT_MARGIN of the
+//     viewport; `eager` skips that for images already on screen (the modal)
+//   • a ~24px copy sits blurred underneath until the real one has loaded
+//   • a failed load is retried once after RETRY_DELAY_MS — Drive throttles
+//     bursts — and only then swapped for FALLBACK_IMG
+// `className` sizes and shapes the wrapper; the <img> covers it.
+// ─────────────────────────────────────────────────────────────────────────────
+const DEBUG = process.env.NODE_ENV !== 'production';
+const warn = (...a) => DEBUG && console.warn('[RestaurantApp]', ...a);
+
+export const ROOT_MARGIN = '200px';
+export const RETRY_DELAY_MS = 1000;
+
+const canObserve = () => typeof window !== 'undefined' && 'IntersectionObserver' in window;
+
+// first try → retry → fallback; 'waiting' is the pause before the retry
+const NEXT_ATTEMPT = { first: 'waiting', retry: 'fallback' };
+
+const SafeImage = memo(({ src, alt, className = '', sizes = '100vw', eager = false }) => {
+  const wrapperRef = useRef(null);
+  const url = useMemo(() => getDriveImageUrl(src), [src]);
+  const [attempt, setAttempt] = useState('first');
+  const [loaded, setLoaded]   = useState(false);
+  const [visible, setVisible] = useState(() => eager || !canObserve());
+
+  // New source → start over (state, not a key, so the observer survives)
+  useEffect(() => {
+    setAttempt('first');
+    setLoaded(false);
+  }, [url]);
+
+  useEffect(() => {
+    if (visible) return undefined;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(e => e.isIntersecting)) {
+        setVisible(true);
+        observer.disconnect();
+      }
+    }, { rootMargin: ROOT_MARGIN });
+    observer.observe(wrapperRef.current);
+    return () => observer.disconnect();
+  }, [visible]);
+
+  useEffect(() => {
+    if (attempt !== 'waiting') return undefined;
+    const timer = setTimeout(() => setAttempt('retry'), RETRY_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [attempt]);
+
+  const current = attempt === 'fallback' ? FALLBACK_IMG : url;
+  const { src: imgSrc, srcSet } = useMemo(() => responsiveImage(current), [current]);
+  const preview = useMemo(() => previewImageUrl(current), [current]);
+
+  const handleError = () => {
+    // No way out of 'fallback' — prevents an infinite onError loop
+    if (!NEXT_ATTEMPT[attempt]) return;
+    warn(attempt === 'first' ? 'Image failed to load, retrying:' : 'Image failed again:', imgSrc);
+    setAttempt(NEXT_ATTEMPT[attempt]);
+  };
+
+  return (
+    <span ref={wrapperRef} className={`relative block overflow-hidden bg-gray-100 ${className}`}>
+      {visible && preview && !loaded && (
+        <img
+          src={preview} alt="" aria-hidden="true" data-testid="image-preview"
+          className="absolute inset-0 w-full h-full object-cover blur-md scale-110"
+        />
+      )}
+      <img
+        // Remounting is what makes the browser request the URL again
+        key={attempt}
+        src={visible && attempt !== 'waiting' ? imgSrc : undefined}
+        srcSet={visible && attempt !== 'waiting' ? srcSet : undefined}
+        sizes={srcSet ? sizes : undefined}
+        alt={alt}
+        loading={eager ? 'eager' : 'lazy'}
+        decoding="async"
+        onLoad={() => setLoaded(true)}
+        onError={handleError}
+        className={`relative w-full h-full object-cover transition-opacity duration-300 ${loaded ? 'opacity-100' : 'opacity-0'}`}
+      />
+    </span>
+  );
+});
+
+export default SafeImage;
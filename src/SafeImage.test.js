@@ -0,0 +1,80 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import SafeImage, { ROOT_MARGIN, RETRY_DELAY_MS } from './SafeImage';
+import { FALLBACK_IMG } from './driveImage';
+
+const ID = '1AbCdEfGhIjKlMnOpQrStUvWxYz_-0123';
+const LH3 = `https://lh3.googleusercontent.com/d/${ID}`;
+
+test('asks Drive for a srcset and blurs up from a tiny preview', () => {
+  render(<SafeImage src={`https://drive.google.com/file/d/${ID}/view`} alt="Chambo" sizes="64px" />);
+  const img = screen.getByAltText('Chambo');
+  expect(img).toHaveAttribute('src', `${LH3}=w640`);
+  expect(img.getAttribute('srcset')).toContain(`${LH3}=w320 320w`);
+  expect(img).toHaveAttribute('sizes', '64px');
+  expect(img).toHaveAttribute('loading', 'lazy');
+  expect(screen.getByTestId('image-preview')).toHaveAttribute('src', `${LH3}=w24`);
+
+  fireEvent.load(img);
+  expect(screen.queryByTestId('image-preview')).not.toBeInTheDocument();
+  expect(img).toHaveClass('opacity-100');
+});
+
+test('hosts that cannot resize get the original and no srcset', () => {
+  render(<SafeImage src="https://example.com/chambo.png" alt="Chambo" />);
+  const img = screen.getByAltText('Chambo');
+  expect(img).toHaveAttribute('src', 'https://example.com/chambo.png');
+  expect(img).not.toHaveAttribute('srcset');
+  expect(img).not.toHaveAttribute('sizes');
+  expect(screen.queryByTestId('image-preview')).not.toBeInTheDocument();
+});
+
+describe('lazy loading', () => {
+  let observers;
+  beforeEach(() => {
+    observers = [];
+    window.IntersectionObserver = jest.fn(function IntersectionObserver(callback, options) {
+      observers.push({ callback, options });
+      this.observe = jest.fn();
+      this.disconnect = jest.fn();
+    });
+  });
+  afterEach(() => { delete window.IntersectionObserver; });
+
+  test('waits until the image nears the viewport', () => {
+    render(<SafeImage src={LH3} alt="Chambo" />);
+    const img = screen.getByAltText('Chambo');
+    expect(img).not.toHaveAttribute('src');
+    expect(observers[0].options).toEqual({ rootMargin: ROOT_MARGIN });
+
+    act(() => observers[0].callback([{ isIntersecting: true }]));
+    expect(img).toHaveAttribute('src', `${LH3}=w640`);
+  });
+
+  test('eager images skip the observer', () => {
+    render(<SafeImage src={LH3} alt="Chambo" eager />);
+    expect(screen.getByAltText('Chambo')).toHaveAttribute('src', `${LH3}=w640`);
+    expect(screen.getByAltText('Chambo')).toHaveAttribute('loading', 'eager');
+    expect(observers).toHaveLength(0);
+  });
+});
+
+test('retries once after a pause, then falls back', () => {
+  jest.useFakeTimers();
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  render(<SafeImage src={LH3} alt="Chambo" />);
+
+  fireEvent.error(screen.getByAltText('Chambo'));
+  expect(screen.getByAltText('Chambo')).not.toHaveAttribute('src');
+  act(() => { jest.advanceTimersByTime(RETRY_DELAY_MS); });
+  expect(screen.getByAltText('Chambo')).toHaveAttribute('src', `${LH3}=w640`);
+
+  fireEvent.error(screen.getByAltText('Chambo'));
+  expect(screen.getByAltText('Chambo').getAttribute('src')).toMatch(/^https:\/\/images\.unsplash\.com\/photo-1546069901-ba9599a7e63c\?w=640/);
+  // The fallback failing as well is the end of the line
+  fireEvent.error(screen.getByAltText('Chambo'));
+  expect(screen.getByAltText('Chambo').getAttribute('src')).toContain(new URL(FALLBACK_IMG).pathname);
+  expect(warn).toHaveBeenCalledTimes(2);
+
+  warn.mockRestore();
+  jest.useRealTimers();
+});
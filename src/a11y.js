@@ -0,0 +1,75 @@
+import { useEffect, useRef } from 'react';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ACCESSIBILITY
+//
+// useDialog(ref, { onClose }) gives an overlay the keyboard behaviour
+// WCAG expects of a modal: focus moves in when it opens, Tab and Shift+Tab
+// cycle inside it, Escape closes it, and focus goes back to whatever opened
+// it once it closes. `trap: false` keeps the rest (used by the mobile
+// sidebar, whose toggle sits outside it). Open dialogs form a stack: only
+// the topmost answers Escape and Tab, so the cart opened over the sidebar
+// closes alone.
+//
+// Motion: index.css switches CSS animation off for prefers-reduced-motion;
+// scrolls started from JS ask scrollBehavior() instead of hard-coding
+// 'smooth'.
+// ─────────────────────────────────────────────────────────────────────────────
+const FOCUSABLE = [
+  'a[href]', 'button:not([disabled])', 'input:not([disabled])', 'select:not([disabled])',
+  'textarea:not([disabled])', '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+export const focusableIn = (root) => (root ? Array.from(root.querySelectorAll(FOCUSABLE)) : []);
+
+export const prefersReducedMotion = () =>
+  typeof window !== 'undefined' && !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+export const scrollBehavior = () => (prefersReducedMotion() ? 'auto' : 'smooth');
+
+// Newest last; each entry is the dialog's own keydown handler
+const openDialogs = [];
+
+export const useDialog = (ref, { onClose, active = true, trap = true } = {}) => {
+  // Latest onClose without re-running the effect (and stealing focus) on every render
+  const closeRef = useRef(onClose);
+  closeRef.current = onClose;
+
+  useEffect(() => {
+    if (!active) return undefined;
+    const opener = document.activeElement;
+    const root = ref.current;
+    // [data-autofocus] wins; otherwise the first control, else the dialog itself
+    const initial = root?.querySelector('[data-autofocus]') || focusableIn(root)[0] || root;
+    initial?.focus();
+
+    const onKeyDown = (e) => {
+      if (openDialogs[openDialogs.length - 1] !== onKeyDown) return;
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        closeRef.current?.();
+        return;
+      }
+      if (e.key !== 'Tab' || !trap || !root) return;
+      const items = focusableIn(root);
+      if (!items.length) { e.preventDefault(); root.focus(); return; }
+      const first = items[0];
+      const last  = items[items.length - 1];
+      if (!root.contains(document.activeElement)) { e.preventDefault(); first.focus(); }
+      else if (e.shiftKey && (document.activeElement === first || document.activeElement === root)) {
+        e.preventDefault(); last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+    };
+    openDialogs.push(onKeyDown);
+    document.addEventListener('keydown', onKeyDown);
+
+    return () => {
+      document.removeEventListener('keydown', onKeyDown);
+      openDialogs.splice(openDialogs.indexOf(onKeyDown), 1);
+      // Hand focus back only if it was ours — not if a dialog above has it
+      const focused = document.activeElement;
+      const ours = !focused || focused === document.body || root?.contains(focused);
+      if (ours && opener && opener.isConnected && typeof opener.focus === 'function') opener.focus();
+    };
+  }, [ref, active, trap]);
+};
@@ -0,0 +1,89 @@
+import { useRef, useState } from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { useDialog, focusableIn, scrollBehavior } from './a11y';
+
+const Panel = ({ trap, onClose }) => {
+  const ref = useRef(null);
+  useDialog(ref, { trap, onClose });
+  return (
+    <div ref={ref} tabIndex={-1} data-testid="panel">
+      <button>First</button>
+      <button disabled>Off</button>
+      <input aria-label="Middle" data-autofocus />
+      <button>Last</button>
+    </div>
+  );
+};
+
+test('focusableIn skips disabled controls', () => {
+  render(<Panel />);
+  expect(focusableIn(screen.getByTestId('panel')).map(el => el.textContent || el.getAttribute('aria-label')))
+    .toEqual(['First', 'Middle', 'Last']);
+  expect(focusableIn(null)).toEqual([]);
+});
+
+test('data-autofocus decides where focus starts; Tab wraps when trapped', () => {
+  render(<Panel />);
+  expect(screen.getByLabelText('Middle')).toHaveFocus();
+  userEvent.tab();
+  expect(screen.getByText('Last')).toHaveFocus();
+  userEvent.tab();
+  expect(screen.getByText('First')).toHaveFocus();
+  userEvent.tab({ shift: true });
+  expect(screen.getByText('Last')).toHaveFocus();
+});
+
+test('trap: false lets Tab leave but Escape still closes', () => {
+  const onClose = jest.fn();
+  render(<><Panel trap={false} onClose={onClose} /><button>Outside</button></>);
+  screen.getByText('Last').focus();
+  userEvent.tab();
+  expect(screen.getByText('Outside')).toHaveFocus();
+  fireEvent.keyDown(document, { key: 'Escape' });
+  expect(onClose).toHaveBeenCalledTimes(1);
+});
+
+test('with two dialogs open only the top one answers Escape and Tab', () => {
+  const Stack = () => {
+    const [sidebar, setSidebar] = useState(true);
+    const [cart, setCart] = useState(false);
+    const sidebarRef = useRef(null);
+    const cartRef = useRef(null);
+    useDialog(sidebarRef, { active: sidebar, trap: false, onClose: () => setSidebar(false) });
+    useDialog(cartRef, { active: cart, onClose: () => setCart(false) });
+    return (
+      <>
+        <button onClick={() => setCart(true)}>Open cart</button>
+        <aside ref={sidebarRef} aria-label="Sidebar" hidden={!sidebar}><button>Kaya Cafe</button></aside>
+        {cart && <div ref={cartRef} role="dialog" aria-label="Cart"><button>Checkout</button></div>}
+      </>
+    );
+  };
+  render(<Stack />);
+  expect(screen.getByText('Kaya Cafe')).toHaveFocus();
+
+  screen.getByText('Open cart').focus();
+  fireEvent.click(screen.getByText('Open cart'));
+  expect(screen.getByText('Checkout')).toHaveFocus();
+  userEvent.tab();
+  expect(screen.getByText('Checkout')).toHaveFocus();
+
+  fireEvent.keyDown(document, { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(screen.getByRole('complementary', { name: 'Sidebar' })).toBeVisible();
+  expect(screen.getByText('Open cart')).toHaveFocus();
+
+  fireEvent.keyDown(document, { key: 'Escape' });
+  expect(screen.queryByRole('complementary', { name: 'Sidebar' })).not.toBeInTheDocument();
+});
+
+test('scrollBehavior honours prefers-reduced-motion', () => {
+  const original = window.matchMedia;
+  window.matchMedia = (query) => ({ matches: query === '(prefers-reduced-motion: reduce)' });
+  expect(scrollBehavior()).toBe('auto');
+  window.matchMedia = () => ({ matches: false });
+  expect(scrollBehavior()).toBe('smooth');
+  window.matchMedia = original;
+  expect(scrollBehavior()).toBe('smooth');
+});
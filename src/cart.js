@@ -0,0 +1,173 @@
+import { useReducer, useEffect, useCallback, useMemo } from 'react';
+import { priceOf, baseAmount, formatMoney } from './price';
+import { upgradeLegacyItemId } from './dataSources';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CART
+//
+// Lines are keyed by item id + notes so "Nsima, no salt" and plain "Nsima"
+// stay separate. Each line carries the restaurantId it was ordered from —
+// one restaurant = one order at checkout.
+// ─────────────────────────────────────────────────────────────────────────────
+const CART_STORAGE_KEY = 'domasi.cart.v1';
+
+const DEBUG = process.env.NODE_ENV !== 'production';
+const warn = (...a) => DEBUG && console.warn('[Cart]', ...a);
+
+const lineKey = (itemId, notes) => `${itemId}::${(notes || '').trim().toLowerCase()}`;
+
+export const cartReducer = (state, action) => {
+  switch (action.type) {
+    case 'add': {
+      const { item, quantity = 1, notes = '' } = action;
+      const key = lineKey(item.id, notes);
+      const existing = state.find(l => l.key === key);
+      if (existing) {
+        return state.map(l => l.key === key ? { ...l, quantity: l.quantity + quantity } : l);
+      }
+      return [...state, {
+        key,
+        restaurantId: item.restaurantId,
+        item: { id: item.id, name: item.name, price: item.price, priceValue: priceOf(item), image: item.image },
+        quantity,
+        notes: notes.trim(),
+      }];
+    }
+    case 'setQuantity':
+      return action.quantity > 0
+        ? state.map(l => l.key === action.key ? { ...l, quantity: action.quantity } : l)
+        : state.filter(l => l.key !== action.key);
+    case 'remove':
+      return state.filter(l => l.key !== action.key);
+    case 'clearRestaurant':
+      return state.filter(l => l.restaurantId !== action.restaurantId);
+    default:
+      return state;
+  }
+};
+
+// In Kwacha, whatever currency the sheet priced the item in
+export const lineTotal = (line) => (baseAmount(priceOf(line.item)) || 0) * line.quantity;
+
+// → [{ restaurantId, lines, total }] in the order restaurants were first added
+export const groupCartByRestaurant = (lines) => {
+  const groups = new Map();
+  lines.forEach(line => {
+    if (!groups.has(line.restaurantId)) {
+      groups.set(line.restaurantId, { restaurantId: line.restaurantId, lines: [], total: 0 });
+    }
+    const g = groups.get(line.restaurantId);
+    g.lines.push(line);
+    g.total += lineTotal(line);
+  });
+  return Array.from(groups.values());
+};
+
+// Lines saved while item ids still ended in their sheet row
+export const upgradeLine = (line) => {
+  const id = upgradeLegacyItemId(line.item?.id, line.restaurantId);
+  return id ? { ...line, key: lineKey(id, line.notes), item: { ...line.item, id } } : line;
+};
+
+const loadCart = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CART_STORAGE_KEY));
+    return Array.isArray(saved) ? saved.map(upgradeLine) : [];
+  } catch (e) { return []; }
+};
+
+export const useCart = () => {
+  const [lines, dispatch] = useReducer(cartReducer, undefined, loadCart);
+
+  useEffect(() => {
+    try { localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(lines)); }
+    catch (e) { warn('Could not persist cart:', e); }
+  }, [lines]);
+
+  const add             = useCallback((item, quantity, notes) => dispatch({ type: 'add', item, quantity, notes }), []);
+  const setQuantity     = useCallback((key, quantity) => dispatch({ type: 'setQuantity', key, quantity }), []);
+  const remove          = useCallback((key) => dispatch({ type: 'remove', key }), []);
+  const clearRestaurant = useCallback((restaurantId) => dispatch({ type: 'clearRestaurant', restaurantId }), []);
+
+  const count  = useMemo(() => lines.reduce((n, l) => n + l.quantity, 0), [lines]);
+  const groups = useMemo(() => groupCartByRestaurant(lines), [lines]);
+
+  return { lines, groups, count, add, setQuantity, remove, clearRestaurant };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ORDER SINKS
+//
+// A sink takes { restaurant, lines, total, customer } and delivers it.
+// Both return { ok, url?, error? } so the checkout UI doesn't care which
+// one ran. Pick one with REACT_APP_ORDER_SINK=whatsapp|api; by default a
+// restaurant with a phone number gets WhatsApp, anything else goes to the API.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Malawi local format "0999 123 456" → international "265999123456"
+export const toWhatsAppNumber = (phone) => {
+  const digits = (phone || '').toString().replace(/\D/g, '');
+  if (!digits) return '';
+  if (digits.startsWith('0')) return `265${digits.slice(1)}`;
+  return digits;
+};
+
+export const buildOrderMessage = ({ restaurant, lines, total, customer = {} }) => {
+  const out = [`New order for ${restaurant.name}`, ''];
+  lines.forEach(l => {
+    out.push(`${l.quantity} x ${l.item.name}${l.item.price ? ` (${l.item.price})` : ''}`);
+    if (l.notes) out.push(`   Note: ${l.notes}`);
+  });
+  out.push('', `Total: ${formatMoney(total)}`);
+  if (customer.name)  out.push(`Name: ${customer.name}`);
+  if (customer.phone) out.push(`Phone: ${customer.phone}`);
+  if (customer.notes) out.push(`Notes: ${customer.notes}`);
+  return out.join('\n');
+};
+
+export const whatsAppSink = {
+  name: 'whatsapp',
+  async submit(order) {
+    const number = toWhatsAppNumber(order.restaurant.phone);
+    if (!number) return { ok: false, error: `${order.restaurant.name} has no phone number` };
+    const url = `https://wa.me/${number}?text=${encodeURIComponent(buildOrderMessage(order))}`;
+    window.open(url, '_blank', 'noopener');
+    return { ok: true, url };
+  },
+};
+
+export const createApiSink = (baseUrl) => ({
+  name: 'api',
+  async submit({ restaurant, lines, total, customer }) {
+    if (!baseUrl) return { ok: false, error: 'REACT_APP_API_BASE_URL is not set' };
+    try {
+      const res = await fetch(`${baseUrl.replace(/\/$/, '')}/orders`, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          restaurantId: restaurant.id,
+          items: lines.map(l => ({
+            itemId: l.item.id, name: l.item.name, price: l.item.price,
+            quantity: l.quantity, notes: l.notes,
+          })),
+          total,
+          customer,
+        }),
+      });
+      if (!res.ok) return { ok: false, error: `Order failed (${res.status})` };
+      return { ok: true };
+    } catch (e) {
+      return { ok: false, error: 'Could not reach the order server' };
+    }
+  },
+});
+
+export const getOrderSink = (restaurant, {
+  preferred = process.env.REACT_APP_ORDER_SINK,
+  apiBaseUrl = process.env.REACT_APP_API_BASE_URL,
+} = {}) => {
+  const api = createApiSink(apiBaseUrl);
+  if (preferred === 'api') return api;
+  if (preferred === 'whatsapp') return whatsAppSink;
+  return restaurant?.phone ? whatsAppSink : api;
+};
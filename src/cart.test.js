@@ -0,0 +1,90 @@
+import {
+  cartReducer, groupCartByRestaurant, lineTotal,
+  toWhatsAppNumber, buildOrderMessage, getOrderSink, whatsAppSink, upgradeLine,
+} from './cart';
+
+const nsima  = { id: 'nsima-kaya-1',  restaurantId: 'kaya', name: 'Nsima',  price: 'K3,500' };
+const chambo = { id: 'chambo-kaya-2', restaurantId: 'kaya', name: 'Chambo', price: 'MK 7 000' };
+const tea    = { id: 'tea-nyama-1',   restaurantId: 'nyama', name: 'Tea',   price: '800' };
+
+test('cartReducer merges identical lines and keeps different notes apart', () => {
+  let state = cartReducer([], { type: 'add', item: nsima });
+  state = cartReducer(state, { type: 'add', item: nsima, quantity: 2 });
+  state = cartReducer(state, { type: 'add', item: nsima, notes: 'no salt' });
+  expect(state).toHaveLength(2);
+  expect(state[0].quantity).toBe(3);
+
+  state = cartReducer(state, { type: 'setQuantity', key: state[1].key, quantity: 0 });
+  expect(state).toHaveLength(1);
+});
+
+test('groupCartByRestaurant totals each restaurant separately', () => {
+  let state = [];
+  state = cartReducer(state, { type: 'add', item: nsima, quantity: 2 });
+  state = cartReducer(state, { type: 'add', item: tea });
+  state = cartReducer(state, { type: 'add', item: chambo });
+  const groups = groupCartByRestaurant(state);
+  expect(groups.map(g => [g.restaurantId, g.total])).toEqual([['kaya', 14000], ['nyama', 800]]);
+
+  state = cartReducer(state, { type: 'clearRestaurant', restaurantId: 'kaya' });
+  expect(groupCartByRestaurant(state).map(g => g.restaurantId)).toEqual(['nyama']);
+});
+
+test('lines total in Kwacha, including foreign and older saved lines', () => {
+  const [wine] = cartReducer([], { type: 'add', item: { id: 'w', restaurantId: 'kaya', price: 'US$10' }, quantity: 2 });
+  expect(wine.item.priceValue).toMatchObject({ amount: 10, currency: 'USD' });
+  expect(lineTotal(wine)).toBe(2 * 10 * 1750);
+  // Saved before prices were parsed — no priceValue on the line
+  expect(lineTotal({ item: { price: 'K1,200' }, quantity: 3 })).toBe(3600);
+  expect(lineTotal({ item: { price: 'Ask staff' }, quantity: 1 })).toBe(0);
+});
+
+test('toWhatsAppNumber converts local Malawi numbers', () => {
+  expect(toWhatsAppNumber('0999 123 456')).toBe('265999123456');
+  expect(toWhatsAppNumber('+265 888 123 456')).toBe('265888123456');
+  expect(toWhatsAppNumber('')).toBe('');
+});
+
+test('buildOrderMessage lists lines, notes and total', () => {
+  const lines = cartReducer([], { type: 'add', item: nsima, quantity: 2, notes: 'extra relish' });
+  const msg = buildOrderMessage({
+    restaurant: { name: 'Kaya Cafe' }, lines, total: 7000, customer: { name: 'Chikondi' },
+  });
+  expect(msg).toContain('New order for Kaya Cafe');
+  expect(msg).toContain('2 x Nsima (K3,500)');
+  expect(msg).toContain('Note: extra relish');
+  expect(msg).toContain('Total: MK\u00a07,000');
+  expect(msg).toContain('Name: Chikondi');
+});
+
+test('getOrderSink prefers WhatsApp when the restaurant has a phone', () => {
+  expect(getOrderSink({ phone: '0999123456' }, { preferred: undefined }).name).toBe('whatsapp');
+  expect(getOrderSink({ phone: '' }, { preferred: undefined }).name).toBe('api');
+  expect(getOrderSink({ phone: '0999123456' }, { preferred: 'api' }).name).toBe('api');
+});
+
+test('api sink posts the order as JSON', async () => {
+  const fetchMock = jest.fn().mockResolvedValue({ ok: true });
+  global.fetch = fetchMock;
+  const sink = getOrderSink({}, { preferred: 'api', apiBaseUrl: 'http://localhost:3000/api/' });
+  const lines = cartReducer([], { type: 'add', item: nsima });
+  const result = await sink.submit({ restaurant: { id: 'kaya' }, lines, total: 3500, customer: {} });
+
+  expect(result.ok).toBe(true);
+  const [url, init] = fetchMock.mock.calls[0];
+  expect(url).toBe('http://localhost:3000/api/orders');
+  expect(JSON.parse(init.body)).toMatchObject({ restaurantId: 'kaya', total: 3500 });
+  delete global.fetch;
+});
+
+test('whatsApp sink refuses restaurants without a phone', async () => {
+  const result = await whatsAppSink.submit({ restaurant: { name: 'Kaya Cafe' }, lines: [], total: 0 });
+  expect(result.ok).toBe(false);
+});
+
+test('saved lines with row-numbered item ids move to the stable id', () => {
+  const line = { key: 'Nsima-kaya-1::no salt', restaurantId: 'kaya', item: { id: 'Nsima-kaya-1', name: 'Nsima' }, quantity: 1, notes: 'no salt' };
+  expect(upgradeLine(line)).toMatchObject({ key: 'kaya-nsima::no salt', item: { id: 'kaya-nsima', name: 'Nsima' } });
+  const current = { ...line, key: 'kaya-nsima::', item: { id: 'kaya-nsima' }, notes: '' };
+  expect(upgradeLine(current)).toBe(current);
+});
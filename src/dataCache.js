@@ -0,0 +1,58 @@
+import { englishT } from './i18n';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SHEET SNAPSHOT CACHE
+//
+// Stale-while-revalidate for the parsed sheet: the last good snapshot is
+// rendered straight away, then always refreshed in the background. Quick
+// reloads are throttled rather than skipped: a snapshot younger than
+// REVALIDATE_GAP_MS is refreshed once it reaches that age, so a burst of
+// reloads spends one Sheets API call, not one each.
+// ─────────────────────────────────────────────────────────────────────────────
+const CACHE_KEY    = 'domasi.sheetSnapshot.v1';
+export const REVALIDATE_GAP_MS = 30 * 1000;
+
+const DEBUG = process.env.NODE_ENV !== 'production';
+const warn = (...a) => DEBUG && console.warn('[DataCache]', ...a);
+
+// → { savedAt, restaurants, menuItems, gourmetPicks } or null
+export const loadSnapshot = () => {
+  try {
+    const snap = JSON.parse(localStorage.getItem(CACHE_KEY));
+    if (!snap || !Array.isArray(snap.restaurants) || typeof snap.savedAt !== 'number') return null;
+    return snap;
+  } catch (e) {
+    warn('Unreadable snapshot, ignoring:', e);
+    return null;
+  }
+};
+
+export const saveSnapshot = ({ restaurants, menuItems, gourmetPicks }, now = Date.now()) => {
+  const snap = { savedAt: now, restaurants, menuItems, gourmetPicks };
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify(snap));
+  } catch (e) {
+    // Quota exceeded / private mode — the app still works, just without a cache
+    warn('Could not save snapshot:', e);
+  }
+  return snap;
+};
+
+// ms to wait before revalidating `snap`; 0 means now
+export const revalidateDelay = (snap, now = Date.now()) =>
+  snap ? Math.max(0, snap.savedAt + REVALIDATE_GAP_MS - now) : 0;
+
+// An empty parse almost always means the fetch failed (_fetch swallows
+// errors and returns []), so never let it overwrite a good snapshot.
+export const isUsableSnapshot = (data) =>
+  !!data && Array.isArray(data.restaurants) && data.restaurants.length > 0;
+
+// "just now" / "5 min ago" / "3 h ago" / "2 days ago"
+export const formatAge = (savedAt, now = Date.now(), t = englishT) => {
+  const mins = Math.floor((now - savedAt) / 60000);
+  if (mins < 1)  return t('age.justNow');
+  if (mins < 60) return t('age.minutes', { count: mins });
+  const hours = Math.floor(mins / 60);
+  if (hours < 24) return t('age.hours', { count: hours });
+  return t('age.days', { count: Math.floor(hours / 24) });
+};
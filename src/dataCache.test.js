@@ -0,0 +1,42 @@
+import {
+  loadSnapshot, saveSnapshot, revalidateDelay, isUsableSnapshot, formatAge, REVALIDATE_GAP_MS,
+} from './dataCache';
+
+const data = {
+  restaurants:  [{ id: 'kayacafe', name: 'Kaya Cafe' }],
+  menuItems:    { kayacafe: [] },
+  gourmetPicks: [],
+};
+
+beforeEach(() => localStorage.clear());
+
+test('saveSnapshot round-trips through localStorage with a timestamp', () => {
+  saveSnapshot(data, 1000);
+  expect(loadSnapshot()).toEqual({ savedAt: 1000, ...data });
+});
+
+test('loadSnapshot ignores missing or corrupt entries', () => {
+  expect(loadSnapshot()).toBeNull();
+  localStorage.setItem('domasi.sheetSnapshot.v1', '{not json');
+  expect(loadSnapshot()).toBeNull();
+});
+
+test('revalidateDelay throttles a just-saved snapshot but never skips it', () => {
+  const snap = { savedAt: 0 };
+  expect(revalidateDelay(snap, 10 * 1000)).toBe(REVALIDATE_GAP_MS - 10 * 1000);
+  expect(revalidateDelay(snap, REVALIDATE_GAP_MS)).toBe(0);
+  expect(revalidateDelay(snap, 60 * 60 * 1000)).toBe(0);
+  expect(revalidateDelay(null)).toBe(0);
+});
+
+test('empty parses are not usable snapshots', () => {
+  expect(isUsableSnapshot({ restaurants: [], menuItems: {} })).toBe(false);
+  expect(isUsableSnapshot(data)).toBe(true);
+});
+
+test('formatAge', () => {
+  expect(formatAge(0, 30 * 1000)).toBe('just now');
+  expect(formatAge(0, 5 * 60 * 1000)).toBe('5 min ago');
+  expect(formatAge(0, 3 * 3600 * 1000)).toBe('3 h ago');
+  expect(formatAge(0, 26 * 3600 * 1000)).toBe('1 day ago');
+});
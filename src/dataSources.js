@@ -0,0 +1,403 @@
+import { getDriveImageUrl } from './driveImage';
+import { mapHeaders, readRow, MENU_SCHEMA, GOURMET_PICKS_SCHEMA } from './sheetSchema';
+import { parseTags } from './dietary';
+import { resolveCoords } from './geo';
+import { readTranslations } from './i18n';
+import { parsePrice } from './price';
+import { parsePickDate, parsePriority } from './gourmetPicks';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DATA SOURCES
+//
+// Where the menus come from. Every source has the same shape:
+//
+//   source.name                 'sheets' | 'csv' | 'json' | 'api'
+//   source.load()            →  { ok, data: { restaurants, menuItems, gourmetPicks }, error }
+//   source.rows?()           →  { ok, menuRows, pickRows, error }   spreadsheet-backed only,
+//                                                                  for #/admin/validate
+//
+// Pick one with REACT_APP_DATA_SOURCE:
+//   sheets  Google Sheets API — REACT_APP_GOOGLE_SHEETS_API_KEY + REACT_APP_GOOGLE_SHEETS_ID
+//   csv     the sheet "published to the web" as CSV — REACT_APP_SHEET_CSV_URL, plus
+//           REACT_APP_GOURMET_PICKS_CSV_URL for the GourmetPicks tab
+//   json    a static file, public/data.json by default (REACT_APP_DATA_JSON_URL)
+//   api     GET REACT_APP_API_BASE_URL/menu → { restaurants, menuItems, gourmetPicks }
+// Unset, it's sheets if its keys are there, else csv if its URL is, else
+// json — so with nothing configured the site runs on public/data.json and
+// local work needs no keys. api is never picked implicitly: the same base
+// URL also serves orders and reviews.
+// ─────────────────────────────────────────────────────────────────────────────
+const DEBUG = process.env.NODE_ENV !== 'production';
+const log  = (...a) => DEBUG && console.log('[DataSource]', ...a);
+const warn = (...a) => DEBUG && console.warn('[DataSource]', ...a);
+const err  = (...a) => console.error('[DataSource]', ...a);
+
+const EMPTY = { restaurants: [], menuItems: {} };
+
+export const restaurantId = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// "Nsima & Chambo" → "nsima-chambo"; accents go, so "Ŵ" still counts as "w"
+const slug = (text) => (text || '').toString().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// "kayacafe" + "Nsima & Chambo" → "kayacafe-nsima-chambo"
+export const itemId = (rId, name) => `${rId}-${slug(name) || 'item'}`;
+
+/**
+ * Ids from before createItemIds ended in the sheet row: "Nsima-kayacafe-3".
+ * → the stable id for that dish, or null when `id` isn't one of those.
+ * Pass the restaurant when it's known; a stable id like "kayacafe-tea-2"
+ * has the same shape.
+ */
+export const upgradeLegacyItemId = (id, rId) => {
+  const legacy = (id || '').toString().match(/^(.+)-([a-z0-9]+)-\d+$/);
+  if (!legacy || (rId && legacy[2] !== rId)) return null;
+  return itemId(legacy[2], legacy[1]);
+};
+
+/**
+ * Item ids that survive rows being added, removed or reordered — favourites,
+ * recents, reviews, cart lines and shared links all hold them. A name used
+ * twice on one menu gets -2, -3… in sheet order.
+ */
+export const createItemIds = () => {
+  const used = new Set();
+  return (rId, name) => {
+    const base = itemId(rId, name);
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+    used.add(id);
+    return id;
+  };
+};
+
+// Picks are keyed by name the same way — "Chambo week" → "promo-chambo-week" —
+// so #/picks links and the live-update diff don't shift when rows move
+const PICK_ID_PREFIX = 'promo';
+
+// Header row → column mapping; null (and logged) when required columns are missing
+const mapSchemaHeaders = (header, schema) => {
+  const mapping = mapHeaders(header, schema);
+  if (mapping.missing.length) {
+    err(`${schema.sheet} is missing required column(s): ${mapping.missing.join(', ')} — see #/admin/validate`);
+    return null;
+  }
+  if (mapping.legacy) warn(`${schema.sheet}: no recognised headers — reading columns by position`);
+  if (mapping.extras.length) log(`${schema.sheet} extra columns:`, mapping.extras.map(e => e.key).join(', '));
+  return mapping;
+};
+
+/** Sheet1 rows (header first) → { restaurants, menuItems: { [restaurantId]: item[] } } */
+export const parseMenuRows = (sheetData) => {
+  if (!sheetData || sheetData.length < 2) {
+    warn('parseMenuRows: no data'); return EMPTY;
+  }
+  const [header, ...rows] = sheetData;
+  const mapping = mapSchemaHeaders(header, MENU_SCHEMA);
+  if (!mapping) return EMPTY;
+
+  const restaurants = new Map();
+  const menuItems   = {};
+  const nextItemId  = createItemIds();
+  let   skipped     = 0;
+
+  rows.forEach((row) => {
+    const r = readRow(row, mapping);
+    if (!r.restaurant) { skipped++; return; }
+
+    // Unrecognised columns ride along as `extra` on both the restaurant
+    // (first row's values, like every restaurant-level field) and the item.
+    if (!restaurants.has(r.restaurant)) {
+      const rId = restaurantId(r.restaurant);
+      restaurants.set(r.restaurant, {
+        id:       rId,
+        name:     r.restaurant,
+        location: r.location  || 'Malawi',
+        specialty:r.specialty || 'Malawian Cuisine',
+        image:    getDriveImageUrl(r.rImage),
+        mapsUrl:  r.mapsUrl || '',
+        isTop:    r.isTop === 'TRUE',
+        phone:    r.phone || '',
+        hours:    r.hours || '',
+        coords:   resolveCoords(r.coordinates, r.mapsUrl, r.lat, r.lng),
+        extra:    r.extra,
+      });
+      menuItems[rId] = [];
+    }
+
+    const rId = restaurants.get(r.restaurant).id;
+    menuItems[rId].push({
+      id:          nextItemId(rId, r.item),
+      restaurantId:rId,
+      name:        r.item        || 'Unnamed Item',
+      price:       r.price       || '',
+      priceValue:  parsePrice(r.price),
+      category:    r.category    || 'Main Dishes',
+      description: r.description || '',
+      image:       getDriveImageUrl(r.image),
+      mapsUrl:     r.mapsUrl     || '',
+      tags:        parseTags(r.tags),
+      translations:readTranslations(r, { name: 'item', description: 'description' }),
+      extra:       r.extra,
+    });
+  });
+
+  if (skipped) warn(`Skipped ${skipped} rows — see #/admin/validate for details`);
+  log(`Parsed: ${restaurants.size} restaurants`);
+  return { restaurants: Array.from(restaurants.values()), menuItems };
+};
+
+/**
+ * GourmetPicks rows (header first) → every pick, scheduled or not.
+ * activePicks() decides what's showing today.
+ */
+export const parsePickRows = (rows) => {
+  if (!rows || rows.length < 2) { warn('GourmetPicks: empty'); return []; }
+  const [header, ...data] = rows;
+  const mapping = mapSchemaHeaders(header, GOURMET_PICKS_SCHEMA);
+  if (!mapping) return [];
+  const nextPickId = createItemIds();
+  return data.filter(row => row.some(c => (c || '').toString().trim())).map((row) => {
+    const p = readRow(row, mapping);
+    return {
+      id:          nextPickId(PICK_ID_PREFIX, p.name),
+      name:        p.name        || '',
+      description: p.description || '',
+      promoText:   p.promoText   || '',
+      image:       getDriveImageUrl(p.image),
+      price:       p.price       || '',
+      priceValue:  parsePrice(p.price),
+      mapsUrl:     p.mapsUrl     || '',
+      startDate:   parsePickDate(p.startDate),
+      endDate:     parsePickDate(p.endDate),
+      // Not `restaurantId` — that marks a menu item, and a pick isn't one
+      targetRestaurantId: p.restaurant ? restaurantId(p.restaurant) : '',
+      priority:    parsePriority(p.priority),
+      translations:readTranslations(p, { name: 'name', description: 'description', promoText: 'promoText' }),
+      extra:       p.extra,
+    };
+  });
+};
+
+// "vegan, spicy", ["vegan", "spicy"] or an already-parsed tags object
+const toTags = (tags) => Array.isArray(tags) ? parseTags(tags.join(','))
+  : tags && typeof tags === 'object' ? tags
+  : parseTags(tags);
+
+/**
+ * Hand-written or server-built data → the shape parseMenuRows produces.
+ * Fills ids, defaults, coordinates (a `coords` object, a "lat, lng"
+ * string, separate `lat`/`lng` or the maps link) and parsed tags so a
+ * minimal file like
+ *   { "restaurants": [{ "name": "Kaya Cafe" }], "menuItems": { "kayacafe": [{ "name": "Tea" }] } }
+ * renders like a spreadsheet would.
+ */
+export const normalizeData = (raw) => {
+  const restaurants = (Array.isArray(raw?.restaurants) ? raw.restaurants : [])
+    .filter(r => r && (r.id || r.name))
+    .map(r => ({
+      ...r,
+      id:        r.id || restaurantId(r.name),
+      name:      r.name || r.id,
+      location:  r.location  || 'Malawi',
+      specialty: r.specialty || 'Malawian Cuisine',
+      image:     getDriveImageUrl(r.image),
+      mapsUrl:   r.mapsUrl || '',
+      isTop:     r.isTop === true || r.isTop === 'TRUE',
+      phone:     r.phone || '',
+      hours:     r.hours || '',
+      coords:    r.coords && typeof r.coords === 'object' ? r.coords : resolveCoords(r.coords || r.coordinates, r.mapsUrl, r.lat, r.lng),
+      extra:     r.extra || {},
+    }));
+
+  const menuItems = {};
+  const nextItemId = createItemIds();
+  restaurants.forEach(({ id }) => {
+    const items = Array.isArray(raw.menuItems?.[id]) ? raw.menuItems[id] : [];
+    menuItems[id] = items.map((item) => ({
+      ...item,
+      id:           item.id || nextItemId(id, item.name),
+      restaurantId: id,
+      name:         item.name        || 'Unnamed Item',
+      price:        item.price       || '',
+      priceValue:   parsePrice(item.price),
+      category:     item.category    || 'Main Dishes',
+      description:  item.description || '',
+      image:        getDriveImageUrl(item.image),
+      mapsUrl:      item.mapsUrl     || '',
+      tags:         toTags(item.tags),
+      translations: item.translations || {},
+      extra:        item.extra || {},
+    }));
+  });
+
+  const nextPickId = createItemIds();
+  const gourmetPicks = (Array.isArray(raw?.gourmetPicks) ? raw.gourmetPicks : []).map((p) => ({
+    ...p,
+    id:           p.id || nextPickId(PICK_ID_PREFIX, p.name),
+    name:         p.name        || '',
+    description:  p.description || '',
+    promoText:    p.promoText   || '',
+    image:        getDriveImageUrl(p.image),
+    price:        p.price       || '',
+    priceValue:   parsePrice(p.price),
+    mapsUrl:      p.mapsUrl     || '',
+    startDate:    parsePickDate(p.startDate),
+    endDate:      parsePickDate(p.endDate),
+    targetRestaurantId: p.targetRestaurantId || (p.restaurant ? restaurantId(p.restaurant) : ''),
+    priority:     parsePriority(p.priority),
+    translations: p.translations || {},
+    extra:        p.extra || {},
+  }));
+
+  return { restaurants, menuItems, gourmetPicks };
+};
+
+/** RFC 4180-ish CSV → rows of strings: quoted fields, "" escapes, CRLF, newlines in quotes */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = (text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows;
+};
+
+// `fetchImpl` is injectable so tests can run against a local server or disk
+const defaultFetch = (...a) => fetch(...a);
+
+const fetchOk = async (fetchImpl, url, what) => {
+  const res = await fetchImpl(url);
+  if (!res.ok) throw new Error(`Could not load ${what} (${res.status})`);
+  return res;
+};
+
+// Shared by the two spreadsheet-backed sources
+const fromRows = (rows) => async () => {
+  const res = await rows();
+  if (!res.ok) return res;
+  return { ok: true, data: { ...parseMenuRows(res.menuRows), gourmetPicks: parsePickRows(res.pickRows) } };
+};
+
+// Pick dates as serial day numbers, not text in the sheet's locale where
+// 10/1/2026 may be month-first. Prices then arrive as bare numbers, which
+// parsePrice reads as Kwacha.
+const PICK_VALUE_OPTIONS = '&valueRenderOption=UNFORMATTED_VALUE&dateTimeRenderOption=SERIAL_NUMBER';
+
+export const createSheetsApiSource = (apiKey, sheetId, fetchImpl = defaultFetch) => {
+  const baseUrl = `https://sheets.googleapis.com/v4/spreadsheets/${sheetId}`;
+  const values = async (range, options = '') => {
+    const res = await fetchOk(fetchImpl, `${baseUrl}/values/${encodeURIComponent(range)}?key=${apiKey}${options}`, range);
+    return (await res.json()).values || [];
+  };
+
+  const rows = async () => {
+    if (!apiKey || !sheetId) {
+      return { ok: false, error: 'Missing REACT_APP_GOOGLE_SHEETS_API_KEY or REACT_APP_GOOGLE_SHEETS_ID' };
+    }
+    try {
+      // The picks tab is optional — a missing one shouldn't hide every menu
+      const [menuRows, pickRows] = await Promise.all([
+        values(MENU_SCHEMA.range),
+        values(GOURMET_PICKS_SCHEMA.range, PICK_VALUE_OPTIONS).catch(e => { warn('GourmetPicks:', e.message); return []; }),
+      ]);
+      log('Sheet rows received:', menuRows.length);
+      return { ok: true, menuRows, pickRows };
+    } catch (e) {
+      err('Sheets API:', e);
+      return { ok: false, error: e.message };
+    }
+  };
+
+  return { name: 'sheets', rows, load: fromRows(rows) };
+};
+
+export const createCsvSource = (menuUrl, picksUrl, fetchImpl = defaultFetch) => {
+  const csv = async (url, what) => parseCsv(await (await fetchOk(fetchImpl, url, what)).text());
+
+  const rows = async () => {
+    if (!menuUrl) return { ok: false, error: 'REACT_APP_SHEET_CSV_URL is not set' };
+    try {
+      const [menuRows, pickRows] = await Promise.all([
+        csv(menuUrl, 'the menu CSV'),
+        picksUrl
+          ? csv(picksUrl, 'the Gourmet Picks CSV').catch(e => { warn('GourmetPicks:', e.message); return []; })
+          : [],
+      ]);
+      return { ok: true, menuRows, pickRows };
+    } catch (e) {
+      err('CSV:', e);
+      return { ok: false, error: e.message };
+    }
+  };
+
+  return { name: 'csv', rows, load: fromRows(rows) };
+};
+
+const fromJson = (name, url, what, fetchImpl) => async () => {
+  try {
+    const res = await fetchOk(fetchImpl, url, what);
+    return { ok: true, data: normalizeData(await res.json()) };
+  } catch (e) {
+    err(`${name}:`, e);
+    return { ok: false, error: e.message };
+  }
+};
+
+export const DEFAULT_JSON_URL = `${process.env.PUBLIC_URL || ''}/data.json`;
+
+export const createJsonSource = (url = DEFAULT_JSON_URL, fetchImpl = defaultFetch) =>
+  ({ name: 'json', load: fromJson('JSON', url, url, fetchImpl) });
+
+export const createApiSource = (baseUrl, fetchImpl = defaultFetch) => {
+  const base = (baseUrl || '').replace(/\/$/, '');
+  const load = fromJson('API', `${base}/menu`, 'menus from the API', fetchImpl);
+  return {
+    name: 'api',
+    load: () => base ? load() : Promise.resolve({ ok: false, error: 'REACT_APP_API_BASE_URL is not set' }),
+  };
+};
+
+export const getDataSource = ({
+  preferred   = process.env.REACT_APP_DATA_SOURCE,
+  apiKey      = process.env.REACT_APP_GOOGLE_SHEETS_API_KEY,
+  sheetId     = process.env.REACT_APP_GOOGLE_SHEETS_ID,
+  csvUrl      = process.env.REACT_APP_SHEET_CSV_URL,
+  picksCsvUrl = process.env.REACT_APP_GOURMET_PICKS_CSV_URL,
+  jsonUrl     = process.env.REACT_APP_DATA_JSON_URL || DEFAULT_JSON_URL,
+  apiBaseUrl  = process.env.REACT_APP_API_BASE_URL,
+  fetchImpl   = defaultFetch,
+} = {}) => {
+  const sources = {
+    sheets: () => apiKey && sheetId && createSheetsApiSource(apiKey, sheetId, fetchImpl),
+    csv:    () => csvUrl && createCsvSource(csvUrl, picksCsvUrl, fetchImpl),
+    api:    () => apiBaseUrl && createApiSource(apiBaseUrl, fetchImpl),
+    json:   () => createJsonSource(jsonUrl, fetchImpl),
+  };
+  if (preferred) {
+    const source = sources[preferred]?.();
+    if (source) return source;
+    warn(`REACT_APP_DATA_SOURCE=${preferred} is unknown or not configured — falling back`);
+  }
+  return sources.sheets() || sources.csv() || createJsonSource(jsonUrl, fetchImpl);
+};
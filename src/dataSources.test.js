@@ -0,0 +1,186 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import {
+  parseCsv, parseMenuRows, parsePickRows, normalizeData,
+  createSheetsApiSource, createCsvSource, createJsonSource, createApiSource, getDataSource,
+} from './dataSources';
+
+// fetch stand-in: url → body (string or object), anything else is a 404
+const fakeFetch = (routes, seen = []) => async (url) => {
+  seen.push(url);
+  const body = routes[url];
+  return {
+    ok: body !== undefined,
+    status: body !== undefined ? 200 : 404,
+    text: async () => body,
+    json: async () => (typeof body === 'string' ? JSON.parse(body) : body),
+  };
+};
+
+const MENU_CSV = [
+  'Restaurant,Item,Price,Category,Description,Tags,Item name (Chichewa)',
+  'Kaya Cafe,Chambo & Nsima,"K7,500",Main Dishes,"Fried ""whole"", with relish",fish,Chambo ndi Nsima',
+  'Kaya Cafe,Tea,K800,Drinks,"Black tea,\r\nfrom Thyolo",vegan,Tiyi',
+].join('\r\n');
+
+test('parseCsv handles quotes, escaped quotes, commas and newlines in fields', () => {
+  const rows = parseCsv(`\uFEFF${MENU_CSV}\n`);
+  expect(rows).toHaveLength(3);
+  expect(rows[1].slice(2, 5)).toEqual(['K7,500', 'Main Dishes', 'Fried "whole", with relish']);
+  expect(rows[2][4]).toBe('Black tea,\r\nfrom Thyolo');
+  expect(parseCsv('a,,c\n,')).toEqual([['a', '', 'c'], ['', '']]);
+  expect(parseCsv('')).toEqual([]);
+});
+
+test('parseMenuRows groups items under their restaurant', () => {
+  const { restaurants, menuItems } = parseMenuRows(parseCsv(MENU_CSV));
+  expect(restaurants.map(r => r.id)).toEqual(['kayacafe']);
+  // Ratings come from reviews; the sheet no longer supplies one
+  expect(restaurants[0]).not.toHaveProperty('rating');
+  expect(menuItems.kayacafe.map(i => i.name)).toEqual(['Chambo & Nsima', 'Tea']);
+  expect(menuItems.kayacafe[1]).toMatchObject({
+    restaurantId: 'kayacafe', price: 'K800', priceValue: { amount: 800, currency: 'MWK' },
+    translations: { ny: { name: 'Tiyi' } },
+  });
+  expect(menuItems.kayacafe[1].tags.diets).toContain('vegan');
+  expect(parseMenuRows([])).toEqual({ restaurants: [], menuItems: {} });
+});
+
+test('coordinates can come from separate Latitude and Longitude columns', () => {
+  const { restaurants } = parseMenuRows([
+    ['Restaurant', 'Item', 'Latitude', 'Longitude'],
+    ['Kaya Cafe', 'Tea', '-13.9626', '33.7741'],
+    ['Mandala Cafe', 'Tea', '-13.9626', ''],
+  ]);
+  expect(restaurants.map(r => r.coords)).toEqual([{ lat: -13.9626, lng: 33.7741 }, null]);
+  expect(normalizeData({ restaurants: [{ name: 'Kaya Cafe', lat: -13.96, lng: 33.77 }] }).restaurants[0].coords)
+    .toEqual({ lat: -13.96, lng: 33.77 });
+});
+
+test('item ids come from the restaurant and dish name, not the row', () => {
+  const rows = parseCsv(MENU_CSV);
+  const ids = (data) => data.menuItems.kayacafe.map(i => i.id);
+  expect(ids(parseMenuRows(rows))).toEqual(['kayacafe-chambo-nsima', 'kayacafe-tea']);
+
+  // A row inserted above and the rest reordered: same ids
+  const shuffled = [rows[0], ['Kaya Cafe', 'Usipa', 'K3,000'], rows[2], rows[1]];
+  expect(ids(parseMenuRows(shuffled))).toEqual(['kayacafe-usipa', 'kayacafe-tea', 'kayacafe-chambo-nsima']);
+
+  // Repeated names count up in sheet order; accents are dropped
+  const repeated = [rows[0], ['Kaya Cafe', 'Tea'], ['Kaya Cafe', 'Tea'], ['Kaya Cafe', 'Tea 2'], ['Kaya Cafe', 'Ŵali']];
+  expect(ids(parseMenuRows(repeated))).toEqual(['kayacafe-tea', 'kayacafe-tea-2', 'kayacafe-tea-2-2', 'kayacafe-wali']);
+});
+
+test('pick ids come from the name, so inserted or moved rows keep them', () => {
+  const pickIds = (rows) => parsePickRows([['Name'], ...rows.map(name => [name])]).map(p => p.id);
+  expect(pickIds(['Chambo week', 'Usipa'])).toEqual(['promo-chambo-week', 'promo-usipa']);
+  expect(pickIds(['Nsima night', 'Usipa', 'Chambo week'])).toEqual(['promo-nsima-night', 'promo-usipa', 'promo-chambo-week']);
+  expect(pickIds(['Usipa', 'Usipa'])).toEqual(['promo-usipa', 'promo-usipa-2']);
+  expect(normalizeData({ gourmetPicks: [{ name: 'Usipa' }, { id: 'mine', name: 'Usipa' }] }).gourmetPicks.map(p => p.id))
+    .toEqual(['promo-usipa', 'mine']);
+});
+
+test('parsePickRows keeps every pick with its schedule', () => {
+  const rows = [['Name', 'Promo text'], ['A', 'New'], ['B'], [], ['C'], ['D']];
+  expect(parsePickRows(rows).map(p => [p.id, p.name]))
+    .toEqual([['promo-a', 'A'], ['promo-b', 'B'], ['promo-c', 'C'], ['promo-d', 'D']]);
+
+  const [pick] = parsePickRows([
+    ['Name', 'Start date', 'End date', 'Restaurant', 'Priority'],
+    ['Chambo week', '1/10/2026', '2026-10-07', "Mama Ruth's Kitchen", '2'],
+  ]);
+  expect(pick).toMatchObject({
+    startDate: '2026-10-01', endDate: '2026-10-07', targetRestaurantId: 'mamaruthskitchen', priority: 2,
+  });
+  expect(pick).not.toHaveProperty('restaurantId');
+});
+
+test('normalizeData fills what a hand-written file leaves out', () => {
+  const data = normalizeData({
+    restaurants: [{ name: 'Kaya Cafe', coordinates: '-13.96, 33.77' }, { location: 'nameless' }],
+    menuItems: { kayacafe: [{ name: 'Tea', tags: ['vegan', 'spicy'] }] },
+  });
+  expect(data.restaurants).toHaveLength(1);
+  expect(data.restaurants[0]).toMatchObject({ id: 'kayacafe', location: 'Malawi', coords: { lat: -13.96, lng: 33.77 } });
+  expect(data.menuItems.kayacafe[0]).toMatchObject({ id: 'kayacafe-tea', restaurantId: 'kayacafe', category: 'Main Dishes' });
+  expect(data.menuItems.kayacafe[0].tags).toMatchObject({ spicy: 1 });
+  expect(data.gourmetPicks).toEqual([]);
+  expect(normalizeData(null)).toEqual({ restaurants: [], menuItems: {}, gourmetPicks: [] });
+});
+
+test('JSON source loads public/data.json without a network', async () => {
+  const file = fs.readFileSync(path.join(__dirname, '..', 'public', 'data.json'), 'utf8');
+  const source = createJsonSource('/data.json', fakeFetch({ '/data.json': file }));
+  const { ok, data } = await source.load();
+  expect(ok).toBe(true);
+  expect(data.restaurants.length).toBeGreaterThan(0);
+  data.restaurants.forEach(r => expect(Array.isArray(data.menuItems[r.id])).toBe(true));
+
+  expect(await createJsonSource('/missing.json', fakeFetch({})).load())
+    .toEqual({ ok: false, error: 'Could not load /missing.json (404)' });
+});
+
+test('CSV source reads both published tabs', async () => {
+  const seen = [];
+  const source = createCsvSource('https://x/menu.csv', 'https://x/picks.csv', fakeFetch({
+    'https://x/menu.csv': MENU_CSV,
+    'https://x/picks.csv': 'Name,Description\nChambo,Best on the lake',
+  }, seen));
+  const { ok, data } = await source.load();
+  expect(ok).toBe(true);
+  expect(data.restaurants).toHaveLength(1);
+  expect(data.gourmetPicks.map(p => p.name)).toEqual(['Chambo']);
+  expect((await source.rows()).menuRows).toHaveLength(3);
+  expect(seen).toContain('https://x/picks.csv');
+});
+
+test('a missing picks tab does not hide the menus', async () => {
+  const source = createCsvSource('https://x/menu.csv', 'https://x/gone.csv', fakeFetch({ 'https://x/menu.csv': MENU_CSV }));
+  const { ok, data } = await source.load();
+  expect(ok).toBe(true);
+  expect(data.gourmetPicks).toEqual([]);
+});
+
+test('Sheets API source asks for both ranges with the key', async () => {
+  const seen = [];
+  const base = 'https://sheets.googleapis.com/v4/spreadsheets/SHEET/values';
+  const source = createSheetsApiSource('KEY', 'SHEET', fakeFetch({
+    [`${base}/Sheet1!A%3AZ?key=KEY`]: { values: parseCsv(MENU_CSV) },
+    [`${base}/GourmetPicks!A%3AZ?key=KEY&valueRenderOption=UNFORMATTED_VALUE&dateTimeRenderOption=SERIAL_NUMBER`]:
+      { values: [['Name', 'Start date', 'Price'], ['Chambo', 46296, 7500]] },
+  }, seen));
+  const { ok, data } = await source.load();
+  expect(ok).toBe(true);
+  expect(data.menuItems.kayacafe).toHaveLength(2);
+  expect(data.gourmetPicks).toHaveLength(1);
+  expect(data.gourmetPicks[0]).toMatchObject({ startDate: '2026-10-01', priceValue: { amount: 7500, currency: 'MWK' } });
+  expect(seen).toHaveLength(2);
+
+  expect((await createSheetsApiSource('', 'SHEET').load()).error).toMatch(/REACT_APP_GOOGLE_SHEETS_API_KEY/);
+});
+
+test('API source reads /menu', async () => {
+  const source = createApiSource('https://api.example/v1/', fakeFetch({
+    'https://api.example/v1/menu': { restaurants: [{ id: 'kayacafe', name: 'Kaya Cafe' }], menuItems: {} },
+  }));
+  const { ok, data } = await source.load();
+  expect(ok).toBe(true);
+  expect(data.menuItems).toEqual({ kayacafe: [] });
+  expect((await createApiSource('').load()).error).toMatch(/REACT_APP_API_BASE_URL/);
+  expect(source.rows).toBeUndefined();
+});
+
+test('getDataSource picks by config and never needs keys', () => {
+  const none = { preferred: '', apiKey: '', sheetId: '', csvUrl: '', apiBaseUrl: '' };
+  expect(getDataSource(none).name).toBe('json');
+  expect(getDataSource({ ...none, apiKey: 'k', sheetId: 's' }).name).toBe('sheets');
+  expect(getDataSource({ ...none, csvUrl: 'https://x/menu.csv' }).name).toBe('csv');
+  expect(getDataSource({ ...none, apiBaseUrl: 'https://api' }).name).toBe('json');
+  expect(getDataSource({ ...none, preferred: 'api', apiBaseUrl: 'https://api' }).name).toBe('api');
+  expect(getDataSource({ ...none, preferred: 'json', apiKey: 'k', sheetId: 's' }).name).toBe('json');
+  // Asked for sheets without keys → fall back instead of failing
+  expect(getDataSource({ ...none, preferred: 'sheets' }).name).toBe('json');
+});
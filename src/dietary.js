@@ -0,0 +1,131 @@
+import { useState, useEffect, useCallback } from 'react';
+import { englishT } from './i18n';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DIETARY TAGS
+//
+// Optional "Tags" column on Sheet1, comma separated, e.g.
+//   "vegetarian, gluten-free, contains nuts, spicy 2"
+// Diet tags say what a dish IS; allergen tags say what it CONTAINS.
+// Vegan implies vegetarian and dairy/fish-free. Spicy level is 0–3
+// ("spicy" alone = 1, "hot" = 2, "very hot" / "extra hot" = 3).
+// An untagged dish is unknown, not safe — strict diets treat it as a miss.
+// ─────────────────────────────────────────────────────────────────────────────
+export const DIET_TAGS = [
+  { id: 'vegetarian',  label: 'Vegetarian',  aliases: ['veg', 'veggie', 'v'] },
+  { id: 'vegan',       label: 'Vegan',       aliases: ['plant based', 'plant-based', 'vg'] },
+  { id: 'halal',       label: 'Halal',       aliases: [] },
+  { id: 'glutenFree',  label: 'Gluten-free', aliases: ['gluten free', 'gf', 'no gluten'] },
+];
+
+export const ALLERGEN_TAGS = [
+  { id: 'nuts',  label: 'Nuts',  aliases: ['nut', 'peanut', 'peanuts', 'groundnuts', 'contains nuts'] },
+  { id: 'dairy', label: 'Dairy', aliases: ['milk', 'lactose', 'contains dairy', 'contains milk'] },
+  { id: 'fish',  label: 'Fish',  aliases: ['seafood', 'contains fish', 'contains seafood'] },
+];
+
+export const MAX_SPICY = 3;
+
+const DIETARY_STORAGE_KEY = 'domasi.dietary.v1';
+
+export const DEFAULT_PREFERENCES = { diets: [], avoid: [], maxSpicy: null, mode: 'flag' };
+
+const DEBUG = process.env.NODE_ENV !== 'production';
+const warn = (...a) => DEBUG && console.warn('[Dietary]', ...a);
+
+const normalizeTag = (t) => t.toLowerCase().replace(/[_]/g, ' ').replace(/\s+/g, ' ').trim();
+
+const TAG_LOOKUP = new Map();
+[...DIET_TAGS, ...ALLERGEN_TAGS].forEach(tag => {
+  [tag.id, tag.label, ...tag.aliases].forEach(name => TAG_LOOKUP.set(normalizeTag(name), tag.id));
+});
+
+const SPICY_WORDS = { mild: 1, spicy: 1, hot: 2, 'very hot': 3, 'extra hot': 3 };
+
+const spicyLevel = (tag) => {
+  const m = tag.match(/^(?:spicy|spice|heat)\s*[:=]?\s*(\d)$/) || tag.match(/^(\d)\s*chill?i(?:es|s)?$/);
+  if (m) return Math.min(MAX_SPICY, +m[1]);
+  if (tag in SPICY_WORDS) return SPICY_WORDS[tag];
+  const chillies = (tag.match(/🌶/gu) || []).length;
+  return chillies ? Math.min(MAX_SPICY, chillies) : null;
+};
+
+/**
+ * @returns {{ diets: string[], allergens: string[], spicy: number, unknown: string[] }}
+ */
+export const parseTags = (text) => {
+  const out = { diets: [], allergens: [], spicy: 0, unknown: [] };
+  (text || '').toString().split(/[,;|/]/).map(normalizeTag).filter(Boolean).forEach(tag => {
+    const level = spicyLevel(tag);
+    if (level !== null) { out.spicy = Math.max(out.spicy, level); return; }
+    const id = TAG_LOOKUP.get(tag);
+    if (!id) { out.unknown.push(tag); return; }
+    const list = ALLERGEN_TAGS.some(a => a.id === id) ? out.allergens : out.diets;
+    if (!list.includes(id)) list.push(id);
+  });
+  if (out.diets.includes('vegan') && !out.diets.includes('vegetarian')) out.diets.push('vegetarian');
+  return out;
+};
+
+export const isTagged = (tags) =>
+  !!tags && (tags.diets.length > 0 || tags.allergens.length > 0 || tags.spicy > 0);
+
+// Display label in the current language; `label` above is the English
+// spelling the sheet parser also accepts
+export const tagLabel = (id, t = englishT) => {
+  const tag = [...DIET_TAGS, ...ALLERGEN_TAGS].find(x => x.id === id);
+  return tag ? t(`diet.${id}`) : id;
+};
+
+/**
+ * Does a dish suit the diner's preferences?
+ * @returns {{ ok: boolean, reasons: string[] }} reasons are short, user-facing,
+ *   in the language of `translate` (useI18n().t; English by default)
+ */
+export const checkDish = (tags, prefs = DEFAULT_PREFERENCES, translate = englishT) => {
+  const t = tags || parseTags('');
+  const reasons = [];
+  prefs.diets.forEach(diet => {
+    if (!t.diets.includes(diet)) {
+      reasons.push(isTagged(t)
+        ? translate('diet.notMarked', { diet: tagLabel(diet, translate).toLowerCase() })
+        : translate('diet.noInfo'));
+    }
+  });
+  prefs.avoid.forEach(allergen => {
+    if (t.allergens.includes(allergen)) {
+      reasons.push(translate('diet.contains', { allergen: tagLabel(allergen, translate).toLowerCase() }));
+    }
+  });
+  if (prefs.maxSpicy !== null && prefs.maxSpicy !== undefined && t.spicy > prefs.maxSpicy) {
+    reasons.push(translate('diet.tooSpicy'));
+  }
+  return { ok: reasons.length === 0, reasons: Array.from(new Set(reasons)) };
+};
+
+export const hasPreferences = (prefs) =>
+  prefs.diets.length > 0 || prefs.avoid.length > 0 || (prefs.maxSpicy !== null && prefs.maxSpicy !== undefined);
+
+const loadPreferences = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DIETARY_STORAGE_KEY));
+    return saved ? { ...DEFAULT_PREFERENCES, ...saved } : DEFAULT_PREFERENCES;
+  } catch (e) { return DEFAULT_PREFERENCES; }
+};
+
+export const useDietaryPreferences = () => {
+  const [prefs, setPrefs] = useState(loadPreferences);
+
+  useEffect(() => {
+    try { localStorage.setItem(DIETARY_STORAGE_KEY, JSON.stringify(prefs)); }
+    catch (e) { warn('Could not persist preferences:', e); }
+  }, [prefs]);
+
+  const toggle = useCallback((list, id) => setPrefs(p => ({
+    ...p, [list]: p[list].includes(id) ? p[list].filter(x => x !== id) : [...p[list], id],
+  })), []);
+  const update = useCallback((patch) => setPrefs(p => ({ ...p, ...patch })), []);
+  const reset  = useCallback(() => setPrefs(DEFAULT_PREFERENCES), []);
+
+  return { prefs, toggle, update, reset, active: hasPreferences(prefs) };
+};
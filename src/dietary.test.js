@@ -0,0 +1,33 @@
+import { parseTags, checkDish, hasPreferences, DEFAULT_PREFERENCES } from './dietary';
+
+test('parseTags understands diets, allergens, aliases and spice', () => {
+  expect(parseTags('Vegetarian, GF, contains nuts; Spicy 2')).toEqual({
+    diets: ['vegetarian', 'glutenFree'], allergens: ['nuts'], spicy: 2, unknown: [],
+  });
+  expect(parseTags('halal, milk, hot').spicy).toBe(2);
+  expect(parseTags('🌶🌶🌶').spicy).toBe(3);
+  expect(parseTags('organic').unknown).toEqual(['organic']);
+  expect(parseTags('')).toEqual({ diets: [], allergens: [], spicy: 0, unknown: [] });
+});
+
+test('vegan implies vegetarian', () => {
+  expect(parseTags('vegan').diets).toEqual(['vegan', 'vegetarian']);
+});
+
+test('checkDish flags unsuitable dishes with reasons', () => {
+  const prefs = { ...DEFAULT_PREFERENCES, diets: ['vegetarian'], avoid: ['nuts'], maxSpicy: 1 };
+  expect(checkDish(parseTags('vegetarian, spicy'), prefs)).toEqual({ ok: true, reasons: [] });
+  expect(checkDish(parseTags('vegetarian, peanuts, spicy 3'), prefs).reasons)
+    .toEqual(['Contains nuts', 'Too spicy']);
+  expect(checkDish(parseTags('fish'), prefs).reasons).toEqual(['Not marked vegetarian']);
+});
+
+test('untagged dishes fail strict diets but pass allergen checks', () => {
+  expect(checkDish(undefined, { ...DEFAULT_PREFERENCES, diets: ['halal'] }).reasons).toEqual(['No dietary info']);
+  expect(checkDish(undefined, { ...DEFAULT_PREFERENCES, avoid: ['dairy'] }).ok).toBe(true);
+});
+
+test('hasPreferences', () => {
+  expect(hasPreferences(DEFAULT_PREFERENCES)).toBe(false);
+  expect(hasPreferences({ ...DEFAULT_PREFERENCES, maxSpicy: 0 })).toBe(true);
+});
@@ -0,0 +1,104 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// GOOGLE DRIVE URL CONVERSION
+//
+// FIX: drive.google.com/uc?export=view redirects to a download/virus-scan
+// page — browsers refuse to render it in <img> tags.
+// The correct embeddable format is:
+//   https://lh3.googleusercontent.com/d/FILE_ID
+// which serves the raw bytes directly with proper CORS headers.
+//
+// SIZING: lh3 and Unsplash both resize on the server (`=w640` and `?w=640`),
+// so responsiveImage() builds a srcset from one URL and previewImageUrl() a
+// tiny copy to blur up from. Other hosts get the original and no srcset.
+// ─────────────────────────────────────────────────────────────────────────────
+export const FALLBACK_IMG =
+  'https://images.unsplash.com/photo-1546069901-ba9599a7e63c?w=500&h=400&fit=crop';
+
+const DEBUG = process.env.NODE_ENV !== 'production';
+const log  = (...a) => DEBUG && console.log('[RestaurantApp]', ...a);
+const warn = (...a) => DEBUG && console.warn('[RestaurantApp]', ...a);
+
+const LH3_RE = /^https:\/\/lh3\.googleusercontent\.com\/d\/([-\w]{10,})(?:=[-\w]*)?$/;
+
+// Drive file ID from any of the supported formats, or null
+export const extractDriveFileId = (raw) => {
+  if (!raw) return null;
+  const url = raw.toString().trim();
+
+  // Format A: /file/d/{ID}/...
+  const filePathMatch = url.match(/\/file\/d\/([-\w]{10,})/);
+  if (filePathMatch) return filePathMatch[1];
+
+  // Format B/C: ?id={ID} or &id={ID}
+  const queryMatch = url.match(/[?&]id=([-\w]{10,})/);
+  if (queryMatch) return queryMatch[1];
+
+  // Format D: bare file ID (28-44 chars, no spaces/dots/slashes)
+  if (/^[-\w]{28,44}$/.test(url)) return url;
+
+  // Format E: already converted — lh3.googleusercontent.com/d/{ID}, maybe sized
+  const lh3Match = url.match(LH3_RE);
+  if (lh3Match) return lh3Match[1];
+
+  return null;
+};
+
+// Non-Drive http(s) URLs are used as-is
+export const isExternalImageUrl = (raw) => {
+  const url = (raw || '').toString().trim();
+  return !url.includes('drive.google.com') && url.startsWith('http');
+};
+
+export const getDriveImageUrl = (raw) => {
+  if (!raw) return FALLBACK_IMG;
+  const url = raw.toString().trim();
+
+  // Already a non-Drive URL → pass through
+  if (isExternalImageUrl(url)) return url;
+
+  const fileId = extractDriveFileId(url);
+  if (fileId) {
+    // FIX: use lh3.googleusercontent.com — the only Drive URL that browsers
+    // can load directly in <img> without being redirected to a download page.
+    const resolved = `https://lh3.googleusercontent.com/d/${fileId}`;
+    log('Drive ID', fileId, '→', resolved);
+    return resolved;
+  }
+
+  warn('Could not extract Drive file ID from:', url);
+  return FALLBACK_IMG;
+};
+
+export const IMAGE_WIDTHS = [160, 320, 480, 640, 960, 1280];
+const DEFAULT_WIDTH = 640;
+const PREVIEW_WIDTH = 24;
+
+// `url` resized to `width` px wide, or null when its host can't resize.
+// Takes resolved URLs (getDriveImageUrl's output), not raw sheet cells.
+export const sizedImageUrl = (url, width) => {
+  const src = (url || '').toString().trim();
+  const lh3 = src.match(LH3_RE);
+  if (lh3) return `https://lh3.googleusercontent.com/d/${lh3[1]}=w${width}`;
+
+  let parsed;
+  try { parsed = new URL(src); } catch { return null; }
+  if (parsed.hostname !== 'images.unsplash.com') return null;
+  // Keep the crop's aspect ratio when the sheet asked for one
+  const w = Number(parsed.searchParams.get('w'));
+  const h = Number(parsed.searchParams.get('h'));
+  parsed.searchParams.set('w', width);
+  if (w > 0 && h > 0) parsed.searchParams.set('h', Math.round((h * width) / w));
+  return parsed.toString();
+};
+
+/** { src, srcSet } for an <img>; srcSet is undefined for hosts that can't resize */
+export const responsiveImage = (url, widths = IMAGE_WIDTHS) => {
+  if (!sizedImageUrl(url, DEFAULT_WIDTH)) return { src: url, srcSet: undefined };
+  return {
+    src: sizedImageUrl(url, DEFAULT_WIDTH),
+    srcSet: widths.map(w => `${sizedImageUrl(url, w)} ${w}w`).join(', '),
+  };
+};
+
+// A few hundred bytes to blur up from while the real image loads
+export const previewImageUrl = (url) => sizedImageUrl(url, PREVIEW_WIDTH);
@@ -0,0 +1,78 @@
+import {
+  FALLBACK_IMG, extractDriveFileId, isExternalImageUrl, getDriveImageUrl,
+  sizedImageUrl, responsiveImage, previewImageUrl, IMAGE_WIDTHS,
+} from './driveImage';
+
+const ID = '1AbCdEfGhIjKlMnOpQrStUvWxYz_-0123';
+const LH3 = `https://lh3.googleusercontent.com/d/${ID}`;
+
+describe('extractDriveFileId', () => {
+  test.each([
+    ['A: share link',          `https://drive.google.com/file/d/${ID}/view?usp=sharing`],
+    ['A: preview link',        `https://drive.google.com/file/d/${ID}/preview`],
+    ['A: no trailing path',    `https://drive.google.com/file/d/${ID}`],
+    ['B: open?id=',            `https://drive.google.com/open?id=${ID}`],
+    ['C: uc?export=view&id=',  `https://drive.google.com/uc?export=view&id=${ID}`],
+    ['C: thumbnail?id=',       `https://drive.google.com/thumbnail?id=${ID}&sz=w400`],
+    ['D: bare ID',             ID],
+    ['D: bare ID with spaces', `  ${ID}\n`],
+    ['E: converted lh3 URL',   LH3],
+    ['E: sized lh3 URL',       `${LH3}=w640`],
+  ])('%s', (_, raw) => {
+    expect(extractDriveFileId(raw)).toBe(ID);
+  });
+
+  test('returns null for anything else', () => {
+    expect(extractDriveFileId('')).toBeNull();
+    expect(extractDriveFileId(undefined)).toBeNull();
+    expect(extractDriveFileId('chambo.jpg')).toBeNull();
+    expect(extractDriveFileId('https://drive.google.com/drive/folders')).toBeNull();
+    expect(extractDriveFileId('short-id')).toBeNull();
+  });
+});
+
+test('isExternalImageUrl passes non-Drive http(s) URLs only', () => {
+  expect(isExternalImageUrl(FALLBACK_IMG)).toBe(true);
+  expect(isExternalImageUrl(`https://drive.google.com/open?id=${ID}`)).toBe(false);
+  expect(isExternalImageUrl(ID)).toBe(false);
+  expect(isExternalImageUrl(null)).toBe(false);
+});
+
+test('getDriveImageUrl resolves Drive links to lh3 and falls back otherwise', () => {
+  expect(getDriveImageUrl(`https://drive.google.com/file/d/${ID}/view`)).toBe(LH3);
+  expect(getDriveImageUrl(ID)).toBe(LH3);
+  expect(getDriveImageUrl(LH3)).toBe(LH3);
+  expect(getDriveImageUrl('https://example.com/a.png')).toBe('https://example.com/a.png');
+  expect(getDriveImageUrl('')).toBe(FALLBACK_IMG);
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(getDriveImageUrl('not a link')).toBe(FALLBACK_IMG);
+  warn.mockRestore();
+});
+
+describe('sizing', () => {
+  test('lh3 URLs take a =w suffix, replacing any existing one', () => {
+    expect(sizedImageUrl(LH3, 320)).toBe(`${LH3}=w320`);
+    expect(sizedImageUrl(`${LH3}=w1280`, 160)).toBe(`${LH3}=w160`);
+  });
+
+  test('Unsplash URLs keep their crop ratio', () => {
+    expect(sizedImageUrl(FALLBACK_IMG, 1000))
+      .toBe('https://images.unsplash.com/photo-1546069901-ba9599a7e63c?w=1000&h=800&fit=crop');
+    expect(sizedImageUrl('https://images.unsplash.com/photo-1?auto=format', 320))
+      .toBe('https://images.unsplash.com/photo-1?auto=format&w=320');
+  });
+
+  test('other hosts cannot be resized', () => {
+    expect(sizedImageUrl('https://example.com/a.png', 320)).toBeNull();
+    expect(sizedImageUrl('not a url', 320)).toBeNull();
+    expect(responsiveImage('https://example.com/a.png')).toEqual({ src: 'https://example.com/a.png', srcSet: undefined });
+    expect(previewImageUrl('https://example.com/a.png')).toBeNull();
+  });
+
+  test('responsiveImage lists every width and a mid-size src', () => {
+    const { src, srcSet } = responsiveImage(LH3);
+    expect(src).toBe(`${LH3}=w640`);
+    expect(srcSet.split(', ')).toEqual(IMAGE_WIDTHS.map(w => `${LH3}=w${w} ${w}w`));
+    expect(previewImageUrl(LH3)).toBe(`${LH3}=w24`);
+  });
+});
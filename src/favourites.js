@@ -0,0 +1,100 @@
+import { useState, useEffect, useCallback } from 'react';
+import { upgradeLegacyItemId } from './dataSources';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FAVOURITES + RECENTLY VIEWED
+//
+// Both live in localStorage and hold only ids (restaurant ids and menu item
+// ids as createItemIds makes them), so prices and photos are always current.
+// Ids that vanish from the sheet are pruned after each successful load.
+// Item ids used to end in their sheet row ("Nsima-kayacafe-3"); those are
+// upgraded to the stable form rather than pruned.
+// ─────────────────────────────────────────────────────────────────────────────
+const FAVOURITES_STORAGE_KEY = 'domasi.favourites.v1';
+const RECENT_STORAGE_KEY     = 'domasi.recent.v1';
+
+export const MAX_RECENT = 10;
+
+const EMPTY_FAVOURITES = { restaurants: [], items: [] };
+
+const DEBUG = process.env.NODE_ENV !== 'production';
+const warn = (...a) => DEBUG && console.warn('[Favourites]', ...a);
+
+const load = (key, fallback, isValid) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key));
+    return isValid(saved) ? saved : fallback;
+  } catch (e) { return fallback; }
+};
+
+const usePersisted = (key, fallback, isValid) => {
+  const [value, setValue] = useState(() => load(key, fallback, isValid));
+  useEffect(() => {
+    try { localStorage.setItem(key, JSON.stringify(value)); }
+    catch (e) { warn('Could not persist', key, e); }
+  }, [key, value]);
+  return [value, setValue];
+};
+
+export const toggleId = (list, id) => list.includes(id) ? list.filter(x => x !== id) : [id, ...list];
+
+// Newest first, one entry per thing viewed
+export const pushRecent = (list, entry, max = MAX_RECENT) =>
+  [entry, ...list.filter(e => !(e.kind === entry.kind && e.id === entry.id))].slice(0, max);
+
+// Ids still on the sheet: { restaurants: Set, items: Set }
+export const liveIds = (restaurants, menuItems) => ({
+  restaurants: new Set(restaurants.map(r => r.id)),
+  items:       new Set(Object.values(menuItems).flat().map(i => i.id)),
+});
+
+// "Nsima-kayacafe-3" → "kayacafe-nsima" when that dish is still on the sheet
+export const upgradeItemId = (id, live) => {
+  if (live.items.has(id)) return id;
+  const upgraded = upgradeLegacyItemId(id);
+  return upgraded && live.items.has(upgraded) ? upgraded : id;
+};
+
+const sameList = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+// Same reference back when nothing changed, so setState is a no-op
+export const pruneFavourites = (favourites, live) => {
+  const restaurants = favourites.restaurants.filter(id => live.restaurants.has(id));
+  const items       = [...new Set(favourites.items.map(id => upgradeItemId(id, live)))]
+    .filter(id => live.items.has(id));
+  return sameList(restaurants, favourites.restaurants) && sameList(items, favourites.items)
+    ? favourites
+    : { restaurants, items };
+};
+
+export const pruneRecent = (recent, live) => {
+  const kept = recent
+    .map(e => (e.kind === 'item' && !live.items.has(e.id) ? { ...e, id: upgradeItemId(e.id, live) } : e))
+    .filter(e => (e.kind === 'item' ? live.items : live.restaurants).has(e.id));
+  return sameList(kept, recent) ? recent : kept;
+};
+
+const isFavourites = (v) => !!v && Array.isArray(v.restaurants) && Array.isArray(v.items);
+
+export const useFavourites = () => {
+  const [favourites, setFavourites] = usePersisted(FAVOURITES_STORAGE_KEY, EMPTY_FAVOURITES, isFavourites);
+
+  const toggleRestaurant = useCallback((id) =>
+    setFavourites(f => ({ ...f, restaurants: toggleId(f.restaurants, id) })), [setFavourites]);
+  const toggleItem = useCallback((id) =>
+    setFavourites(f => ({ ...f, items: toggleId(f.items, id) })), [setFavourites]);
+  const prune = useCallback((live) => setFavourites(f => pruneFavourites(f, live)), [setFavourites]);
+
+  return { ...favourites, toggleRestaurant, toggleItem, prune };
+};
+
+/** entries: { kind: 'restaurant' | 'item', id }[] */
+export const useRecentlyViewed = () => {
+  const [recent, setRecent] = usePersisted(RECENT_STORAGE_KEY, [], Array.isArray);
+
+  const record = useCallback((kind, id) => setRecent(r => pushRecent(r, { kind, id })), [setRecent]);
+  const clear  = useCallback(() => setRecent([]), [setRecent]);
+  const prune  = useCallback((live) => setRecent(r => pruneRecent(r, live)), [setRecent]);
+
+  return { recent, record, clear, prune };
+};
@@ -0,0 +1,74 @@
+import {
+  toggleId, pushRecent, liveIds, pruneFavourites, pruneRecent, upgradeItemId, MAX_RECENT,
+} from './favourites';
+import { parseMenuRows } from './dataSources';
+
+const live = liveIds(
+  [{ id: 'kayacafe' }, { id: 'mamaruth' }],
+  { kayacafe: [{ id: 'kayacafe-nsima' }], mamaruth: [] },
+);
+
+test('toggleId adds to the front and removes', () => {
+  expect(toggleId(['a'], 'b')).toEqual(['b', 'a']);
+  expect(toggleId(['b', 'a'], 'b')).toEqual(['a']);
+});
+
+test('pushRecent keeps one entry per thing, newest first, capped', () => {
+  let recent = [];
+  recent = pushRecent(recent, { kind: 'restaurant', id: 'kayacafe' });
+  recent = pushRecent(recent, { kind: 'item', id: 'x' });
+  recent = pushRecent(recent, { kind: 'restaurant', id: 'kayacafe' });
+  expect(recent).toEqual([{ kind: 'restaurant', id: 'kayacafe' }, { kind: 'item', id: 'x' }]);
+
+  for (let i = 0; i < MAX_RECENT + 5; i++) recent = pushRecent(recent, { kind: 'item', id: `i${i}` });
+  expect(recent).toHaveLength(MAX_RECENT);
+  expect(recent[0].id).toBe(`i${MAX_RECENT + 4}`);
+});
+
+test('same-named ids of different kinds are separate entries', () => {
+  const recent = pushRecent([{ kind: 'restaurant', id: 'x' }], { kind: 'item', id: 'x' });
+  expect(recent).toHaveLength(2);
+});
+
+test('pruneFavourites drops ids that left the sheet', () => {
+  const favourites = { restaurants: ['kayacafe', 'closed'], items: ['kayacafe-nsima', 'kayacafe-gone'] };
+  expect(pruneFavourites(favourites, live)).toEqual({ restaurants: ['kayacafe'], items: ['kayacafe-nsima'] });
+});
+
+test('pruning returns the same object when nothing changed', () => {
+  const favourites = { restaurants: ['kayacafe'], items: [] };
+  expect(pruneFavourites(favourites, live)).toBe(favourites);
+  const recent = [{ kind: 'restaurant', id: 'mamaruth' }];
+  expect(pruneRecent(recent, live)).toBe(recent);
+});
+
+test('pruneRecent checks each entry against its own kind', () => {
+  const recent = [
+    { kind: 'item', id: 'kayacafe-nsima' },
+    { kind: 'item', id: 'kayacafe' },
+    { kind: 'restaurant', id: 'kayacafe' },
+  ];
+  expect(pruneRecent(recent, live)).toEqual([recent[0], recent[2]]);
+});
+
+test('favourites and recents survive rows being inserted and reordered', () => {
+  const header = ['Restaurant', 'Item', 'Price'];
+  const before = parseMenuRows([header, ['Kaya Cafe', 'Nsima'], ['Kaya Cafe', 'Chambo'], ['Mama Ruth', 'Tea']]);
+  const after  = parseMenuRows([header, ['Kaya Cafe', 'Usipa'], ['Mama Ruth', 'Tea'], ['Kaya Cafe', 'Chambo'], ['Kaya Cafe', 'Nsima']]);
+  const saved = before.menuItems.kayacafe.map(i => i.id);
+
+  const liveAfter = liveIds(after.restaurants, after.menuItems);
+  const favourites = { restaurants: ['kayacafe'], items: saved };
+  expect(pruneFavourites(favourites, liveAfter)).toBe(favourites);
+  const recent = saved.map(id => ({ kind: 'item', id }));
+  expect(pruneRecent(recent, liveAfter)).toBe(recent);
+});
+
+test('row-numbered ids from older versions are upgraded, not pruned', () => {
+  expect(upgradeItemId('Nsima-kayacafe-3', live)).toBe('kayacafe-nsima');
+  expect(upgradeItemId('kayacafe-nsima', live)).toBe('kayacafe-nsima');
+  expect(upgradeItemId('Gone-kayacafe-3', live)).toBe('Gone-kayacafe-3');
+  expect(pruneFavourites({ restaurants: [], items: ['Nsima-kayacafe-3', 'kayacafe-nsima'] }, live))
+    .toEqual({ restaurants: [], items: ['kayacafe-nsima'] });
+  expect(pruneRecent([{ kind: 'item', id: 'Nsima-kayacafe-7' }], live)).toEqual([{ kind: 'item', id: 'kayacafe-nsima' }]);
+});
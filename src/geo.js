@@ -0,0 +1,133 @@
+import { useState, useCallback } from 'react';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// COORDINATES
+//
+// A restaurant's position comes from the optional "Coordinates" column
+// ("-13.9626, 33.7741"), separate "Latitude" and "Longitude" columns, or,
+// failing those, from its Google Maps link:
+//   https://www.google.com/maps/place/Kaya+Cafe/@-13.9626,33.7741,17z
+//   https://maps.google.com/?q=-13.9626,33.7741
+// Short maps.app.goo.gl links carry no coordinates — those restaurants
+// simply don't appear on the map until the sheet gives them a Coordinates cell.
+// ─────────────────────────────────────────────────────────────────────────────
+const NUM = '(-?\\d{1,3}(?:\\.\\d+)?)';
+const PAIR_RE = new RegExp(`^\\s*${NUM}\\s*[,;\\s]\\s*${NUM}\\s*$`);
+const AT_RE   = new RegExp(`@${NUM},${NUM}`);
+const QUERY_KEYS = ['q', 'query', 'll', 'center', 'destination'];
+
+const valid = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && !(lat === 0 && lng === 0);
+
+/** "-13.96, 33.77" → { lat, lng }, or null */
+export const parseLatLng = (text) => {
+  const m = (text || '').toString().match(PAIR_RE);
+  if (!m) return null;
+  const lat = parseFloat(m[1]);
+  const lng = parseFloat(m[2]);
+  return valid(lat, lng) ? { lat, lng } : null;
+};
+
+/** Coordinates embedded in a Google Maps URL (`@lat,lng` or `?q=lat,lng`), or null */
+export const coordsFromMapsUrl = (url) => {
+  if (!url) return null;
+  let parsed;
+  try { parsed = new URL(url); } catch (e) { return null; }
+
+  for (const key of QUERY_KEYS) {
+    const coords = parseLatLng(parsed.searchParams.get(key));
+    if (coords) return coords;
+  }
+  const at = decodeURIComponent(parsed.pathname + parsed.hash).match(AT_RE);
+  return at ? parseLatLng(`${at[1]},${at[2]}`) : null;
+};
+
+/** A latitude cell and a longitude cell → { lat, lng }, or null unless both are filled */
+export const coordsFromParts = (lat, lng) => {
+  const a = (lat ?? '').toString().trim();
+  const b = (lng ?? '').toString().trim();
+  return a && b ? parseLatLng(`${a}, ${b}`) : null;
+};
+
+export const resolveCoords = (coordinates, mapsUrl, lat, lng) =>
+  parseLatLng(coordinates) || coordsFromParts(lat, lng) || coordsFromMapsUrl(mapsUrl);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Distance
+// ─────────────────────────────────────────────────────────────────────────────
+// Fallback origins when the browser won't share a position (town centres)
+export const TOWNS = [
+  { id: 'lilongwe', name: 'Lilongwe', lat: -13.9626, lng: 33.7741 },
+  { id: 'blantyre', name: 'Blantyre', lat: -15.7861, lng: 35.0058 },
+  { id: 'mzuzu',    name: 'Mzuzu',    lat: -11.4656, lng: 34.0207 },
+  { id: 'zomba',    name: 'Zomba',    lat: -15.3850, lng: 35.3188 },
+];
+
+const EARTH_RADIUS_KM = 6371;
+const rad = (deg) => (deg * Math.PI) / 180;
+
+/** Great-circle distance in km */
+export const haversineKm = (a, b) => {
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// 0.35 → "350 m", 2.34 → "2.3 km", 41.6 → "42 km". The unit is picked
+// after rounding, so 0.996 is "1.0 km" rather than "1000 m".
+export const formatDistance = (km) => {
+  const metres = Math.round(km * 100) * 10;
+  if (metres < 1000) return `${Math.max(10, metres)} m`;
+  const tenths = Math.round(km * 10) / 10;
+  if (tenths < 10) return `${tenths.toFixed(1)} km`;
+  return `${Math.round(km)} km`;
+};
+
+/** id → km for every restaurant with coordinates */
+export const distancesFrom = (origin, restaurants) => {
+  const out = {};
+  if (!origin) return out;
+  restaurants.forEach(r => { if (r.coords) out[r.id] = haversineKm(origin, r.coords); });
+  return out;
+};
+
+// Nearest first; restaurants we can't place keep their order at the end
+export const sortByDistance = (restaurants, distances) => restaurants
+  .map((r, i) => [r, distances[r.id] ?? Infinity, i])
+  .sort((a, b) => a[1] - b[1] || a[2] - b[2])
+  .map(([r]) => r);
+
+/**
+ * "Near me" state. Nothing is asked of the browser until enable() runs —
+ * permission prompts should follow a tap, not a page load.
+ *
+ * status: 'off' | 'locating' | 'on' | 'denied' | 'unavailable'
+ * origin: { lat, lng } once located or a town is chosen, else null
+ */
+export const useNearMe = () => {
+  const [state, setState] = useState({ status: 'off', origin: null, town: null });
+
+  const enable = useCallback(() => {
+    if (!navigator.geolocation) { setState({ status: 'unavailable', origin: null, town: null }); return; }
+    setState(s => ({ ...s, status: 'locating' }));
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => setState(s => s.status === 'locating'
+        ? { status: 'on', origin: { lat: coords.latitude, lng: coords.longitude }, town: null }
+        : s),
+      (err) => setState(s => s.status === 'locating'
+        ? { status: err.code === 1 ? 'denied' : 'unavailable', origin: null, town: null }
+        : s),
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 },
+    );
+  }, []);
+
+  const chooseTown = useCallback((townId) => {
+    const town = TOWNS.find(t => t.id === townId);
+    if (town) setState({ status: 'on', origin: { lat: town.lat, lng: town.lng }, town });
+  }, []);
+
+  const disable = useCallback(() => setState({ status: 'off', origin: null, town: null }), []);
+
+  return { ...state, enable, chooseTown, disable };
+};
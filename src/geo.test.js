@@ -0,0 +1,88 @@
+import {
+  parseLatLng, coordsFromMapsUrl, coordsFromParts, resolveCoords, haversineKm, formatDistance, distancesFrom, sortByDistance, TOWNS,
+} from './geo';
+
+const KAYA = { lat: -13.9626, lng: 33.7741 };
+
+test('parseLatLng', () => {
+  expect(parseLatLng('-13.9626, 33.7741')).toEqual(KAYA);
+  expect(parseLatLng('-13.9626 33.7741')).toEqual(KAYA);
+  expect(parseLatLng('-13.9626;33.7741')).toEqual(KAYA);
+  expect(parseLatLng('-13.9626')).toBeNull();
+  expect(parseLatLng('95, 33')).toBeNull();
+  expect(parseLatLng('0, 0')).toBeNull();
+  expect(parseLatLng('')).toBeNull();
+});
+
+test('reads @lat,lng from place links', () => {
+  expect(coordsFromMapsUrl('https://www.google.com/maps/place/Kaya+Cafe/@-13.9626,33.7741,17z/data=!3m1')).toEqual(KAYA);
+  expect(coordsFromMapsUrl('https://www.google.com/maps/@-13.9626,33.7741,15z')).toEqual(KAYA);
+});
+
+test('reads ?q=lat,lng and similar query forms', () => {
+  expect(coordsFromMapsUrl('https://maps.google.com/?q=-13.9626,33.7741')).toEqual(KAYA);
+  expect(coordsFromMapsUrl('https://www.google.com/maps/search/?api=1&query=-13.9626%2C33.7741')).toEqual(KAYA);
+  expect(coordsFromMapsUrl('https://maps.google.com/maps?ll=-13.9626,33.7741&z=15')).toEqual(KAYA);
+});
+
+test('links without coordinates', () => {
+  expect(coordsFromMapsUrl('https://maps.app.goo.gl/abc123')).toBeNull();
+  expect(coordsFromMapsUrl('https://maps.google.com/?q=Kaya+Cafe+Lilongwe')).toBeNull();
+  expect(coordsFromMapsUrl('not a url')).toBeNull();
+  expect(coordsFromMapsUrl('')).toBeNull();
+});
+
+test('the Coordinates column wins over the maps link', () => {
+  expect(resolveCoords('-15.7861, 35.0058', 'https://maps.google.com/?q=-13.9626,33.7741'))
+    .toEqual({ lat: -15.7861, lng: 35.0058 });
+  expect(resolveCoords('', 'https://maps.google.com/?q=-13.9626,33.7741')).toEqual(KAYA);
+  expect(resolveCoords('', '')).toBeNull();
+});
+
+test('separate Latitude and Longitude cells count only as a pair', () => {
+  expect(coordsFromParts('-13.9626', ' 33.7741 ')).toEqual(KAYA);
+  expect(coordsFromParts(-13.9626, 33.7741)).toEqual(KAYA);
+  expect(coordsFromParts('-13.9626', '')).toBeNull();
+  expect(coordsFromParts('north', '33.7741')).toBeNull();
+  expect(resolveCoords('', 'https://maps.google.com/?q=-15.7861,35.0058', '-13.9626', '33.7741')).toEqual(KAYA);
+  expect(resolveCoords('-15.7861, 35.0058', '', '-13.9626', '33.7741')).toEqual({ lat: -15.7861, lng: 35.0058 });
+});
+
+describe('distance', () => {
+  const LILONGWE = TOWNS.find(t => t.id === 'lilongwe');
+  const BLANTYRE = TOWNS.find(t => t.id === 'blantyre');
+
+  test('haversineKm', () => {
+    expect(haversineKm(LILONGWE, LILONGWE)).toBe(0);
+    // Lilongwe–Blantyre is about 240 km as the crow flies
+    expect(haversineKm(LILONGWE, BLANTYRE)).toBeGreaterThan(235);
+    expect(haversineKm(LILONGWE, BLANTYRE)).toBeLessThan(250);
+    expect(haversineKm(LILONGWE, BLANTYRE)).toBeCloseTo(haversineKm(BLANTYRE, LILONGWE), 6);
+  });
+
+  test('formatDistance', () => {
+    expect(formatDistance(0.004)).toBe('10 m');
+    expect(formatDistance(0.347)).toBe('350 m');
+    expect(formatDistance(2.34)).toBe('2.3 km');
+    expect(formatDistance(41.6)).toBe('42 km');
+    // Rounding up into the next unit
+    expect(formatDistance(0.996)).toBe('1.0 km');
+    expect(formatDistance(9.96)).toBe('10 km');
+  });
+
+  test('sortByDistance puts unplaceable restaurants last in their original order', () => {
+    const restaurants = [
+      { id: 'far',  coords: BLANTYRE },
+      { id: 'none1' },
+      { id: 'near', coords: { lat: -13.97, lng: 33.78 } },
+      { id: 'none2' },
+    ];
+    const distances = distancesFrom(LILONGWE, restaurants);
+    expect(Object.keys(distances).sort()).toEqual(['far', 'near']);
+    expect(sortByDistance(restaurants, distances).map(r => r.id)).toEqual(['near', 'far', 'none1', 'none2']);
+  });
+
+  test('distancesFrom without an origin is empty', () => {
+    expect(distancesFrom(null, [{ id: 'a', coords: LILONGWE }])).toEqual({});
+  });
+});
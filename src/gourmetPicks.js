@@ -0,0 +1,99 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// GOURMET'S PICKS
+//
+// Promotions from the GourmetPicks tab. Optional columns schedule them:
+//   Start date / End date   inclusive; "2026-10-01", day-first "1/10/2026"
+//                           or "1 Oct 2026". The Sheets API source asks for
+//                           date cells as serial numbers, so a sheet in a
+//                           US locale can't have 10/1 read as 10 January.
+//   Restaurant              tapping the pick opens that restaurant's menu
+//   Priority                1 shows first; unnumbered picks follow in sheet order
+// A pick isn't a menu item, so ordering one goes through pickOrderTarget():
+// the dish of the same name on its restaurant's menu if there is one, else
+// that restaurant's menu.
+// Dates are kept as "YYYY-MM-DD" so they survive the offline snapshot, and
+// compared with the diner's local day — a promo ending 31 Oct is gone on
+// 1 Nov without anyone touching the sheet.
+// ─────────────────────────────────────────────────────────────────────────────
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const isoDate = (year, month, day) => {
+  const date = new Date(year, month - 1, day);
+  // Rejects 31/02 and friends, which Date would quietly roll over
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// Google Sheets counts days from 30 Dec 1899; 5 digits covers 1927–2173
+const SHEETS_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_FIRST_RE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+
+/** Sheet date → "YYYY-MM-DD", or null when it isn't one */
+export const parsePickDate = (text) => {
+  const s = (text ?? '').toString().trim();
+  let m = s.match(/^(\d{5})(\.\d+)?$/);
+  if (m) {
+    const date = new Date(SHEETS_EPOCH + Number(m[1]) * DAY_MS);
+    return isoDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+  }
+  m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) return isoDate(+m[1], +m[2], +m[3]);
+  m = s.match(DAY_FIRST_RE);
+  if (m) return isoDate(+m[3], +m[2], +m[1]);
+  m = s.match(/^(\d{1,2})\s+([a-z]{3})[a-z]*\.?,?\s+(\d{4})$/i);
+  if (m && MONTHS.includes(m[2].toLowerCase())) return isoDate(+m[3], MONTHS.indexOf(m[2].toLowerCase()) + 1, +m[1]);
+  return null;
+};
+
+/** "3/4/2026" — 3 April here, 4 March to anyone who writes month-first */
+export const isAmbiguousDate = (text) => {
+  const m = (text ?? '').toString().trim().match(DAY_FIRST_RE);
+  return Boolean(m) && +m[1] <= 12 && +m[2] <= 12 && +m[1] !== +m[2];
+};
+
+/** "2" → 2; blank or junk → null */
+export const parsePriority = (text) => {
+  const s = (text ?? '').toString().trim();
+  const n = Number(s);
+  return s && Number.isFinite(n) ? n : null;
+};
+
+export const localDay = (date = new Date()) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const isPickActive = (pick, now = new Date()) => {
+  const today = localDay(now);
+  return (!pick.startDate || pick.startDate <= today) && (!pick.endDate || today <= pick.endDate);
+};
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Where "Order Now" on a pick leads → { restaurant, item }, either null.
+ * Without a Restaurant column the pick's name is looked up on every menu and
+ * used only when exactly one restaurant serves it.
+ */
+export const pickOrderTarget = (pick, restaurants, menuItems) => {
+  const dishAt = (r) => (menuItems[r.id] || []).find(i => sameName(i.name, pick.name || '')) || null;
+  const target = pick.targetRestaurantId && restaurants.find(r => r.id === pick.targetRestaurantId);
+  if (target) return { restaurant: target, item: dishAt(target) };
+  const serving = restaurants.filter(dishAt);
+  return serving.length === 1
+    ? { restaurant: serving[0], item: dishAt(serving[0]) }
+    : { restaurant: null, item: null };
+};
+
+// Numbered picks by priority, then the rest; ties keep sheet order
+const byPriority = (a, b) => {
+  if (a.priority === null || b.priority === null) return (a.priority === null) - (b.priority === null);
+  return a.priority - b.priority;
+};
+
+export const activePicks = (picks, now = new Date()) =>
+  picks
+    .filter(p => isPickActive(p, now))
+    .map(p => ({ ...p, priority: p.priority ?? null }))
+    .sort(byPriority);
@@ -0,0 +1,83 @@
+import {
+  parsePickDate, isAmbiguousDate, parsePriority, localDay, isPickActive, activePicks, pickOrderTarget,
+} from './gourmetPicks';
+
+const pick = (id, fields = {}) => ({ id, startDate: null, endDate: null, priority: null, ...fields });
+const names = (picks) => picks.map(p => p.id);
+
+test('parsePickDate reads ISO, day-first and written dates', () => {
+  expect(parsePickDate('2026-10-01')).toBe('2026-10-01');
+  expect(parsePickDate('1/10/2026')).toBe('2026-10-01');
+  expect(parsePickDate('31.12.2026')).toBe('2026-12-31');
+  expect(parsePickDate('1 Oct 2026')).toBe('2026-10-01');
+  expect(parsePickDate('15 September, 2026')).toBe('2026-09-15');
+  expect(parsePickDate('31/02/2026')).toBeNull();
+  expect(parsePickDate('next week')).toBeNull();
+  expect(parsePickDate('')).toBeNull();
+});
+
+test('parsePickDate reads Sheets API serial dates', () => {
+  expect(parsePickDate(46296)).toBe('2026-10-01');
+  expect(parsePickDate('46326')).toBe('2026-10-31');
+  expect(parsePickDate(46296.5)).toBe('2026-10-01');
+  expect(parsePickDate(0)).toBeNull();
+});
+
+test('isAmbiguousDate flags day/month pairs that read both ways', () => {
+  expect(isAmbiguousDate('10/1/2026')).toBe(true);
+  expect(isAmbiguousDate('3.4.2026')).toBe(true);
+  expect(isAmbiguousDate('13/1/2026')).toBe(false);
+  expect(isAmbiguousDate('5/5/2026')).toBe(false);
+  expect(isAmbiguousDate('2026-10-01')).toBe(false);
+  expect(isAmbiguousDate(46296)).toBe(false);
+});
+
+test('parsePriority', () => {
+  expect(parsePriority('2')).toBe(2);
+  expect(parsePriority(1)).toBe(1);
+  expect(parsePriority(' ')).toBeNull();
+  expect(parsePriority('high')).toBeNull();
+  expect(parsePriority(undefined)).toBeNull();
+});
+
+test('start and end dates are inclusive, in local time', () => {
+  const promo = pick('a', { startDate: '2026-10-01', endDate: '2026-10-31' });
+  expect(localDay(new Date(2026, 9, 1, 0, 5))).toBe('2026-10-01');
+  expect(isPickActive(promo, new Date(2026, 8, 30, 23, 59))).toBe(false);
+  expect(isPickActive(promo, new Date(2026, 9, 1, 0, 0))).toBe(true);
+  expect(isPickActive(promo, new Date(2026, 9, 31, 23, 59))).toBe(true);
+  expect(isPickActive(promo, new Date(2026, 10, 1, 0, 0))).toBe(false);
+  expect(isPickActive(pick('open-ended'), new Date(2030, 0, 1))).toBe(true);
+});
+
+test('activePicks drops expired picks and orders by priority', () => {
+  const now = new Date(2026, 9, 19);
+  const picks = [
+    pick('unnumbered'),
+    pick('second', { priority: 2 }),
+    pick('expired', { priority: 1, endDate: '2026-10-18' }),
+    pick('upcoming', { startDate: '2026-10-20' }),
+    pick('first', { priority: 1, startDate: '2026-10-19' }),
+    pick('also-unnumbered'),
+    pick('legacy', { priority: undefined }),
+  ];
+  expect(names(activePicks(picks, now))).toEqual(['first', 'second', 'unnumbered', 'also-unnumbered', 'legacy']);
+  expect(activePicks([], now)).toEqual([]);
+});
+
+test('pickOrderTarget finds the dish a pick advertises, or at least its restaurant', () => {
+  const kaya  = { id: 'kayacafe' };
+  const grill = { id: 'lakeshoregrill' };
+  const chambo = { id: 'kayacafe-chambo', name: 'Chambo' };
+  const restaurants = [kaya, grill];
+  const menuItems = { kayacafe: [chambo], lakeshoregrill: [{ id: 'lakeshoregrill-nsima', name: 'Nsima' }] };
+
+  expect(pickOrderTarget({ name: ' chambo ', targetRestaurantId: 'kayacafe' }, restaurants, menuItems))
+    .toEqual({ restaurant: kaya, item: chambo });
+  expect(pickOrderTarget({ name: 'Friday Grill Night', targetRestaurantId: 'lakeshoregrill' }, restaurants, menuItems))
+    .toEqual({ restaurant: grill, item: null });
+  expect(pickOrderTarget({ name: 'Chambo', targetRestaurantId: '' }, restaurants, menuItems))
+    .toEqual({ restaurant: kaya, item: chambo });
+  expect(pickOrderTarget({ name: 'Usipa', targetRestaurantId: '' }, restaurants, menuItems))
+    .toEqual({ restaurant: null, item: null });
+});
@@ -0,0 +1,121 @@
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import en from './locales/en';
+import ny from './locales/ny';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// I18N
+//
+// UI strings live in flat catalogs under src/locales, one per language:
+//   'search.dishes': '{count} dishes',  'search.dishes_one': '{count} dish'
+// {name} placeholders are filled from params; when params.count is 1 a
+// `<key>_one` entry wins if the catalog has one. Missing keys fall back to
+// English, then to the key itself.
+//
+// Menu content is translated in the sheet: optional columns such as
+// "Item name (Chichewa)" or "Description (ny)" ride along on each item as
+// `translations.ny.name` etc. — see localized().
+// ─────────────────────────────────────────────────────────────────────────────
+// `locales` are browser language prefixes we match on; `intl` is the tag
+// handed to Intl for dates (ICU has little Chichewa data, so that one falls
+// back to the runtime's defaults)
+export const LANGUAGES = [
+  { id: 'en', label: 'English',  locales: ['en'],        intl: 'en-GB' },
+  { id: 'ny', label: 'Chichewa', locales: ['ny', 'nya'], intl: 'ny-MW' },
+];
+export const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = { en, ny };
+const LANGUAGE_STORAGE_KEY = 'domasi.language.v1';
+
+const DEBUG = process.env.NODE_ENV !== 'production';
+const warn = (...a) => DEBUG && console.warn('[I18n]', ...a);
+
+const fill = (template, params) =>
+  template.replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+
+export const translate = (lang, key, params = {}) => {
+  const keys = params.count === 1 ? [`${key}_one`, key] : [key];
+  for (const catalog of [CATALOGS[lang], CATALOGS[DEFAULT_LANGUAGE]]) {
+    const found = catalog && keys.find(k => catalog[k] !== undefined);
+    if (found) return fill(catalog[found], params);
+  }
+  warn('Missing message', key);
+  return key;
+};
+
+// English `t` for modules that format text outside React
+export const englishT = (key, params) => translate(DEFAULT_LANGUAGE, key, params);
+
+const isSupported = (lang) => LANGUAGES.some(l => l.id === lang);
+
+/** Saved choice first, then the first browser locale we have a catalog for */
+export const detectLanguage = (saved, browserLocales = []) => {
+  if (isSupported(saved)) return saved;
+  for (const locale of browserLocales) {
+    const primary = (locale || '').toLowerCase().split(/[-_]/)[0];
+    const match = LANGUAGES.find(l => l.locales.includes(primary));
+    if (match) return match.id;
+  }
+  return DEFAULT_LANGUAGE;
+};
+
+// Sheet key for a translated column: translationKey('item', 'ny') → 'itemNy'
+export const translationKey = (key, lang) => `${key}${lang[0].toUpperCase()}${lang.slice(1)}`;
+
+/**
+ * Collect a row's translated columns: fields maps record field → sheet key,
+ * e.g. { name: 'item', description: 'description' } → { ny: { name, description } }.
+ * Empty cells are left out so localized() falls back to English.
+ */
+export const readTranslations = (row, fields) => {
+  const out = {};
+  LANGUAGES.filter(l => l.id !== DEFAULT_LANGUAGE).forEach(({ id }) => {
+    Object.entries(fields).forEach(([field, key]) => {
+      const value = row[translationKey(key, id)];
+      if (value) (out[id] ||= {})[field] = value;
+    });
+  });
+  return out;
+};
+
+export const localized = (record, field, lang) =>
+  (record && record.translations?.[lang]?.[field]) || record?.[field] || '';
+
+const loadLanguage = () => {
+  let saved = null;
+  try { saved = localStorage.getItem(LANGUAGE_STORAGE_KEY); } catch (e) { /* private mode */ }
+  return detectLanguage(saved, navigator.languages || [navigator.language]);
+};
+
+export const intlLocale = (lang) => (LANGUAGES.find(l => l.id === lang) || LANGUAGES[0]).intl;
+
+const I18nContext = createContext({
+  lang: DEFAULT_LANGUAGE,
+  setLang: () => {},
+  t: englishT,
+  localized: (record, field) => localized(record, field, DEFAULT_LANGUAGE),
+});
+
+export const I18nProvider = ({ children }) => {
+  const [lang, setLangState] = useState(loadLanguage);
+
+  useEffect(() => { document.documentElement.lang = lang; }, [lang]);
+
+  const setLang = useCallback((next) => {
+    if (!isSupported(next)) return;
+    setLangState(next);
+    try { localStorage.setItem(LANGUAGE_STORAGE_KEY, next); }
+    catch (e) { warn('Could not persist language:', e); }
+  }, []);
+
+  const value = useMemo(() => ({
+    lang,
+    setLang,
+    t: (key, params) => translate(lang, key, params),
+    localized: (record, field) => localized(record, field, lang),
+  }), [lang, setLang]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = () => useContext(I18nContext);
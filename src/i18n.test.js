@@ -0,0 +1,48 @@
+import en from './locales/en';
+import ny from './locales/ny';
+import {
+  translate, detectLanguage, translationKey, readTranslations, localized,
+} from './i18n';
+
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+
+test('every catalog has the English keys and placeholders', () => {
+  expect(Object.keys(ny).sort()).toEqual(Object.keys(en).sort());
+  Object.keys(en).forEach(key => {
+    expect([key, placeholders(ny[key])]).toEqual([key, placeholders(en[key])]);
+  });
+});
+
+test('translate fills placeholders and picks the singular form', () => {
+  expect(translate('en', 'search.dishes', { count: 1 })).toBe('1 dish');
+  expect(translate('en', 'search.dishes', { count: 4 })).toBe('4 dishes');
+  expect(translate('ny', 'nav.home')).toBe('Kunyumba');
+  expect(translate('en', 'cart.sentTo', {})).toBe('Order sent to {restaurant}');
+});
+
+test('unknown languages and keys fall back to English, then the key', () => {
+  expect(translate('fr', 'nav.home')).toBe('Home');
+  expect(translate('ny', 'no.such.key')).toBe('no.such.key');
+});
+
+test('detectLanguage prefers the saved choice, then browser locales', () => {
+  expect(detectLanguage('ny', ['en-GB'])).toBe('ny');
+  expect(detectLanguage(null, ['fr-FR', 'ny-MW'])).toBe('ny');
+  expect(detectLanguage('xx', ['NYA'])).toBe('ny');
+  expect(detectLanguage(null, ['fr-FR'])).toBe('en');
+  expect(detectLanguage(undefined, [undefined])).toBe('en');
+});
+
+test('sheet translations ride along and fall back to English', () => {
+  expect(translationKey('item', 'ny')).toBe('itemNy');
+  const row = { item: 'Tea', itemNy: 'Tiyi', description: 'Rooibos', descriptionNy: '' };
+  const translations = readTranslations(row, { name: 'item', description: 'description' });
+  expect(translations).toEqual({ ny: { name: 'Tiyi' } });
+
+  const item = { name: 'Tea', description: 'Rooibos', translations };
+  expect(localized(item, 'name', 'ny')).toBe('Tiyi');
+  expect(localized(item, 'description', 'ny')).toBe('Rooibos');
+  expect(localized(item, 'name', 'en')).toBe('Tea');
+  expect(localized({ name: 'Nsima' }, 'name', 'ny')).toBe('Nsima');
+});
+
@@ -2,10 +2,24 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { I18nProvider } from './i18n';
+import { CurrencyProvider } from './price';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <I18nProvider>
+      <CurrencyProvider>
+        <App />
+      </CurrencyProvider>
+    </I18nProvider>
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+// Offline support + installability. App.js shows the reload prompt.
+serviceWorkerRegistration.register({
+  onUpdate: (registration) => window.dispatchEvent(
+    new CustomEvent(serviceWorkerRegistration.SW_UPDATE_EVENT, { detail: registration })
+  ),
+});
\ No newline at end of file
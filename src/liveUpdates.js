@@ -0,0 +1,177 @@
+import { englishT } from './i18n';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LIVE UPDATES
+//
+// Editors change prices and specials during the day; this keeps open tabs
+// current without a reload.
+//
+//   createPoller(run)   calls run() every POLL_INTERVAL_MS while the tab is
+//                       visible. run() resolves truthy on success; each
+//                       failure doubles the wait, up to MAX_BACKOFF_MS.
+//                       REACT_APP_POLL_INTERVAL_SECONDS sets the interval
+//                       (0 turns polling off).
+//   mergeData(prev, next)
+//                       the new parse, reusing every unchanged record from
+//                       `prev` so React only re-renders what changed, plus
+//                       a list of what did for the toast. Records are
+//                       matched by id, which rows moving about doesn't change.
+// ─────────────────────────────────────────────────────────────────────────────
+const DEBUG = process.env.NODE_ENV !== 'production';
+const warn = (...a) => DEBUG && console.warn('[LiveUpdates]', ...a);
+
+const DEFAULT_INTERVAL_S = 120;
+const MIN_INTERVAL_S     = 15;   // Sheets API quota is per project, shared by every open tab
+export const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+export const parseInterval = (text) => {
+  const s = (text ?? '').toString().trim();
+  if (!s) return DEFAULT_INTERVAL_S * 1000;
+  const seconds = Number(s);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    warn(`REACT_APP_POLL_INTERVAL_SECONDS=${s} is not a number of seconds — using ${DEFAULT_INTERVAL_S}`);
+    return DEFAULT_INTERVAL_S * 1000;
+  }
+  return seconds === 0 ? 0 : Math.max(seconds, MIN_INTERVAL_S) * 1000;
+};
+
+export const POLL_INTERVAL_MS = parseInterval(process.env.REACT_APP_POLL_INTERVAL_SECONDS);
+
+export const nextDelay = (interval, failures, maxDelay = MAX_BACKOFF_MS) =>
+  failures ? Math.min(interval * 2 ** failures, maxDelay) : interval;
+
+export const createPoller = (run, {
+  interval = POLL_INTERVAL_MS,
+  maxDelay = MAX_BACKOFF_MS,
+  doc      = document,
+  now      = Date.now,
+} = {}) => {
+  let timer    = null;
+  let failures = 0;
+  let lastRun  = 0;
+  let running  = false;
+  let stopped  = true;
+
+  const cancel = () => { clearTimeout(timer); timer = null; };
+  const schedule = (delay) => {
+    cancel();
+    if (!stopped && !doc.hidden) timer = setTimeout(tick, delay);
+  };
+
+  async function tick() {
+    timer = null;
+    running = true;
+    let ok = false;
+    try {
+      ok = await run();
+    } catch (e) {
+      warn('Poll failed:', e);
+    }
+    running  = false;
+    lastRun  = now();
+    failures = ok ? 0 : failures + 1;
+    schedule(nextDelay(interval, failures, maxDelay));
+  }
+
+  // Hidden tabs don't poll; coming back catches up at once if one is overdue
+  const onVisibilityChange = () => {
+    if (doc.hidden) cancel();
+    else if (!running) schedule(Math.max(0, lastRun + nextDelay(interval, failures, maxDelay) - now()));
+  };
+
+  return {
+    start() {
+      if (!interval || !stopped) return;
+      stopped = false;
+      lastRun = now();
+      doc.addEventListener('visibilitychange', onVisibilityChange);
+      schedule(interval);
+    },
+    stop() {
+      stopped = true;
+      cancel();
+      doc.removeEventListener('visibilitychange', onVisibilityChange);
+    },
+  };
+};
+
+// ── Diffing ──────────────────────────────────────────────────────────────────
+// Parsed records are plain JSON built in a fixed key order, so this is exact
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const withoutPrice = ({ price, priceValue, ...rest }) => rest;
+
+// Headline for a restaurant with several kinds of change, most telling first
+const KIND_ORDER = ['added', 'menu', 'prices', 'details'];
+
+/**
+ * Pairs each of `next` with the record of the same id in `prev`, keeping
+ * the old object when nothing changed.
+ * → { records, added, removed, changed: [[old, new], …] }
+ */
+const reconcile = (prev = [], next = []) => {
+  const byId = new Map(prev.map(r => [r.id, r]));
+  const used = new Set();
+  const added = [];
+  const changed = [];
+
+  const records = next.map(r => {
+    const old = byId.get(r.id);
+    if (!old) { added.push(r); return r; }
+    used.add(old);
+    if (same(old, r)) return old;
+    changed.push([old, r]);
+    return r;
+  });
+  const removed = prev.filter(r => !used.has(r));
+  const reordered = records.length !== prev.length || records.some((r, i) => r !== prev[i]);
+  return { records: reordered ? records : prev, added, removed, changed };
+};
+
+/**
+ * → { data: { restaurants, menuItems, gourmetPicks }, changes, picksChanged }
+ * `changes` is [{ restaurantId, name, kind }] with kind one of KIND_ORDER.
+ */
+export const mergeData = (prev, next) => {
+  const kinds = new Map();
+  const note = (id, kind) => kinds.set(id, [...(kinds.get(id) || []), kind]);
+
+  const rs = reconcile(prev.restaurants, next.restaurants);
+  rs.added.forEach(r => note(r.id, 'added'));
+  rs.changed.forEach(([, r]) => note(r.id, 'details'));
+
+  const menuItems = {};
+  Object.entries(next.menuItems || {}).forEach(([id, items]) => {
+    const m = reconcile(prev.menuItems?.[id], items);
+    menuItems[id] = m.records;
+    if (m.added.length || m.removed.length) note(id, 'menu');
+    m.changed.forEach(([old, item]) => note(id, same(withoutPrice(old), withoutPrice(item)) ? 'prices' : 'menu'));
+  });
+
+  const prevMenus = prev.menuItems || {};
+  const menusSame = Object.keys(menuItems).length === Object.keys(prevMenus).length
+    && Object.keys(menuItems).every(id => menuItems[id] === prevMenus[id]);
+
+  const picks = reconcile(prev.gourmetPicks, next.gourmetPicks || []);
+  const picksChanged = picks.records !== prev.gourmetPicks;
+
+  // In sheet order; menus of restaurants that were dropped aren't news
+  const changes = rs.records
+    .filter(r => kinds.has(r.id))
+    .map(r => ({ restaurantId: r.id, name: r.name, kind: KIND_ORDER.find(k => kinds.get(r.id).includes(k)) }));
+
+  return {
+    data: { restaurants: rs.records, menuItems: menusSame ? prevMenus : menuItems, gourmetPicks: picks.records },
+    changes,
+    picksChanged,
+  };
+};
+
+/** One line for the toast, or null when nothing worth mentioning changed */
+export const describeChanges = ({ changes = [], picksChanged = false } = {}, t = englishT) => {
+  if (changes.length === 1) return t(`live.${changes[0].kind}`, { name: changes[0].name });
+  if (changes.length > 1) {
+    const key = changes.every(c => c.kind === 'prices') ? 'live.pricesMany' : 'live.many';
+    return t(key, { count: changes.length });
+  }
+  return picksChanged ? t('live.picks') : null;
+};
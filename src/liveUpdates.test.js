@@ -0,0 +1,172 @@
+import {
+  parseInterval, nextDelay, createPoller, mergeData, describeChanges, MAX_BACKOFF_MS,
+} from './liveUpdates';
+
+const kaya  = { id: 'kayacafe', name: 'Kaya Cafe', hours: 'Daily 07:00-21:00' };
+const grill = { id: 'lakeshoregrill', name: 'Lakeshore Grill', hours: '' };
+const dish = (name, fields = {}) => ({
+  id: `kayacafe-${name.toLowerCase()}`, restaurantId: 'kayacafe', name, category: 'Main Dishes',
+  price: 'K7,500', priceValue: { amount: 7500, max: null, currency: 'MWK', from: false }, ...fields,
+});
+const data = (fields = {}) => ({
+  restaurants: [kaya, grill],
+  menuItems: { kayacafe: [dish('Chambo'), dish('Nsima')], lakeshoregrill: [] },
+  gourmetPicks: [{ id: 'promo-0', name: 'Chambo week' }],
+  ...fields,
+});
+// A fresh parse: equal content, brand-new objects
+const reparse = (d) => JSON.parse(JSON.stringify(d));
+
+test('parseInterval reads seconds, clamps to a floor and allows 0 for off', () => {
+  expect(parseInterval(undefined)).toBe(120000);
+  expect(parseInterval('60')).toBe(60000);
+  expect(parseInterval('1')).toBe(15000);
+  expect(parseInterval('0')).toBe(0);
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(parseInterval('soon')).toBe(120000);
+  warn.mockRestore();
+});
+
+test('nextDelay doubles per failure up to the cap', () => {
+  expect(nextDelay(60000, 0)).toBe(60000);
+  expect(nextDelay(60000, 1)).toBe(120000);
+  expect(nextDelay(60000, 3)).toBe(480000);
+  expect(nextDelay(60000, 10)).toBe(MAX_BACKOFF_MS);
+});
+
+describe('createPoller', () => {
+  let doc;
+  let clock;
+  beforeEach(() => {
+    jest.useFakeTimers();
+    clock = 0;
+    doc = Object.assign(new EventTarget(), { hidden: false });
+  });
+  afterEach(() => jest.useRealTimers());
+
+  // Advances fake timers and the injected clock together, letting run() settle
+  const wait = async (ms) => {
+    clock += ms;
+    jest.advanceTimersByTime(ms);
+    await Promise.resolve();
+    await Promise.resolve();
+  };
+  const setHidden = (hidden) => { doc.hidden = hidden; doc.dispatchEvent(new Event('visibilitychange')); };
+
+  test('polls on the interval and backs off after failures', async () => {
+    const results = [false, false, true, true];
+    const run = jest.fn(async () => results.shift());
+    const poller = createPoller(run, { interval: 1000, doc, now: () => clock });
+    poller.start();
+
+    await wait(999);
+    expect(run).toHaveBeenCalledTimes(0);
+    await wait(1);
+    expect(run).toHaveBeenCalledTimes(1);   // fails → 2 s
+    await wait(2000);
+    expect(run).toHaveBeenCalledTimes(2);   // fails → 4 s
+    await wait(3999);
+    expect(run).toHaveBeenCalledTimes(2);
+    await wait(1);
+    expect(run).toHaveBeenCalledTimes(3);   // succeeds → back to 1 s
+    await wait(1000);
+    expect(run).toHaveBeenCalledTimes(4);
+    poller.stop();
+    await wait(5000);
+    expect(run).toHaveBeenCalledTimes(4);
+  });
+
+  test('pauses while hidden and catches up when shown if overdue', async () => {
+    const run = jest.fn(async () => true);
+    const poller = createPoller(run, { interval: 1000, doc, now: () => clock });
+    poller.start();
+
+    await wait(500);
+    setHidden(true);
+    await wait(5000);
+    expect(run).not.toHaveBeenCalled();
+    setHidden(false);
+    await wait(0);
+    expect(run).toHaveBeenCalledTimes(1);
+
+    // Back within the interval: waits out the remainder instead
+    await wait(300);
+    setHidden(true);
+    setHidden(false);
+    await wait(699);
+    expect(run).toHaveBeenCalledTimes(1);
+    await wait(1);
+    expect(run).toHaveBeenCalledTimes(2);
+    poller.stop();
+  });
+
+  test('an interval of 0 never polls', async () => {
+    const run = jest.fn(async () => true);
+    createPoller(run, { interval: 0, doc, now: () => clock }).start();
+    await wait(60000);
+    expect(run).not.toHaveBeenCalled();
+  });
+});
+
+describe('mergeData', () => {
+  test('an identical parse changes nothing and keeps every object', () => {
+    const prev = data();
+    const { data: merged, changes, picksChanged } = mergeData(prev, reparse(prev));
+    expect(merged.restaurants).toBe(prev.restaurants);
+    expect(merged.menuItems).toBe(prev.menuItems);
+    expect(merged.gourmetPicks).toBe(prev.gourmetPicks);
+    expect(changes).toEqual([]);
+    expect(picksChanged).toBe(false);
+  });
+
+  test('a price edit replaces only that dish', () => {
+    const prev = data();
+    const next = reparse(prev);
+    next.menuItems.kayacafe[0].price = 'K8,000';
+    next.menuItems.kayacafe[0].priceValue.amount = 8000;
+    const { data: merged, changes } = mergeData(prev, next);
+
+    expect(merged.restaurants).toBe(prev.restaurants);
+    expect(merged.menuItems.lakeshoregrill).toBe(prev.menuItems.lakeshoregrill);
+    expect(merged.menuItems.kayacafe[1]).toBe(prev.menuItems.kayacafe[1]);
+    expect(merged.menuItems.kayacafe[0].price).toBe('K8,000');
+    expect(changes).toEqual([{ restaurantId: 'kayacafe', name: 'Kaya Cafe', kind: 'prices' }]);
+  });
+
+  test('an inserted row is a menu change; the dishes around it are kept', () => {
+    const prev = data();
+    const next = reparse(data({
+      menuItems: { kayacafe: [dish('Usipa'), dish('Chambo'), dish('Nsima')], lakeshoregrill: [] },
+    }));
+    const { data: merged, changes } = mergeData(prev, next);
+    expect(merged.menuItems.kayacafe.map(i => i.id)).toEqual(['kayacafe-usipa', 'kayacafe-chambo', 'kayacafe-nsima']);
+    expect(merged.menuItems.kayacafe[1]).toBe(prev.menuItems.kayacafe[0]);
+    expect(changes).toEqual([{ restaurantId: 'kayacafe', name: 'Kaya Cafe', kind: 'menu' }]);
+  });
+
+  test('reports new restaurants, detail edits and picks', () => {
+    const prev = data();
+    const next = reparse(prev);
+    next.restaurants[1].hours = 'Fri 18:00-23:00';
+    next.restaurants.push({ id: 'mandala', name: 'Mandala Cafe' });
+    next.menuItems.mandala = [];
+    next.gourmetPicks[0].promoText = 'This week only';
+    const { data: merged, changes, picksChanged } = mergeData(prev, next);
+
+    expect(merged.restaurants[0]).toBe(kaya);
+    expect(changes).toEqual([
+      { restaurantId: 'lakeshoregrill', name: 'Lakeshore Grill', kind: 'details' },
+      { restaurantId: 'mandala', name: 'Mandala Cafe', kind: 'added' },
+    ]);
+    expect(picksChanged).toBe(true);
+  });
+});
+
+test('describeChanges names one restaurant or counts several', () => {
+  const prices = (name) => ({ restaurantId: name, name, kind: 'prices' });
+  expect(describeChanges({ changes: [prices('Kaya Cafe')] })).toBe('Prices updated at Kaya Cafe');
+  expect(describeChanges({ changes: [prices('A'), prices('B')] })).toBe('Prices updated at 2 restaurants');
+  expect(describeChanges({ changes: [prices('A'), { name: 'B', kind: 'menu' }] })).toBe('Menus updated at 2 restaurants');
+  expect(describeChanges({ changes: [], picksChanged: true })).toBe("Gourmet's Picks updated");
+  expect(describeChanges({ changes: [], picksChanged: false })).toBeNull();
+});
@@ -0,0 +1,207 @@
+// English — the reference catalog. Every other catalog should have the same
+// keys and the same {placeholders}; src/i18n.test.js checks that.
+const en = {
+  'app.title':             'Malawian Restaurant Menus',
+  'app.tagline':           'Discover authentic Malawian cuisine from the warm heart of Africa',
+  'app.loadFailed':        'Failed to load data. Check console for details.',
+  'app.update':            'A new version is available',
+  'app.reload':            'Reload',
+  'app.language':          'Language',
+
+  'common.loading':        'Loading…',
+  'common.clear':          'Clear',
+  'common.close':          'Close',
+  'common.back':           'Back',
+
+  'nav.home':              'Home',
+  'nav.menus':             'Menus',
+  'nav.search':            'Search',
+  'nav.map':               'Map',
+  'nav.cart':              'Cart',
+  'nav.label':             'Main',
+
+  'sync.offline':          'Offline',
+  'sync.offlineSince':     'Offline — showing menus from {age}',
+  'sync.updating':         'Updating…',
+  'sync.lastUpdated':      'Last updated {age}',
+
+  'live.prices':           'Prices updated at {name}',
+  'live.menu':             'Menu updated at {name}',
+  'live.details':          'Details updated for {name}',
+  'live.added':            'New on the app: {name}',
+  'live.pricesMany':       'Prices updated at {count} restaurants',
+  'live.many':             'Menus updated at {count} restaurants',
+  'live.picks':            'Gourmet\'s Picks updated',
+
+  'age.justNow':           'just now',
+  'age.minutes':           '{count} min ago',
+  'age.hours':             '{count} h ago',
+  'age.days':              '{count} days ago',
+  'age.days_one':          '{count} day ago',
+
+  'hours.openCloses':      'Open now · Closes at {time}',
+  'hours.open24':          'Open 24 hours',
+  'hours.closed':          'Closed',
+  'hours.opensAt':         'Closed · Opens at {time}',
+  'hours.opensTomorrow':   'Closed · Opens tomorrow {time}',
+  'hours.opensOn':         'Closed · Opens {day} {time}',
+  'days.0':                'Sun',
+  'days.1':                'Mon',
+  'days.2':                'Tue',
+  'days.3':                'Wed',
+  'days.4':                'Thu',
+  'days.5':                'Fri',
+  'days.6':                'Sat',
+
+  'filters.openNow':       'Open now',
+  'nearMe.toggle':         'Near me',
+  'nearMe.locating':       'Locating…',
+  'nearMe.nearTown':       'Near {town}',
+  'nearMe.blocked':        'Location blocked —',
+  'nearMe.unavailable':    'Location unavailable —',
+  'nearMe.chooseTown':     'choose a town',
+  'nearMe.away':           '{distance} away',
+
+  'diet.vegetarian':       'Vegetarian',
+  'diet.vegan':            'Vegan',
+  'diet.halal':            'Halal',
+  'diet.glutenFree':       'Gluten-free',
+  'diet.nuts':             'Nuts',
+  'diet.dairy':            'Dairy',
+  'diet.fish':             'Fish',
+  'diet.contains':         'Contains {allergen}',
+  'diet.spicy':            'Spicy',
+  'diet.spicyLevel':       'Spicy {level} of {max}',
+  'diet.notMarked':        'Not marked {diet}',
+  'diet.noInfo':           'No dietary info',
+  'diet.tooSpicy':         'Too spicy',
+  'diet.filter':           'Dietary',
+  'diet.onlyEat':          'I only eat',
+  'diet.avoid':            'Avoid',
+  'diet.spice':            'Spice',
+  'diet.spiceAny':         'Any',
+  'diet.spice0':           'Not spicy',
+  'diet.spice1':           'Up to mild',
+  'diet.spice2':           'Up to hot',
+  'diet.otherDishes':      'Other dishes',
+  'diet.unsuitable':       'Unsuitable dishes',
+  'diet.mode.flag':        'Flag',
+  'diet.mode.hide':        'Hide',
+  'diet.clear':            'Clear preferences',
+  'diet.hidden':           '{count} dishes hidden by your dietary preferences',
+  'diet.hidden_one':       '{count} dish hidden by your dietary preferences',
+
+  'favourites.add':        'Add to favourites',
+  'favourites.remove':     'Remove from favourites',
+  'favourites.addNamed':   'Add {name} to favourites',
+  'favourites.removeNamed':'Remove {name} from favourites',
+
+  'reviews.none':          'No reviews',
+  'reviews.title':         'Reviews',
+  'reviews.titleCount':    'Reviews ({count})',
+  'reviews.hide':          'Hide reviews',
+  'reviews.yourRating':    'Your rating',
+  'reviews.stars':         '{count} stars',
+  'reviews.stars_one':     '{count} star',
+  'reviews.outOf':         '{count} out of 5 stars',
+  'reviews.textPlaceholder':'Tell others what you thought (optional)',
+  'reviews.namePlaceholder':'Your name (optional)',
+  'reviews.post':          'Post review',
+  'reviews.posting':       'Posting…',
+  'reviews.loading':       'Loading reviews…',
+  'reviews.empty':         'No reviews yet — be the first.',
+  'reviews.sort':          'Sort reviews',
+  'reviews.anonymous':     'Anonymous',
+  'reviewSort.newest':     'Newest',
+  'reviewSort.highest':    'Highest rated',
+  'reviewSort.lowest':     'Lowest rated',
+  'reviewSort.oldest':     'Oldest',
+
+  'menu.categories':       'Menu categories',
+  'menu.sort':             'Sort dishes',
+  'sort.menu':             'Menu order',
+  'sort.priceAsc':         'Price: low to high',
+  'sort.priceDesc':        'Price: high to low',
+  'sort.name':             'Name: A–Z',
+  'menu.empty':            'No menu items yet',
+  'menu.cuisine':          'Malawian Cuisine',
+  'menu.selectRestaurant': 'Select a restaurant to view their menu',
+  'menu.restaurants':      'Restaurants',
+  'menu.searchRestaurants':'Search…',
+  'menu.noRestaurants':    'No restaurants found',
+  'menu.toggleSidebar':    'Show restaurants',
+
+  'dish.kitchenNotes':     'Notes for the kitchen (optional)',
+  'dish.directions':       'Directions',
+  'dish.orderNow':         'Order Now',
+  'dish.addToOrder':       'Add {name} to order',
+
+  'home.picks':            'Gourmet\'s Picks',
+  'home.pickMenu':         'See the menu at {restaurant}',
+  'home.picksPrevious':    'Previous pick',
+  'home.picksNext':        'Next pick',
+  'home.picksGoTo':        'Show pick {number}',
+  'home.pickSlide':        '{number} of {total}',
+  'home.popular':          'Popular Restaurants',
+  'home.nearest':          'Nearest Restaurants',
+  'home.noneNearbyOpen':   'None of the nearby restaurants are open right now.',
+  'home.noCoordinates':    'No restaurants have map coordinates yet.',
+  'home.noFeatured':       'No featured restaurants yet — add TRUE in the Featured column.',
+  'home.nonePopularOpen':  'None of the popular restaurants are open right now.',
+  'home.favourites':       'Your Favourites',
+  'home.recent':           'Recently Viewed',
+
+  'search.placeholder':    'Search dishes — nsima, chambo, tea…',
+  'search.allCategories':  'All categories',
+  'search.allLocations':   'All locations',
+  'search.minPrice':       'Min {price}',
+  'search.maxPrice':       'Max {price}',
+  'search.anyRating':      'Any rating',
+  'search.categoryLabel':  'Category',
+  'search.locationLabel':  'Location',
+  'search.ratingLabel':    'Minimum rating',
+  'search.ratingUp':       '{rating}★ & up',
+  'search.prompt':         'Search every menu by dish, ingredient or category',
+  'search.noResults':      'No dishes match your search',
+  'search.dishes':         '{count} dishes',
+  'search.dishes_one':     '{count} dish',
+  'search.restaurants':    '{count} restaurants',
+  'search.restaurants_one':'{count} restaurant',
+  'search.summary':        '{dishes} at {restaurants}',
+
+  'map.loading':           'Loading map…',
+  'map.label':             'Map of restaurants',
+  'map.viewMenu':          'View menu',
+  'map.missing':           '{count} restaurants aren\'t on the map yet — no coordinates in the sheet.',
+  'map.missing_one':       '{count} restaurant isn\'t on the map yet — no coordinates in the sheet.',
+
+  'price.currency':        'Currency',
+  'price.from':            'from {price}',
+  'price.chargedAs':       'Charged as {price}',
+
+  'cart.title':            'Your Order',
+  'cart.checkout':         'Checkout',
+  'cart.empty':            'Your cart is empty',
+  'cart.unknownRestaurant':'Unknown restaurant',
+  'cart.sentTo':           'Order sent to {restaurant}',
+  'cart.name':             'Your name',
+  'cart.phone':            'Phone number',
+  'cart.notes':            'Pickup time, delivery address…',
+  'cart.send':             'Send Order',
+  'cart.sending':          'Sending…',
+  'cart.quantity':         'Quantity',
+  'cart.decrease':         'Decrease quantity',
+  'cart.increase':         'Increase quantity',
+  'cart.remove':           'Remove {name}',
+
+  'notFound.restaurant':        'Restaurant not found',
+  'notFound.restaurantMessage': 'This restaurant may have been removed or renamed.',
+  'notFound.browse':            'Browse restaurants',
+  'notFound.dish':              'Dish not found',
+  'notFound.dishMessage':       'This dish is no longer on the menu.',
+  'notFound.page':              'Page not found',
+  'notFound.pageMessage':       'That link doesn\'t lead anywhere on this site.',
+  'notFound.goHome':            'Go home',
+};
+
+export default en;
@@ -0,0 +1,207 @@
+// Chichewa. Keep keys and {placeholders} in step with en.js. Dish and
+// restaurant names come from the sheet ("Item name (Chichewa)" columns).
+const ny = {
+  'app.title':             'Malo Odyera a ku Malawi',
+  'app.tagline':           'Pezani zakudya zenizeni za ku Malawi, mtima wofunda wa Africa',
+  'app.loadFailed':        'Sitinathe kutsitsa zambiri. Onani console kuti mudziwe zambiri.',
+  'app.update':            'Mtundu watsopano ulipo',
+  'app.reload':            'Tsitsaninso',
+  'app.language':          'Chiyankhulo',
+
+  'common.loading':        'Tikutsitsa…',
+  'common.clear':          'Chotsani',
+  'common.close':          'Tsekani',
+  'common.back':           'Bwererani',
+
+  'nav.home':              'Kunyumba',
+  'nav.menus':             'Mindandanda',
+  'nav.search':            'Sakani',
+  'nav.map':               'Mapu',
+  'nav.cart':              'Dengu',
+  'nav.label':             'Zazikulu',
+
+  'sync.offline':          'Palibe intaneti',
+  'sync.offlineSince':     'Palibe intaneti — tikuonetsa mindandanda ya {age}',
+  'sync.updating':         'Tikukonzanso…',
+  'sync.lastUpdated':      'Zasinthidwa {age}',
+
+  'live.prices':           'Mitengo yasinthidwa ku {name}',
+  'live.menu':             'Mndandanda wasinthidwa ku {name}',
+  'live.details':          'Zambiri za {name} zasinthidwa',
+  'live.added':            'Zatsopano: {name}',
+  'live.pricesMany':       'Mitengo yasinthidwa ku malo odyera {count}',
+  'live.many':             'Mindandanda yasinthidwa ku malo odyera {count}',
+  'live.picks':            'Zosankhidwa ndi Akatswiri zasinthidwa',
+
+  'age.justNow':           'pompano',
+  'age.minutes':           'mphindi {count} zapitazo',
+  'age.hours':             'maola {count} apitawo',
+  'age.days':              'masiku {count} apitawo',
+  'age.days_one':          'tsiku {count} lapitalo',
+
+  'hours.openCloses':      'Patsegulidwa · Tikutseka {time}',
+  'hours.open24':          'Patsegulidwa maola 24',
+  'hours.closed':          'Patsekedwa',
+  'hours.opensAt':         'Patsekedwa · Tikutsegula {time}',
+  'hours.opensTomorrow':   'Patsekedwa · Tikutsegula mawa {time}',
+  'hours.opensOn':         'Patsekedwa · Tikutsegula {day} {time}',
+  'days.0':                'Lamulungu',
+  'days.1':                'Lolemba',
+  'days.2':                'Lachiwiri',
+  'days.3':                'Lachitatu',
+  'days.4':                'Lachinayi',
+  'days.5':                'Lachisanu',
+  'days.6':                'Loweruka',
+
+  'filters.openNow':       'Zotsegula tsopano',
+  'nearMe.toggle':         'Pafupi ndi ine',
+  'nearMe.locating':       'Tikufufuza komwe muli…',
+  'nearMe.nearTown':       'Pafupi ndi {town}',
+  'nearMe.blocked':        'Malo aletsedwa —',
+  'nearMe.unavailable':    'Malo sakupezeka —',
+  'nearMe.chooseTown':     'sankhani tawuni',
+  'nearMe.away':           '{distance} kuchokera pano',
+
+  'diet.vegetarian':       'Zopanda nyama',
+  'diet.vegan':            'Zamasamba zokha',
+  'diet.halal':            'Halal',
+  'diet.glutenFree':       'Zopanda gluten',
+  'diet.nuts':             'Mtedza',
+  'diet.dairy':            'Mkaka',
+  'diet.fish':             'Nsomba',
+  'diet.contains':         'Muli {allergen}',
+  'diet.spicy':            'Zotentha',
+  'diet.spicyLevel':       'Zotentha {level} mwa {max}',
+  'diet.notMarked':        'Sizinalembedwe kuti {diet}',
+  'diet.noInfo':           'Palibe zambiri za zakudya',
+  'diet.tooSpicy':         'Zotentha kwambiri',
+  'diet.filter':           'Zakudya zanga',
+  'diet.onlyEat':          'Ndimadya zokha',
+  'diet.avoid':            'Ndimapewa',
+  'diet.spice':            'Kutentha',
+  'diet.spiceAny':         'Zonse',
+  'diet.spice0':           'Zosatentha',
+  'diet.spice1':           'Zotentha pang\'ono',
+  'diet.spice2':           'Zotentha',
+  'diet.otherDishes':      'Zakudya zina',
+  'diet.unsuitable':       'Zakudya zosayenera',
+  'diet.mode.flag':        'Onetsani',
+  'diet.mode.hide':        'Bisani',
+  'diet.clear':            'Chotsani zosankha',
+  'diet.hidden':           'Zakudya {count} zabisidwa chifukwa cha zosankha zanu',
+  'diet.hidden_one':       'Chakudya {count} chabisidwa chifukwa cha zosankha zanu',
+
+  'favourites.add':        'Onjezani pa zokonda',
+  'favourites.remove':     'Chotsani pa zokonda',
+  'favourites.addNamed':   'Onjezani {name} pa zokonda',
+  'favourites.removeNamed':'Chotsani {name} pa zokonda',
+
+  'reviews.none':          'Palibe ndemanga',
+  'reviews.title':         'Ndemanga',
+  'reviews.titleCount':    'Ndemanga ({count})',
+  'reviews.hide':          'Bisani ndemanga',
+  'reviews.yourRating':    'Nyenyezi zanu',
+  'reviews.stars':         'Nyenyezi {count}',
+  'reviews.stars_one':     'Nyenyezi {count}',
+  'reviews.outOf':         'Nyenyezi {count} mwa 5',
+  'reviews.textPlaceholder':'Uzani ena zomwe mwaona (mwakufuna)',
+  'reviews.namePlaceholder':'Dzina lanu (mwakufuna)',
+  'reviews.post':          'Tumizani ndemanga',
+  'reviews.posting':       'Tikutumiza…',
+  'reviews.loading':       'Tikutsitsa ndemanga…',
+  'reviews.empty':         'Palibe ndemanga — khalani oyamba.',
+  'reviews.sort':          'Konzani ndemanga',
+  'reviews.anonymous':     'Wosadziwika',
+  'reviewSort.newest':     'Zatsopano',
+  'reviewSort.highest':    'Nyenyezi zambiri',
+  'reviewSort.lowest':     'Nyenyezi zochepa',
+  'reviewSort.oldest':     'Zakale',
+
+  'menu.categories':       'Magulu a zakudya',
+  'menu.sort':             'Konzani zakudya',
+  'sort.menu':             'Monga mndandanda',
+  'sort.priceAsc':         'Mtengo: wotsika poyamba',
+  'sort.priceDesc':        'Mtengo: wokwera poyamba',
+  'sort.name':             'Dzina: A–Z',
+  'menu.empty':            'Palibe zakudya pano',
+  'menu.cuisine':          'Zakudya za ku Malawi',
+  'menu.selectRestaurant': 'Sankhani malo odyera kuti muone mndandanda wawo',
+  'menu.restaurants':      'Malo odyera',
+  'menu.searchRestaurants':'Sakani…',
+  'menu.noRestaurants':    'Palibe malo odyera omwe apezeka',
+  'menu.toggleSidebar':    'Onetsani malo odyera',
+
+  'dish.kitchenNotes':     'Uthenga kwa ophika (mwakufuna)',
+  'dish.directions':       'Njira',
+  'dish.orderNow':         'Odani Tsopano',
+  'dish.addToOrder':       'Onjezani {name} pa oda',
+
+  'home.picks':            'Zosankhidwa ndi Akatswiri',
+  'home.pickMenu':         'Onani mndandanda wa {restaurant}',
+  'home.picksPrevious':    'Zosankhidwa zam\'mbuyo',
+  'home.picksNext':        'Zosankhidwa zotsatira',
+  'home.picksGoTo':        'Onetsani nambala {number}',
+  'home.pickSlide':        '{number} mwa {total}',
+  'home.popular':          'Malo Odyera Otchuka',
+  'home.nearest':          'Malo Odyera Apafupi',
+  'home.noneNearbyOpen':   'Palibe malo odyera apafupi omwe ali otsegula pano.',
+  'home.noCoordinates':    'Palibe malo odyera omwe ali ndi malo pa mapu pano.',
+  'home.noFeatured':       'Palibe malo odyera osankhidwa — lembani TRUE mu gawo la Featured.',
+  'home.nonePopularOpen':  'Palibe malo odyera otchuka omwe ali otsegula pano.',
+  'home.favourites':       'Zokonda Zanu',
+  'home.recent':           'Zomwe Mwaona Posachedwa',
+
+  'search.placeholder':    'Sakani zakudya — nsima, chambo, tiyi…',
+  'search.allCategories':  'Magulu onse',
+  'search.allLocations':   'Malo onse',
+  'search.minPrice':       'Osachepera {price}',
+  'search.maxPrice':       'Osapitirira {price}',
+  'search.anyRating':      'Nyenyezi zilizonse',
+  'search.categoryLabel':  'Mtundu',
+  'search.locationLabel':  'Malo',
+  'search.ratingLabel':    'Nyenyezi zochepa',
+  'search.ratingUp':       '{rating}★ kupita mmwamba',
+  'search.prompt':         'Sakani mindandanda yonse ndi dzina la chakudya kapena gulu',
+  'search.noResults':      'Palibe chakudya chomwe chikugwirizana ndi kusaka kwanu',
+  'search.dishes':         'zakudya {count}',
+  'search.dishes_one':     'chakudya {count}',
+  'search.restaurants':    'malo odyera {count}',
+  'search.restaurants_one':'malo odyera {count}',
+  'search.summary':        '{dishes} ku {restaurants}',
+
+  'map.loading':           'Tikutsitsa mapu…',
+  'map.label':             'Mapu a malo odyera',
+  'map.viewMenu':          'Onani mndandanda',
+  'map.missing':           'Malo odyera {count} sali pa mapu — palibe malo mu spreadsheet.',
+  'map.missing_one':       'Malo odyera {count} sali pa mapu — palibe malo mu spreadsheet.',
+
+  'price.currency':        'Ndalama',
+  'price.from':            'kuyambira {price}',
+  'price.chargedAs':       'Mtengo weniweni: {price}',
+
+  'cart.title':            'Oda Yanu',
+  'cart.checkout':         'Lipirani',
+  'cart.empty':            'Dengu lanu lilibe kanthu',
+  'cart.unknownRestaurant':'Malo odyera osadziwika',
+  'cart.sentTo':           'Oda yatumizidwa ku {restaurant}',
+  'cart.name':             'Dzina lanu',
+  'cart.phone':            'Nambala ya foni',
+  'cart.notes':            'Nthawi yotenga, adilesi yobweretsera…',
+  'cart.send':             'Tumizani Oda',
+  'cart.sending':          'Tikutumiza…',
+  'cart.quantity':         'Kuchuluka',
+  'cart.decrease':         'Chepetsani kuchuluka',
+  'cart.increase':         'Onjezani kuchuluka',
+  'cart.remove':           'Chotsani {name}',
+
+  'notFound.restaurant':        'Malo odyera sanapezeke',
+  'notFound.restaurantMessage': 'Mwina malo odyerawa achotsedwa kapena asinthidwa dzina.',
+  'notFound.browse':            'Onani malo odyera',
+  'notFound.dish':              'Chakudya sichinapezeke',
+  'notFound.dishMessage':       'Chakudyachi sichilinso pa mndandanda.',
+  'notFound.page':              'Tsamba silinapezeke',
+  'notFound.pageMessage':       'Ulalowu supita kulikonse pa tsambali.',
+  'notFound.goHome':            'Pitani kunyumba',
+};
+
+export default ny;
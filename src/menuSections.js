@@ -0,0 +1,82 @@
+import { priceOf, baseAmount } from './price';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MENU SECTIONS
+//
+// A restaurant's items grouped by their "Category" cell, in the order set by
+// REACT_APP_CATEGORY_ORDER (comma separated, case-insensitive), e.g.
+//   REACT_APP_CATEGORY_ORDER="Breakfast, Starters, Main Dishes, Sides, Desserts, Drinks"
+// Categories not in the list follow in the order the sheet first uses them.
+// Within a section items keep sheet order unless the diner picks a sort.
+// ─────────────────────────────────────────────────────────────────────────────
+export const DEFAULT_CATEGORY_ORDER = [
+  'Breakfast', 'Starters', 'Main Dishes', 'Grills', 'Sides', 'Snacks', 'Desserts', 'Drinks',
+];
+
+export const SORT_OPTIONS = [
+  { id: 'menu',      label: 'Menu order' },
+  { id: 'priceAsc',  label: 'Price: low to high' },
+  { id: 'priceDesc', label: 'Price: high to low' },
+  { id: 'name',      label: 'Name: A–Z' },
+];
+
+const normalize = (s) => (s || '').toString().trim().toLowerCase();
+
+export const getCategoryOrder = (configured = process.env.REACT_APP_CATEGORY_ORDER) => {
+  const list = (configured || '').split(',').map(s => s.trim()).filter(Boolean);
+  return list.length ? list : DEFAULT_CATEGORY_ORDER;
+};
+
+// "Main Dishes" → "main-dishes"; used for section element ids
+export const categorySlug = (category) =>
+  normalize(category).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'other';
+
+const itemName = (item) => item.name;
+
+const byName = (nameOf) => (a, b) => nameOf(a).localeCompare(nameOf(b), 'en', { sensitivity: 'base' });
+
+// Unpriced items sink to the end whichever way price is sorted
+const byPrice = (dir, nameOf) => (a, b) => {
+  const pa = baseAmount(priceOf(a));
+  const pb = baseAmount(priceOf(b));
+  if (pa === null || pb === null) return (pa === null) - (pb === null);
+  return (pa - pb) * dir || byName(nameOf)(a, b);
+};
+
+// `nameOf` is the name the diner sees (e.g. the translation) — the items
+// themselves are left alone, since they go on to the cart and the order
+export const sortItems = (items, sort = 'menu', nameOf = itemName) => {
+  if (sort === 'name')      return [...items].sort(byName(nameOf));
+  if (sort === 'priceAsc')  return [...items].sort(byPrice(1, nameOf));
+  if (sort === 'priceDesc') return [...items].sort(byPrice(-1, nameOf));
+  return items;
+};
+
+/**
+ * @returns {{ id: string, category: string, items: Object[] }[]}
+ */
+export const groupByCategory = (items, { order = getCategoryOrder(), sort = 'menu', nameOf = itemName } = {}) => {
+  const rank = new Map(order.map((c, i) => [normalize(c), i]));
+  const sections = new Map();
+  items.forEach(item => {
+    const key = normalize(item.category);
+    if (!sections.has(key)) sections.set(key, { category: item.category, items: [] });
+    sections.get(key).items.push(item);
+  });
+
+  // "Drinks" and "Drinks!" are separate sections with the same slug; the
+  // later one gets "-2" so every section id stays unique on the page
+  const used = new Set();
+  const uniqueId = (category) => {
+    const base = categorySlug(category);
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+    used.add(id);
+    return id;
+  };
+
+  // Array sort is stable, so unranked categories keep first-seen order
+  return [...sections.entries()]
+    .sort(([a], [b]) => (rank.get(a) ?? Infinity) - (rank.get(b) ?? Infinity))
+    .map(([, section]) => ({ id: uniqueId(section.category), ...section, items: sortItems(section.items, sort, nameOf) }));
+};
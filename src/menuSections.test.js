@@ -0,0 +1,65 @@
+import { groupByCategory, sortItems, getCategoryOrder, categorySlug, DEFAULT_CATEGORY_ORDER } from './menuSections';
+
+const item = (name, category, price) => ({ id: name, name, category, price });
+const names = (items) => items.map(i => i.name);
+
+const MENU = [
+  item('Fanta', 'Drinks', 'K800'),
+  item('Nsima', 'Main Dishes', 'K3,500'),
+  item('Chambo', 'Main Dishes', 'K6,000'),
+  item('Special', 'Chef Specials', ''),
+  item('Samosa', 'Starters', 'K1,200'),
+  item('Beef stew', 'main dishes ', 'K4,000'),
+];
+
+test('groups by category in the configured order, unknown categories last', () => {
+  const sections = groupByCategory(MENU, { order: DEFAULT_CATEGORY_ORDER });
+  expect(sections.map(s => s.category)).toEqual(['Starters', 'Main Dishes', 'Drinks', 'Chef Specials']);
+  expect(names(sections[1].items)).toEqual(['Nsima', 'Chambo', 'Beef stew']);
+  expect(sections[1].id).toBe('main-dishes');
+});
+
+test('unranked categories keep the order the sheet first uses them', () => {
+  const sections = groupByCategory(MENU, { order: ['Drinks'] });
+  expect(sections.map(s => s.category)).toEqual(['Drinks', 'Main Dishes', 'Chef Specials', 'Starters']);
+});
+
+test('sorting within a section', () => {
+  const mains = MENU.filter(i => /main/i.test(i.category));
+  expect(names(sortItems(mains, 'priceAsc'))).toEqual(['Nsima', 'Beef stew', 'Chambo']);
+  expect(names(sortItems(mains, 'priceDesc'))).toEqual(['Chambo', 'Beef stew', 'Nsima']);
+  expect(names(sortItems(mains, 'name'))).toEqual(['Beef stew', 'Chambo', 'Nsima']);
+  expect(sortItems(mains, 'menu')).toBe(mains);
+});
+
+test('unpriced items sink to the end either way', () => {
+  const items = [item('Free', 'X', ''), item('Tea', 'X', 'K500'), item('Cake', 'X', 'K900')];
+  expect(names(sortItems(items, 'priceAsc'))).toEqual(['Tea', 'Cake', 'Free']);
+  expect(names(sortItems(items, 'priceDesc'))).toEqual(['Cake', 'Tea', 'Free']);
+});
+
+test('getCategoryOrder reads a comma separated list', () => {
+  expect(getCategoryOrder(' Drinks, Starters ,')).toEqual(['Drinks', 'Starters']);
+  expect(getCategoryOrder('')).toBe(DEFAULT_CATEGORY_ORDER);
+});
+
+test('categorySlug', () => {
+  expect(categorySlug('Chef\'s Specials!')).toBe('chef-s-specials');
+  expect(categorySlug('')).toBe('other');
+});
+
+test('sections whose names slug alike still get distinct ids', () => {
+  const sections = groupByCategory([
+    item('Fanta', 'Drinks', 'K800'), item('Chibuku', 'Drinks!', 'K600'),
+    item('Mystery', '', ''), item('Odds', 'Other', ''),
+  ], { order: [] });
+  expect(sections.map(s => s.id)).toEqual(['drinks', 'drinks-2', 'other', 'other-2']);
+});
+
+test('name sort can follow displayed names without touching the items', () => {
+  const shown = { Nsima: 'Zakudya', Chambo: 'Nsomba', 'Beef stew': 'Nyama' };
+  const mains = MENU.filter(i => /main/i.test(i.category));
+  const [section] = groupByCategory(mains, { order: [], sort: 'name', nameOf: i => shown[i.name] });
+  expect(names(section.items)).toEqual(['Chambo', 'Beef stew', 'Nsima']);
+  expect(section.items[0]).toBe(mains[1]);
+});
@@ -0,0 +1,204 @@
+import { useState, useEffect } from 'react';
+import { englishT } from './i18n';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// OPENING HOURS
+//
+// One "Hours" cell per restaurant, entries separated by ";" or new lines:
+//   Mon-Fri 07:00-21:00            weekly range
+//   Sat 08:00-14:00, 17:00-22:00   split shifts
+//   Fri,Sat 18:00-02:00            overnight (end before start → next day)
+//   Sun closed
+//   Daily 24h
+//   2026-12-25 closed              holiday override for one date
+//   2026-12-24..2026-12-26 10:00-14:00
+// Everything is evaluated in Malawi time (Africa/Blantyre, UTC+2, no DST)
+// whatever the visitor's device clock says.
+// ─────────────────────────────────────────────────────────────────────────────
+export const TIME_ZONE = 'Africa/Blantyre';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_LOOKUP = {
+  sun: 0, sunday: 0, mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2, wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4, fri: 5, friday: 5, sat: 6, saturday: 6,
+};
+const DAY_MINUTES = 24 * 60;
+
+const TIME_RE  = /^(\d{1,2})(?::|\.|h)?(\d{2})?$/;
+const DATE_RE  = /^(\d{4}-\d{2}-\d{2})(?:\.\.(\d{4}-\d{2}-\d{2}))?$/;
+// "<days or date> <shifts>" — split where the shifts start
+const ENTRY_RE = /^(.+?)\s+((?:\d{1,2}(?:[:.h]\d{2})?\s*[-–]|closed\b|24h\b|24 hours|open 24).*)$/i;
+
+// "7:00" / "07.30" / "2130" → minutes since midnight; "24:00" allowed as an end
+const parseTime = (text) => {
+  const m = text.trim().match(TIME_RE);
+  if (!m) return null;
+  const h   = +m[1];
+  const min = m[2] === undefined ? 0 : +m[2];
+  if (h > 24 || min > 59 || (h === 24 && min)) return null;
+  return h * 60 + min;
+};
+
+export const formatTime = (minutes) => {
+  const m = ((minutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+};
+
+// "07:00-21:00, 17:00-22:00" | "closed" | "24h" → [[start, end], …] or null
+const parseShifts = (text) => {
+  const t = text.trim().toLowerCase();
+  if (t === 'closed') return [];
+  if (t === '24h' || t === '24 hours' || t === 'open 24 hours') return [[0, DAY_MINUTES]];
+  const shifts = [];
+  for (const part of t.split(',')) {
+    const [from, to, ...rest] = part.split(/\s*[-–]\s*/);
+    if (rest.length || !from || !to) return null;
+    const start = parseTime(from);
+    const end   = parseTime(to);
+    if (start === null || end === null || start === DAY_MINUTES) return null;
+    shifts.push([start, end]);
+  }
+  return shifts.sort((a, b) => a[0] - b[0]);
+};
+
+// "Mon-Fri" / "Sat,Sun" / "Daily" / "Weekends" → [1,2,3,4,5]
+const parseDays = (text) => {
+  const t = text.trim().toLowerCase();
+  if (t === 'daily' || t === 'everyday' || t === 'every day') return [0, 1, 2, 3, 4, 5, 6];
+  if (t === 'weekdays') return [1, 2, 3, 4, 5];
+  if (t === 'weekends') return [0, 6];
+  const days = [];
+  for (const part of t.split(/\s*,\s*/)) {
+    const [a, b, ...rest] = part.split(/\s*[-–]\s*/);
+    if (rest.length || !(a in DAY_LOOKUP) || (b !== undefined && !(b in DAY_LOOKUP))) return null;
+    if (b === undefined) { days.push(DAY_LOOKUP[a]); continue; }
+    for (let d = DAY_LOOKUP[a]; ; d = (d + 1) % 7) {
+      days.push(d);
+      if (d === DAY_LOOKUP[b]) break;
+    }
+  }
+  return days;
+};
+
+const addDays = (dateKey, n) => {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+/**
+ * @returns {{ weekly: Object<number, number[][]>, overrides: Object<string, number[][]>,
+ *            errors: string[], empty: boolean }}
+ *          Shifts are [startMinute, endMinute]; end ≤ start means it runs past midnight.
+ *          A weekday missing from `weekly` is closed.
+ */
+export const parseHours = (text) => {
+  const result = { weekly: {}, overrides: {}, errors: [], empty: true };
+  const entries = (text || '').toString().split(/[;\n]/).map(e => e.trim()).filter(Boolean);
+
+  entries.forEach(entry => {
+    const m = entry.match(ENTRY_RE);
+    const head   = m ? m[1] : '';
+    const shifts = m ? parseShifts(m[2]) : null;
+    if (!m || shifts === null) { result.errors.push(`Can't read "${entry}"`); return; }
+
+    const date = head.match(DATE_RE);
+    if (date) {
+      const [, from, to = from] = date;
+      if (to < from) { result.errors.push(`"${entry}" ends before it starts`); return; }
+      for (let d = from, n = 0; d <= to && n < 366; d = addDays(d, 1), n++) result.overrides[d] = shifts;
+      result.empty = false;
+      return;
+    }
+
+    const days = parseDays(head);
+    if (!days) { result.errors.push(`Unknown day "${head}" in "${entry}"`); return; }
+    days.forEach(d => { result.weekly[d] = shifts; });
+    result.empty = false;
+  });
+
+  return result;
+};
+
+// Wall-clock parts of `date` in Malawi
+export const localParts = (date) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', weekday: 'short',
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: DAY_NAMES.indexOf(parts.weekday),
+    minutes: (+parts.hour % 24) * 60 + +parts.minute,
+  };
+};
+
+const shiftsOn = (hours, dateKey, weekday) =>
+  hours.overrides[dateKey] ?? hours.weekly[((weekday % 7) + 7) % 7] ?? [];
+
+const endOf = ([start, end]) => (end <= start ? end + DAY_MINUTES : end);
+
+/**
+ * @returns {{ known: boolean, isOpen: boolean, closesAt: string|null,
+ *            opensAt: { time: string, dayOffset: number, weekday: number }|null }}
+ */
+export const getOpenStatus = (hours, now = new Date()) => {
+  if (!hours || hours.empty) return { known: false, isOpen: false, closesAt: null, opensAt: null };
+  const { dateKey, weekday, minutes } = localParts(now);
+
+  // Today's shifts, plus yesterday's overnight shifts spilling into today
+  const today     = shiftsOn(hours, dateKey, weekday).map(s => [s[0], endOf(s)]);
+  const yesterday = shiftsOn(hours, addDays(dateKey, -1), weekday - 1)
+    .filter(([start, end]) => end <= start)
+    .map(([, end]) => [-DAY_MINUTES, end]);
+
+  const current = [...yesterday, ...today].find(([start, end]) => start <= minutes && minutes < end);
+  if (current) {
+    // Closing at midnight into a shift that starts at 00:00 tomorrow isn't closing
+    let end = current[1];
+    const tomorrow = shiftsOn(hours, addDays(dateKey, 1), weekday + 1);
+    if (end === DAY_MINUTES && tomorrow[0]?.[0] === 0) end = DAY_MINUTES + endOf(tomorrow[0]);
+    const allDay = end - minutes >= DAY_MINUTES;
+    return { known: true, isOpen: true, closesAt: allDay ? null : formatTime(end), opensAt: null };
+  }
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const next = shiftsOn(hours, addDays(dateKey, offset), weekday + offset)
+      .find(([start]) => offset > 0 || start > minutes);
+    if (next) {
+      return {
+        known: true, isOpen: false, closesAt: null,
+        opensAt: { time: formatTime(next[0]), dayOffset: offset, weekday: (weekday + offset) % 7 },
+      };
+    }
+  }
+  return { known: true, isOpen: false, closesAt: null, opensAt: null };
+};
+
+// "Open now · Closes at 21:00" / "Closed · Opens tomorrow 07:00"
+/** `t` is useI18n().t; defaults to English */
+export const describeStatus = (status, t = englishT) => {
+  if (!status.known) return null;
+  if (status.isOpen) {
+    return status.closesAt ? t('hours.openCloses', { time: status.closesAt }) : t('hours.open24');
+  }
+  if (!status.opensAt) return t('hours.closed');
+  const { time, dayOffset, weekday } = status.opensAt;
+  if (dayOffset === 0) return t('hours.opensAt', { time });
+  if (dayOffset === 1) return t('hours.opensTomorrow', { time });
+  return t('hours.opensOn', { day: t(`days.${weekday}`), time });
+};
+
+export const isOpenNow = (hoursText, now = new Date()) =>
+  getOpenStatus(parseHours(hoursText), now).isOpen;
+
+// Re-render once a minute so open/closed badges flip on time
+export const useNow = (intervalMs = 60 * 1000) => {
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    const id = setInterval(() => setNow(new Date()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+  return now;
+};
@@ -0,0 +1,63 @@
+import { parseHours, getOpenStatus, describeStatus, localParts, isOpenNow } from './openingHours';
+
+// Malawi is UTC+2 all year — 2026-10-19 is a Monday
+const at = (local) => new Date(`${local}+02:00`);
+const label = (text, local) => describeStatus(getOpenStatus(parseHours(text), at(local)));
+
+const WEEK = 'Mon-Fri 07:00-21:00; Sat 08:00-14:00, 17:00-22:00; Sun closed';
+
+test('localParts reads the clock in Africa/Blantyre', () => {
+  expect(localParts(new Date('2026-10-19T22:30:00Z'))).toEqual({ dateKey: '2026-10-20', weekday: 2, minutes: 30 });
+});
+
+test('parses weekly ranges, split shifts and closed days', () => {
+  const hours = parseHours(WEEK);
+  expect(hours.errors).toEqual([]);
+  expect(hours.weekly[1]).toEqual([[420, 1260]]);
+  expect(hours.weekly[6]).toEqual([[480, 840], [1020, 1320]]);
+  expect(hours.weekly[0]).toEqual([]);
+});
+
+test('reports entries it cannot read', () => {
+  expect(parseHours('Mon-Fri 7am till late; Funday 09:00-10:00').errors).toHaveLength(2);
+  expect(parseHours('').empty).toBe(true);
+});
+
+test('open / closing soon / opens later', () => {
+  expect(label(WEEK, '2026-10-19T12:00')).toBe('Open now · Closes at 21:00');
+  expect(label(WEEK, '2026-10-19T06:00')).toBe('Closed · Opens at 07:00');
+  expect(label(WEEK, '2026-10-19T21:00')).toBe('Closed · Opens tomorrow 07:00');
+});
+
+test('split shifts', () => {
+  expect(label(WEEK, '2026-10-24T15:00')).toBe('Closed · Opens at 17:00');
+  expect(label(WEEK, '2026-10-24T18:00')).toBe('Open now · Closes at 22:00');
+});
+
+test('skips closed days when looking for the next opening', () => {
+  expect(label(WEEK, '2026-10-24T23:00')).toBe('Closed · Opens Mon 07:00');
+});
+
+test('overnight hours carry into the next morning', () => {
+  const hours = 'Fri,Sat 18:00-02:00';
+  expect(label(hours, '2026-10-23T23:00')).toBe('Open now · Closes at 02:00');
+  expect(label(hours, '2026-10-24T01:30')).toBe('Open now · Closes at 02:00');
+  expect(label(hours, '2026-10-25T01:30')).toBe('Open now · Closes at 02:00');
+  expect(label(hours, '2026-10-26T01:30')).toBe('Closed · Opens Fri 18:00');
+});
+
+test('open around the clock', () => {
+  expect(label('Daily 24h', '2026-10-19T03:00')).toBe('Open 24 hours');
+});
+
+test('holiday overrides beat the weekly schedule', () => {
+  const hours = `${WEEK}; 2026-10-19 closed; 2026-10-20..2026-10-21 10:00-14:00`;
+  expect(label(hours, '2026-10-19T12:00')).toBe('Closed · Opens tomorrow 10:00');
+  expect(label(hours, '2026-10-21T15:00')).toBe('Closed · Opens tomorrow 07:00');
+});
+
+test('no hours means unknown, never open', () => {
+  expect(describeStatus(getOpenStatus(parseHours(''), at('2026-10-19T12:00')))).toBeNull();
+  expect(isOpenNow('', at('2026-10-19T12:00'))).toBe(false);
+  expect(isOpenNow(WEEK, at('2026-10-19T12:00'))).toBe(true);
+});
@@ -0,0 +1,171 @@
+import React, { createContext, useContext, useState, useMemo, useCallback } from 'react';
+import { englishT, useI18n } from './i18n';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PRICES
+//
+// The sheet's Price cell is free text. parsePrice() turns it into
+//   { amount, max, currency, from }
+// "K3,500" → 3500 MWK · "K2,000–3,500" → 2000..3500 · "from K1,500" → from 1500
+// "US$12" / "R 95" are read as USD / ZAR. The original text stays on
+// item.price; the parsed model rides along as item.priceValue.
+//
+// Everything is compared and totalled in Kwacha (BASE_CURRENCY). The
+// display currency is a diner preference — converted prices are marked "≈"
+// because the rate table is only as fresh as the deploy:
+//   REACT_APP_EXCHANGE_RATES="USD=1750,ZAR=95"   (Kwacha per unit)
+// ─────────────────────────────────────────────────────────────────────────────
+export const BASE_CURRENCY = 'MWK';
+export const DISPLAY_CURRENCIES = ['MWK', 'USD', 'ZAR'];
+export const DEFAULT_RATES = { MWK: 1, USD: 1750, ZAR: 95 };
+
+const CURRENCY_STORAGE_KEY = 'domasi.currency.v1';
+// Formatting locale for amounts. en-MW writes Kwacha as "MK 3,500" whatever
+// the UI language; runtimes without it fall back to "MWK 3,500".
+const MONEY_LOCALE = 'en-MW';
+
+const DEBUG = process.env.NODE_ENV !== 'production';
+const warn = (...a) => DEBUG && console.warn('[Price]', ...a);
+
+/** "USD=1750, ZAR=95" → { MWK: 1, USD: 1750, ZAR: 95 }; bad entries are skipped */
+export const parseRates = (text) => {
+  const rates = { ...DEFAULT_RATES };
+  (text || '').split(/[,;]/).map(s => s.trim()).filter(Boolean).forEach(entry => {
+    const [code, value] = entry.split('=').map(s => (s || '').trim());
+    const rate = Number(value);
+    if (/^[A-Z]{3}$/i.test(code) && rate > 0) rates[code.toUpperCase()] = rate;
+    else warn('Ignoring exchange rate', entry);
+  });
+  rates[BASE_CURRENCY] = 1;
+  return rates;
+};
+
+export const RATES = parseRates(process.env.REACT_APP_EXCHANGE_RATES);
+
+// Checked in order — "US$" before "$", and "R" only right before a number
+// so words like "Rice" don't read as Rand
+const CURRENCY_MARKS = [
+  ['USD', /US\$|\bUSD\b|\$/i],
+  ['ZAR', /\bZAR\b|\bR\s?\d/i],
+  ['MWK', /\bMWK\b|\bM?K\s?\d/i],
+];
+
+// "3 500" and "3,500" are one number; "2 for 1" is not
+const NUMBER_RE = /\d+(?:[ \u00a0]\d{3}(?!\d))*(?:\.\d+)?/g;
+const RANGE_RE  = /\d\s*(?:[-–—]|to)\s*(?:[A-Z$]{1,3}\s?)?\d/i;
+const FROM_RE   = /^\s*(from|starting at|min\.?)\b|\+\s*$/i;
+
+/**
+ * @returns {{ amount: number, max: number|null, currency: string, from: boolean }|null}
+ *   null when the text has no number ("Ask staff", "Seasonal")
+ */
+export const parsePrice = (raw) => {
+  if (raw === null || raw === undefined) return null;
+  if (typeof raw === 'number') {
+    return Number.isFinite(raw) ? { amount: raw, max: null, currency: BASE_CURRENCY, from: false } : null;
+  }
+  const text = raw.toString().replace(/,(?=\d{3})/g, '');
+  const numbers = (text.match(NUMBER_RE) || []).map(n => parseFloat(n.replace(/[ \u00a0]/g, '')));
+  if (!numbers.length) return null;
+  const [currency] = CURRENCY_MARKS.find(([, re]) => re.test(text)) || [BASE_CURRENCY];
+  const max = numbers.length > 1 && RANGE_RE.test(text) && numbers[1] > numbers[0] ? numbers[1] : null;
+  return { amount: numbers[0], max, currency, from: FROM_RE.test(text) };
+};
+
+// Parsed model for an item, pick or cart line — older cached snapshots and
+// carts only have the raw text
+export const priceOf = (item) =>
+  (item && item.priceValue !== undefined ? item.priceValue : parsePrice(item?.price));
+
+export const convert = (amount, from, to, rates = RATES) => {
+  if (from === to) return amount;
+  if (!rates[from] || !rates[to]) return null;
+  return (amount * rates[from]) / rates[to];
+};
+
+/** Lower bound in Kwacha — what sorting, filtering and cart totals use */
+export const baseAmount = (price, rates = RATES) =>
+  (price ? convert(price.amount, price.currency, BASE_CURRENCY, rates) : null);
+
+/** A price-filter box, typed in the diner's currency → Kwacha; 0 means no limit */
+export const filterAmount = (text, currency = BASE_CURRENCY, rates = RATES) => {
+  const amount = parseFloat(text);
+  return amount > 0 ? convert(amount, currency, BASE_CURRENCY, rates) || 0 : 0;
+};
+
+const formatters = new Map();
+const formatter = (currency) => {
+  if (!formatters.has(currency)) {
+    const digits = currency === BASE_CURRENCY ? 0 : 2;
+    const options = { style: 'currency', currency, minimumFractionDigits: digits, maximumFractionDigits: digits };
+    let format;
+    try { format = new Intl.NumberFormat(MONEY_LOCALE, { ...options, currencyDisplay: 'narrowSymbol' }); }
+    catch (e) { format = new Intl.NumberFormat(MONEY_LOCALE, options); } // Safari < 14.1
+    formatters.set(currency, format);
+  }
+  return formatters.get(currency);
+};
+
+export const formatMoney = (amount, currency = BASE_CURRENCY) => formatter(currency).format(amount);
+
+/**
+ * Display text for a parsed price in `currency` (its own when omitted).
+ * Unparseable prices show their raw text, so pass the item's price along.
+ */
+export const formatPrice = (price, { currency, rates = RATES, t = englishT, raw = '' } = {}) => {
+  if (!price) return raw;
+  const target = currency || price.currency;
+  const low  = convert(price.amount, price.currency, target, rates);
+  const high = price.max === null ? null : convert(price.max, price.currency, target, rates);
+  if (low === null) return formatPrice(price, { rates, t, raw });
+
+  let text = high === null
+    ? formatMoney(low, target)
+    : formatter(target).formatRange?.(low, high) || `${formatMoney(low, target)}–${formatMoney(high, target)}`;
+  if (price.from) text = t('price.from', { price: text });
+  return target === price.currency ? text : `≈ ${text}`;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DISPLAY CURRENCY
+// ─────────────────────────────────────────────────────────────────────────────
+const loadCurrency = () => {
+  try {
+    const saved = localStorage.getItem(CURRENCY_STORAGE_KEY);
+    return DISPLAY_CURRENCIES.includes(saved) ? saved : BASE_CURRENCY;
+  } catch (e) { return BASE_CURRENCY; }
+};
+
+const CurrencyContext = createContext({ currency: BASE_CURRENCY, setCurrency: () => {}, rates: RATES });
+
+export const CurrencyProvider = ({ children, rates = RATES }) => {
+  const [currency, setCurrencyState] = useState(loadCurrency);
+
+  const setCurrency = useCallback((next) => {
+    if (!DISPLAY_CURRENCIES.includes(next)) return;
+    setCurrencyState(next);
+    try { localStorage.setItem(CURRENCY_STORAGE_KEY, next); }
+    catch (e) { warn('Could not persist currency:', e); }
+  }, []);
+
+  const value = useMemo(() => ({ currency, setCurrency, rates }), [currency, setCurrency, rates]);
+  return <CurrencyContext.Provider value={value}>{children}</CurrencyContext.Provider>;
+};
+
+/**
+ * itemPrice(item) — an item's price in the diner's currency
+ * money(amount)   — a Kwacha amount (cart totals) in the diner's currency
+ */
+export const useCurrency = () => {
+  const { currency, setCurrency, rates } = useContext(CurrencyContext);
+  const { t } = useI18n();
+
+  const itemPrice = useCallback(
+    (item) => formatPrice(priceOf(item), { currency, rates, t, raw: item?.price || '' }),
+    [currency, rates, t]);
+  const money = useCallback(
+    (amount) => formatPrice({ amount, max: null, currency: BASE_CURRENCY, from: false }, { currency, rates, t }),
+    [currency, rates, t]);
+
+  return { currency, setCurrency, rates, itemPrice, money };
+};
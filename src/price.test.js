@@ -0,0 +1,82 @@
+import {
+  parsePrice, parseRates, priceOf, convert, baseAmount, filterAmount, formatMoney, formatPrice, DEFAULT_RATES,
+} from './price';
+import { translate } from './i18n';
+
+// Intl puts a no-break space between "MK" and the number
+const nbsp = (text) => text.replace(/ /g, '\u00a0');
+
+test('parsePrice reads Kwacha price strings', () => {
+  expect(parsePrice('K3,500')).toEqual({ amount: 3500, max: null, currency: 'MWK', from: false });
+  expect(parsePrice('MK 7 000').amount).toBe(7000);
+  expect(parsePrice('MWK 12,000').amount).toBe(12000);
+  expect(parsePrice('1500.50')).toMatchObject({ amount: 1500.5, currency: 'MWK' });
+  expect(parsePrice(800)).toMatchObject({ amount: 800, currency: 'MWK' });
+  expect(parsePrice('Ask staff')).toBeNull();
+  expect(parsePrice('')).toBeNull();
+  expect(parsePrice(undefined)).toBeNull();
+});
+
+test('ranges and "from" prices', () => {
+  expect(parsePrice('K2,000–3,500')).toMatchObject({ amount: 2000, max: 3500 });
+  expect(parsePrice('K2,000 - K3,500')).toMatchObject({ amount: 2000, max: 3500 });
+  expect(parsePrice('MK 2 000 to 3 500')).toMatchObject({ amount: 2000, max: 3500 });
+  expect(parsePrice('from K1,500')).toMatchObject({ amount: 1500, max: null, from: true });
+  expect(parsePrice('K1,500+')).toMatchObject({ amount: 1500, from: true });
+});
+
+test('foreign currencies', () => {
+  expect(parsePrice('US$12')).toMatchObject({ amount: 12, currency: 'USD' });
+  expect(parsePrice('$6.50')).toMatchObject({ amount: 6.5, currency: 'USD' });
+  expect(parsePrice('R 95')).toMatchObject({ amount: 95, currency: 'ZAR' });
+  expect(parsePrice('Rice K900').currency).toBe('MWK');
+});
+
+test('parseRates overrides the defaults and skips junk', () => {
+  expect(parseRates('USD=1800, ZAR = 100; EUR=1900')).toEqual({ MWK: 1, USD: 1800, ZAR: 100, EUR: 1900 });
+  expect(parseRates('USD=abc, MWK=5, =3')).toEqual(DEFAULT_RATES);
+  expect(parseRates(undefined)).toEqual(DEFAULT_RATES);
+});
+
+test('convert and baseAmount go through Kwacha', () => {
+  const rates = { MWK: 1, USD: 2000, ZAR: 100 };
+  expect(convert(4000, 'MWK', 'USD', rates)).toBe(2);
+  expect(convert(1, 'USD', 'ZAR', rates)).toBe(20);
+  expect(convert(1, 'EUR', 'MWK', rates)).toBeNull();
+  expect(baseAmount(parsePrice('US$3'), rates)).toBe(6000);
+  expect(baseAmount(null, rates)).toBeNull();
+});
+
+test('filterAmount turns a typed limit into Kwacha', () => {
+  const rates = { MWK: 1, USD: 2000, ZAR: 100 };
+  expect(filterAmount('3', 'USD', rates)).toBe(6000);
+  expect(filterAmount('5000', 'MWK', rates)).toBe(5000);
+  expect(filterAmount('', 'USD', rates)).toBe(0);
+  expect(filterAmount('-2', 'USD', rates)).toBe(0);
+  expect(filterAmount('3', 'EUR', rates)).toBe(0);
+});
+
+test('priceOf prefers the parsed value and falls back to the text', () => {
+  expect(priceOf({ price: 'K900', priceValue: null })).toBeNull();
+  expect(priceOf({ price: 'K900' }).amount).toBe(900);
+  expect(priceOf(undefined)).toBeNull();
+});
+
+test('formatMoney uses Intl with local symbols', () => {
+  expect(formatMoney(10500)).toBe(nbsp('MK 10,500'));
+  expect(formatMoney(6.5, 'USD')).toBe('$6.50');
+  expect(formatMoney(98.5, 'ZAR')).toBe(nbsp('R 98.50'));
+});
+
+test('formatPrice shows ranges, "from" and converted amounts', () => {
+  const rates = { MWK: 1, USD: 2000, ZAR: 100 };
+  expect(formatPrice(parsePrice('K3,500'), { rates })).toBe(nbsp('MK 3,500'));
+  expect(formatPrice(parsePrice('K2,000–3,500'), { rates })).toBe(nbsp('MK 2,000–3,500'));
+  expect(formatPrice(parsePrice('from K1,500'), { rates })).toBe(`from ${nbsp('MK 1,500')}`);
+  expect(formatPrice(parsePrice('K3,000'), { currency: 'USD', rates })).toBe('≈ $1.50');
+  expect(formatPrice(parsePrice('US$2'), { currency: 'USD', rates })).toBe('$2.00');
+
+  const ny = (key, params) => translate('ny', key, params);
+  expect(formatPrice(parsePrice('from K2,000'), { currency: 'ZAR', rates, t: ny })).toBe(`≈ kuyambira ${nbsp('R 20.00')}`);
+  expect(formatPrice(null, { raw: 'Ask staff' })).toBe('Ask staff');
+});
@@ -0,0 +1,212 @@
+import { useState, useEffect, useCallback } from 'react';
+import { upgradeLegacyItemId } from './dataSources';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// REVIEWS
+//
+// Star ratings and short reviews for restaurants and dishes. Storage sits
+// behind a small store interface so the UI doesn't care where reviews live:
+//
+//   store.name                              'local' | 'api'
+//   store.list(targetType, targetId)     →  { ok, reviews, error }
+//   store.add(draft)                     →  { ok, review, error }
+//   store.summaries()                    →  { ok, summaries: { [key]: { average, count } }, error }
+//
+// targetType is 'restaurant' or 'item'; ids are the data sources' stable ones.
+// `key` is reviewKey(targetType, targetId). REACT_APP_REVIEW_STORE=api sends
+// reviews to REACT_APP_API_BASE_URL:
+//   GET  /reviews?targetType=item&targetId=…   → Review[]
+//   POST /reviews                              → Review
+//   GET  /reviews/summary                      → { [key]: { average, count } }
+// Anything else keeps them in this browser's localStorage.
+// ─────────────────────────────────────────────────────────────────────────────
+const REVIEWS_STORAGE_KEY = 'domasi.reviews.v1';
+
+export const MAX_REVIEW_LENGTH = 500;
+
+export const REVIEW_SORTS = [
+  { id: 'newest',  label: 'Newest' },
+  { id: 'highest', label: 'Highest rated' },
+  { id: 'lowest',  label: 'Lowest rated' },
+  { id: 'oldest',  label: 'Oldest' },
+];
+
+export const reviewKey = (targetType, targetId) => `${targetType}:${targetId}`;
+
+/** Error message for a draft review, or null when it can be posted */
+export const validateReview = ({ targetType, targetId, rating, text = '' }) => {
+  if (targetType !== 'restaurant' && targetType !== 'item') return 'Unknown review target';
+  if (!targetId) return 'Unknown review target';
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) return 'Choose a rating from 1 to 5 stars';
+  if (text.trim().length > MAX_REVIEW_LENGTH) return `Keep it under ${MAX_REVIEW_LENGTH} characters`;
+  return null;
+};
+
+/** Average rounded to one decimal; average is null when there are no reviews */
+export const summarize = (reviews) => {
+  if (!reviews.length) return { average: null, count: 0 };
+  const total = reviews.reduce((sum, r) => sum + r.rating, 0);
+  return { average: Math.round((total / reviews.length) * 10) / 10, count: reviews.length };
+};
+
+export const summarizeAll = (reviews) => {
+  const groups = {};
+  reviews.forEach(r => { (groups[reviewKey(r.targetType, r.targetId)] ||= []).push(r); });
+  return Object.fromEntries(Object.entries(groups).map(([key, list]) => [key, summarize(list)]));
+};
+
+export const sortReviews = (reviews, sort = 'newest') => {
+  // Undated reviews (normalizeReview blanks bad dates) sort as oldest
+  const byDate = (a, b) => (b.createdAt || '').localeCompare(a.createdAt || '');
+  const compare = {
+    newest:  byDate,
+    oldest:  (a, b) => -byDate(a, b),
+    highest: (a, b) => b.rating - a.rating || byDate(a, b),
+    lowest:  (a, b) => a.rating - b.rating || byDate(a, b),
+  }[sort] || byDate;
+  return [...reviews].sort(compare);
+};
+
+const cleanDraft = ({ targetType, targetId, restaurantId, rating, text = '', author = '' }) => ({
+  targetType, targetId, restaurantId: restaurantId || null,
+  rating, text: text.trim(), author: author.trim(),
+});
+
+// ISO string, epoch milliseconds or nothing → ISO string or ''
+const isoOrBlank = (date) => {
+  const time = typeof date === 'string' || typeof date === 'number' ? new Date(date).getTime() : NaN;
+  return Number.isNaN(time) ? '' : new Date(time).toISOString();
+};
+
+/**
+ * A review as the UI expects it, or null when it has no usable rating.
+ * Server responses go through this, so one malformed row can't break the list.
+ */
+export const normalizeReview = (review, index = 0) => {
+  if (!review || typeof review !== 'object') return null;
+  const rating = Number(review.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) return null;
+  const createdAt = isoOrBlank(review.createdAt);
+  return {
+    ...review,
+    id:     review.id ?? `${createdAt || 'undated'}-${index}`,
+    rating,
+    text:   typeof review.text === 'string' ? review.text : '',
+    author: typeof review.author === 'string' ? review.author : '',
+    createdAt,
+  };
+};
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Local reviews written against the old row-numbered item ids are read back
+// under the stable id
+const upgradeReview = (review) => {
+  const id = review.targetType === 'item' && upgradeLegacyItemId(review.targetId, review.restaurantId);
+  return id ? { ...review, targetId: id } : review;
+};
+
+// `storage` defaults to localStorage, looked up lazily — touching it can
+// throw in locked-down browsers
+export const createLocalReviewStore = (storage, now = () => new Date()) => {
+  const db = () => storage || window.localStorage;
+  const read = () => {
+    try {
+      const saved = JSON.parse(db().getItem(REVIEWS_STORAGE_KEY));
+      return Array.isArray(saved) ? saved.map(upgradeReview) : [];
+    } catch (e) { return []; }
+  };
+
+  return {
+    name: 'local',
+    async list(targetType, targetId) {
+      return { ok: true, reviews: read().filter(r => r.targetType === targetType && r.targetId === targetId) };
+    },
+    async add(draft) {
+      const error = validateReview(draft);
+      if (error) return { ok: false, error };
+      const review = { id: newId(), ...cleanDraft(draft), createdAt: now().toISOString() };
+      try {
+        db().setItem(REVIEWS_STORAGE_KEY, JSON.stringify([...read(), review]));
+      } catch (e) {
+        return { ok: false, error: 'Could not save your review on this device' };
+      }
+      return { ok: true, review };
+    },
+    async summaries() {
+      return { ok: true, summaries: summarizeAll(read()) };
+    },
+  };
+};
+
+export const createApiReviewStore = (baseUrl, fetchImpl = (...a) => fetch(...a)) => {
+  const base = (baseUrl || '').replace(/\/$/, '');
+  const request = async (path, init, what) => {
+    if (!base) return { ok: false, error: 'REACT_APP_API_BASE_URL is not set' };
+    try {
+      const res = await fetchImpl(`${base}${path}`, init);
+      if (!res.ok) return { ok: false, error: `Could not ${what} (${res.status})` };
+      return { ok: true, body: await res.json() };
+    } catch (e) {
+      return { ok: false, error: 'Could not reach the review server' };
+    }
+  };
+
+  return {
+    name: 'api',
+    async list(targetType, targetId) {
+      const q = new URLSearchParams({ targetType, targetId });
+      const res = await request(`/reviews?${q}`, undefined, 'load reviews');
+      if (!res.ok) return res;
+      const reviews = (Array.isArray(res.body) ? res.body : []).map(normalizeReview).filter(Boolean);
+      return { ok: true, reviews };
+    },
+    async add(draft) {
+      const error = validateReview(draft);
+      if (error) return { ok: false, error };
+      const res = await request('/reviews', {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify(cleanDraft(draft)),
+      }, 'post your review');
+      if (!res.ok) return res;
+      // A server that echoes nothing useful still took the review
+      return { ok: true, review: normalizeReview(res.body) || { id: newId(), ...cleanDraft(draft), createdAt: new Date().toISOString() } };
+    },
+    async summaries() {
+      const res = await request('/reviews/summary', undefined, 'load ratings');
+      return res.ok ? { ok: true, summaries: res.body || {} } : res;
+    },
+  };
+};
+
+export const getReviewStore = ({
+  preferred = process.env.REACT_APP_REVIEW_STORE,
+  apiBaseUrl = process.env.REACT_APP_API_BASE_URL,
+} = {}) => preferred === 'api' ? createApiReviewStore(apiBaseUrl) : createLocalReviewStore();
+
+/**
+ * Ratings for every restaurant and dish, loaded once per store.
+ * `added(review)` folds a just-posted review in without a reload.
+ */
+export const useReviewSummaries = (store) => {
+  const [summaries, setSummaries] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    store.summaries().then(res => { if (!cancelled && res.ok) setSummaries(res.summaries); });
+    return () => { cancelled = true; };
+  }, [store]);
+
+  const summaryFor = useCallback((targetType, targetId) =>
+    summaries[reviewKey(targetType, targetId)] || { average: null, count: 0 }, [summaries]);
+
+  const added = useCallback((review) => setSummaries(s => {
+    const key = reviewKey(review.targetType, review.targetId);
+    const { average, count } = s[key] || { average: 0, count: 0 };
+    const total = (average || 0) * count + review.rating;
+    return { ...s, [key]: { average: Math.round((total / (count + 1)) * 10) / 10, count: count + 1 } };
+  }), []);
+
+  return { summaryFor, added };
+};
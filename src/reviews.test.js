@@ -0,0 +1,188 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import {
+  validateReview, summarize, summarizeAll, sortReviews, normalizeReview, reviewKey,
+  createLocalReviewStore, createApiReviewStore, getReviewStore, MAX_REVIEW_LENGTH,
+} from './reviews';
+
+const memoryStorage = () => {
+  const data = {};
+  return { getItem: k => (k in data ? data[k] : null), setItem: (k, v) => { data[k] = String(v); } };
+};
+
+const review = (rating, createdAt, extra = {}) =>
+  ({ targetType: 'restaurant', targetId: 'kayacafe', rating, createdAt, ...extra });
+
+test('validateReview', () => {
+  const ok = { targetType: 'item', targetId: 'Nsima-kayacafe-0', rating: 4, text: 'Great' };
+  expect(validateReview(ok)).toBeNull();
+  expect(validateReview({ ...ok, rating: 0 })).toMatch(/1 to 5/);
+  expect(validateReview({ ...ok, rating: 4.5 })).toMatch(/1 to 5/);
+  expect(validateReview({ ...ok, targetType: 'pick' })).toMatch(/target/);
+  expect(validateReview({ ...ok, text: 'x'.repeat(MAX_REVIEW_LENGTH + 1) })).toMatch(/under 500/);
+});
+
+test('summaries average to one decimal', () => {
+  expect(summarize([])).toEqual({ average: null, count: 0 });
+  expect(summarize([review(5, 'a'), review(4, 'b'), review(4, 'c')])).toEqual({ average: 4.3, count: 3 });
+  expect(summarizeAll([review(5, 'a'), review(3, 'b', { targetId: 'mamaruth' })])).toEqual({
+    'restaurant:kayacafe': { average: 5, count: 1 },
+    'restaurant:mamaruth': { average: 3, count: 1 },
+  });
+});
+
+test('sortReviews', () => {
+  const reviews = [review(3, '2026-01-02'), review(5, '2026-01-01'), review(1, '2026-01-03')];
+  const ratings = (sort) => sortReviews(reviews, sort).map(r => r.rating);
+  expect(ratings('newest')).toEqual([1, 3, 5]);
+  expect(ratings('oldest')).toEqual([5, 3, 1]);
+  expect(ratings('highest')).toEqual([5, 3, 1]);
+  expect(ratings('lowest')).toEqual([1, 3, 5]);
+});
+
+test('undated reviews sort as oldest instead of throwing', () => {
+  const reviews = [review(3, undefined), review(5, '2026-01-01'), review(4, '')];
+  expect(sortReviews(reviews, 'newest').map(r => r.rating)).toEqual([5, 3, 4]);
+  expect(sortReviews(reviews, 'highest').map(r => r.rating)).toEqual([5, 4, 3]);
+});
+
+test('normalizeReview keeps what the UI can show and drops the rest', () => {
+  expect(normalizeReview(review(4, '2026-01-01', { id: 'r1', text: 'Good' }))).toEqual({
+    targetType: 'restaurant', targetId: 'kayacafe', id: 'r1', rating: 4, text: 'Good', author: '',
+    createdAt: '2026-01-01T00:00:00.000Z',
+  });
+  expect(normalizeReview(review(4, Date.UTC(2026, 0, 2), { id: 'r2' })).createdAt).toBe('2026-01-02T00:00:00.000Z');
+  expect(normalizeReview(review('5', 'yesterday', { text: 42 }), 3))
+    .toMatchObject({ id: 'undated-3', rating: 5, text: '', createdAt: '' });
+  expect(normalizeReview(review(0, '2026-01-01'))).toBeNull();
+  expect(normalizeReview(review(undefined, '2026-01-01'))).toBeNull();
+  expect(normalizeReview(null)).toBeNull();
+});
+
+test('local store keeps reviews per target and summarises them', async () => {
+  const store = createLocalReviewStore(memoryStorage(), () => new Date('2026-03-01T10:00:00Z'));
+  const added = await store.add({ targetType: 'restaurant', targetId: 'kayacafe', rating: 4, text: '  Lovely chambo ' });
+  expect(added.ok).toBe(true);
+  expect(added.review).toMatchObject({ text: 'Lovely chambo', createdAt: '2026-03-01T10:00:00.000Z' });
+  await store.add({ targetType: 'item', targetId: 'kayacafe', rating: 2 });
+
+  expect((await store.list('restaurant', 'kayacafe')).reviews).toHaveLength(1);
+  expect((await store.summaries()).summaries).toEqual({
+    [reviewKey('restaurant', 'kayacafe')]: { average: 4, count: 1 },
+    [reviewKey('item', 'kayacafe')]:       { average: 2, count: 1 },
+  });
+  expect(await store.add({ targetType: 'restaurant', targetId: 'kayacafe', rating: 9 })).toMatchObject({ ok: false });
+});
+
+test('local reviews of row-numbered item ids are read under the stable id', async () => {
+  const storage = memoryStorage();
+  storage.setItem('domasi.reviews.v1', JSON.stringify([
+    { id: 'a', targetType: 'item', targetId: 'Nsima-kayacafe-3', restaurantId: 'kayacafe', rating: 5, createdAt: 'x' },
+    { id: 'b', targetType: 'item', targetId: 'kayacafe-tea-2', restaurantId: 'kayacafe', rating: 3, createdAt: 'x' },
+  ]));
+  const store = createLocalReviewStore(storage);
+  expect((await store.list('item', 'kayacafe-nsima')).reviews).toHaveLength(1);
+  expect((await store.list('item', 'kayacafe-tea-2')).reviews).toHaveLength(1);
+});
+
+test('getReviewStore defaults to this browser', () => {
+  expect(getReviewStore({ preferred: undefined, apiBaseUrl: 'http://x' }).name).toBe('local');
+  expect(getReviewStore({ preferred: 'api', apiBaseUrl: 'http://x' }).name).toBe('api');
+});
+
+describe('API store against a local mock server', () => {
+  let server;
+  let baseUrl;
+  const received = [];
+
+  // Just enough of fetch for the store, on top of Node's http client
+  const nodeFetch = (url, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        status: res.statusCode,
+        json: async () => JSON.parse(data),
+      }));
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, body });
+        const send = (status, payload) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(payload));
+        };
+        if (req.method === 'GET' && req.url === '/api/reviews/summary') {
+          return send(200, { 'restaurant:kayacafe': { average: 4.5, count: 2 } });
+        }
+        if (req.method === 'GET' && req.url.startsWith('/api/reviews?')) {
+          return send(200, [
+            review(5, '2026-01-01', { id: 'r1', text: 'Superb' }),
+            review(4, null, { id: 'r3', text: 'Undated' }),
+            { id: 'junk' },
+            null,
+          ]);
+        }
+        if (req.method === 'POST' && req.url === '/api/reviews') {
+          return send(201, { id: 'r2', ...JSON.parse(body), createdAt: '2026-01-02T00:00:00.000Z' });
+        }
+        if (req.method === 'POST' && req.url === '/api/quiet/reviews') return send(201, {});
+        return send(500, { error: 'boom' });
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/`;
+      done();
+    });
+  });
+
+  afterAll(done => { server.close(done); });
+
+  test('lists, posts and summarises over HTTP', async () => {
+    const store = createApiReviewStore(baseUrl, nodeFetch);
+
+    const listed = await store.list('restaurant', 'kayacafe');
+    // Malformed rows are dropped or patched rather than passed to the UI
+    expect(listed.reviews.map(r => r.text)).toEqual(['Superb', 'Undated']);
+    expect(listed.reviews[1].createdAt).toBe('');
+    expect(received[0].url).toBe('/api/reviews?targetType=restaurant&targetId=kayacafe');
+
+    const posted = await store.add({ targetType: 'restaurant', targetId: 'kayacafe', rating: 4, text: ' Good ' });
+    expect(posted).toMatchObject({ ok: true, review: { id: 'r2', rating: 4, text: 'Good' } });
+    expect(JSON.parse(received[1].body)).toEqual({
+      targetType: 'restaurant', targetId: 'kayacafe', restaurantId: null, rating: 4, text: 'Good', author: '',
+    });
+
+    expect((await store.summaries()).summaries['restaurant:kayacafe']).toEqual({ average: 4.5, count: 2 });
+  });
+
+  test('a post answered without the review still hands one back', async () => {
+    const quiet = createApiReviewStore(`${baseUrl}quiet/`, nodeFetch);
+    const { ok, review: posted } = await quiet.add({ targetType: 'item', targetId: 'kayacafe-tea', rating: 4, text: 'Good' });
+    expect(ok).toBe(true);
+    expect(posted).toMatchObject({ targetType: 'item', targetId: 'kayacafe-tea', rating: 4, text: 'Good' });
+    expect(posted.id).toBeTruthy();
+    expect(posted.createdAt).toMatch(/^\d{4}-\d\d-\d\dT/);
+  });
+
+  test('server and network errors come back as { ok: false }', async () => {
+    const broken = createApiReviewStore(`${baseUrl}broken/`, nodeFetch);
+    expect(await broken.summaries()).toEqual({ ok: false, error: 'Could not load ratings (500)' });
+
+    const unreachable = createApiReviewStore('http://127.0.0.1:1/api', nodeFetch);
+    expect(await unreachable.list('item', 'x')).toEqual({ ok: false, error: 'Could not reach the review server' });
+
+    expect((await createApiReviewStore('').summaries()).error).toMatch(/REACT_APP_API_BASE_URL/);
+  });
+});
@@ -0,0 +1,91 @@
+import { useState, useEffect } from 'react';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HASH ROUTER
+//
+// GitHub Pages can't rewrite paths to index.html, so routes live in the hash:
+//   #/                              home
+//   #/r                             menus tab, nothing selected
+//   #/r/:restaurantId               a restaurant's menu
+//   #/r/:restaurantId/item/:itemId  a dish (MenuItemModal) over its menu
+//   #/picks/:pickId                 a Gourmet's Pick over the home page
+//   #/search                        dish search across every menu
+//   #/map                           every restaurant on a map
+//   #/admin/validate                spreadsheet data-quality report (unlinked)
+// Ids are the ones parseSheetData / getGourmetPicks generate.
+// ─────────────────────────────────────────────────────────────────────────────
+const ROUTES = [
+  { name: 'home',   pattern: [] },
+  { name: 'menus',  pattern: ['r'] },
+  { name: 'menu',   pattern: ['r', ':restaurantId'] },
+  { name: 'item',   pattern: ['r', ':restaurantId', 'item', ':itemId'] },
+  { name: 'pick',   pattern: ['picks', ':pickId'] },
+  { name: 'search', pattern: ['search'] },
+  { name: 'map',    pattern: ['map'] },
+  { name: 'validate', pattern: ['admin', 'validate'] },
+];
+
+const matchPattern = (pattern, parts) => {
+  if (pattern.length !== parts.length) return null;
+  const params = {};
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i].startsWith(':')) params[pattern[i].slice(1)] = parts[i];
+    else if (pattern[i] !== parts[i]) return null;
+  }
+  return params;
+};
+
+// "#/r/kayacafe/item/Nsima-kayacafe-3" → { name: 'item', restaurantId, itemId }
+export const parseRoute = (hash = '') => {
+  const path  = hash.replace(/^#/, '').split('?')[0];
+  let parts;
+  try {
+    parts = path.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (e) {
+    return { name: 'notFound' };
+  }
+  for (const { name, pattern } of ROUTES) {
+    const params = matchPattern(pattern, parts);
+    if (params) return { name, ...params };
+  }
+  return { name: 'notFound' };
+};
+
+const enc = encodeURIComponent;
+
+export const routes = {
+  home:   ()                     => '#/',
+  menus:  ()                     => '#/r',
+  menu:   (restaurantId)         => `#/r/${enc(restaurantId)}`,
+  item:   (restaurantId, itemId) => `#/r/${enc(restaurantId)}/item/${enc(itemId)}`,
+  pick:   (pickId)               => `#/picks/${enc(pickId)}`,
+  search: ()                     => '#/search',
+  map:    ()                     => '#/map',
+};
+
+// pushState doesn't fire hashchange, so announce it ourselves. The fromApp
+// marker tells goBack() whether the previous history entry is still ours.
+export const navigate = (hash, { replace = false } = {}) => {
+  if (hash === window.location.hash) return;
+  window.history[replace ? 'replaceState' : 'pushState']({ fromApp: true }, '', hash);
+  window.dispatchEvent(new Event('hashchange'));
+};
+
+// Close a modal: browser-back if we opened it, otherwise (deep link) replace
+// with the parent route so the back button still leaves cleanly.
+export const goBack = (fallbackHash) => {
+  if (window.history.state?.fromApp) window.history.back();
+  else navigate(fallbackHash, { replace: true });
+};
+
+export const useHashRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    const onChange = () => setRoute(parseRoute(window.location.hash));
+    window.addEventListener('hashchange', onChange);
+    return () => window.removeEventListener('hashchange', onChange);
+  }, []);
+
+  return route;
+};
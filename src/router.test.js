@@ -0,0 +1,50 @@
+import { parseRoute, routes, navigate, goBack } from './router';
+import { parseMenuRows } from './dataSources';
+
+test('parseRoute recognises every route', () => {
+  expect(parseRoute('')).toEqual({ name: 'home' });
+  expect(parseRoute('#/')).toEqual({ name: 'home' });
+  expect(parseRoute('#/r')).toEqual({ name: 'menus' });
+  expect(parseRoute('#/r/kayacafe')).toEqual({ name: 'menu', restaurantId: 'kayacafe' });
+  expect(parseRoute('#/picks/promo-0')).toEqual({ name: 'pick', pickId: 'promo-0' });
+  expect(parseRoute('#/map')).toEqual({ name: 'map' });
+  expect(parseRoute('#/nowhere')).toEqual({ name: 'notFound' });
+  expect(parseRoute('#/r/kayacafe/dish/1')).toEqual({ name: 'notFound' });
+});
+
+test('item ids with spaces survive a round trip', () => {
+  const hash = routes.item('kayacafe', 'Nsima & Chambo-kayacafe-3');
+  expect(parseRoute(hash)).toEqual({
+    name: 'item', restaurantId: 'kayacafe', itemId: 'Nsima & Chambo-kayacafe-3',
+  });
+});
+
+test('a shared dish link still finds its dish after a row is inserted above it', () => {
+  const header = ['Restaurant', 'Item', 'Price'];
+  const before = parseMenuRows([header, ['Kaya Cafe', 'Nsima'], ['Kaya Cafe', 'Chambo']]);
+  const link = routes.item('kayacafe', before.menuItems.kayacafe[1].id);
+
+  const after = parseMenuRows([header, ['Kaya Cafe', 'Usipa'], ['Kaya Cafe', 'Nsima'], ['Kaya Cafe', 'Chambo']]);
+  const { restaurantId, itemId } = parseRoute(link);
+  expect(after.menuItems[restaurantId].find(i => i.id === itemId)).toMatchObject({ name: 'Chambo' });
+});
+
+test('goBack replaces a deep-linked modal with its parent route', () => {
+  window.history.replaceState(null, '', '#/r/kayacafe/item/x');
+  const onChange = jest.fn();
+  window.addEventListener('hashchange', onChange);
+  goBack(routes.menu('kayacafe'));
+  window.removeEventListener('hashchange', onChange);
+
+  expect(window.location.hash).toBe('#/r/kayacafe');
+  expect(onChange).toHaveBeenCalled();
+});
+
+test('navigate marks entries so goBack uses browser history', () => {
+  navigate(routes.item('kayacafe', 'x'));
+  expect(window.history.state).toEqual({ fromApp: true });
+  const back = jest.spyOn(window.history, 'back').mockImplementation(() => {});
+  goBack(routes.menu('kayacafe'));
+  expect(back).toHaveBeenCalled();
+  back.mockRestore();
+});
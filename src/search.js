@@ -0,0 +1,166 @@
+import { priceOf, baseAmount } from './price';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DISH SEARCH
+//
+// One document per menu item (name, description, category + its restaurant's
+// specialty). Translated names and descriptions are indexed alongside the
+// English ones, so a dish is found in whichever language the diner types.
+// Matching is accent/case-insensitive and typo-tolerant:
+//   exact word > word prefix ("chamb" → chambo) > edit distance ≤ 1–2,
+//   where swapped neighbours ("chmabo") count as one edit
+// Every query word has to match somewhere in the document (AND).
+// ─────────────────────────────────────────────────────────────────────────────
+const FIELD_WEIGHTS = { name: 3, category: 2, specialty: 1.5, description: 1 };
+const MATCH_SCORES  = { exact: 1, prefix: 0.8, fuzzy: 0.5 };
+
+// "Ñsíma" → "nsima"
+export const normalize = (text) =>
+  (text || '').toString().normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+export const tokenize = (text) => normalize(text).match(/[a-z0-9]+/g) || [];
+
+// Optimal string alignment distance — Levenshtein plus swapping two
+// neighbouring letters as one edit ("chmabo" → chambo), the commonest typo
+// on a phone keyboard. Exits early once every cell in a row exceeds `max`.
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], before[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    before = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// Short words must be exact — "tea" shouldn't fuzz to "pea"
+const allowedTypos = (term) => (term.length < 4 ? 0 : term.length < 8 ? 1 : 2);
+
+const matchKind = (term, token) => {
+  if (token === term) return 'exact';
+  if (term.length >= 2 && token.startsWith(term)) return 'prefix';
+  const typos = allowedTypos(term);
+  if (typos && editDistance(term, token, typos) <= typos) return 'fuzzy';
+  return null;
+};
+
+// English text plus every translation of `field`
+const allLanguages = (item, field) =>
+  [item[field], ...Object.values(item.translations || {}).map(tr => tr[field])].filter(Boolean).join(' ');
+
+export const buildSearchIndex = (restaurants, menuItems) => {
+  const docs = [];
+  restaurants.forEach(restaurant => {
+    (menuItems[restaurant.id] || []).forEach(item => {
+      docs.push({
+        item,
+        restaurant,
+        price: baseAmount(priceOf(item)),   // Kwacha, for the price filters
+        tokens: {
+          name:        tokenize(allLanguages(item, 'name')),
+          category:    tokenize(item.category),
+          specialty:   tokenize(restaurant.specialty),
+          description: tokenize(allLanguages(item, 'description')),
+        },
+      });
+    });
+  });
+  return docs;
+};
+
+// Values for the filter dropdowns
+export const getFacets = (index) => {
+  const categories = new Set();
+  const locations  = new Set();
+  const prices     = [];
+  index.forEach(doc => {
+    if (doc.item.category) categories.add(doc.item.category);
+    if (doc.restaurant.location) locations.add(doc.restaurant.location);
+    if (doc.price !== null) prices.push(doc.price);
+  });
+  return {
+    categories: Array.from(categories).sort(),
+    locations:  Array.from(locations).sort(),
+    minPrice:   prices.length ? Math.min(...prices) : 0,
+    maxPrice:   prices.length ? Math.max(...prices) : 0,
+  };
+};
+
+const isRated = (restaurant) => typeof restaurant.rating === 'number';
+
+// An unrated restaurant (rating null/undefined — no reviews yet) isn't a
+// badly rated one: "4★ & up" keeps it unless `includeUnrated` is false
+const passesFilters = (doc, { category, location, minPrice, maxPrice, minRating, includeUnrated = true } = {}) => {
+  if (category  && doc.item.category !== category) return false;
+  if (location  && doc.restaurant.location !== location) return false;
+  if (minRating && (isRated(doc.restaurant) ? doc.restaurant.rating < minRating : !includeUnrated)) return false;
+  if ((minPrice || maxPrice) && doc.price === null) return false;
+  if (minPrice  && doc.price < minPrice) return false;
+  if (maxPrice  && doc.price > maxPrice) return false;
+  return true;
+};
+
+// Best match for one query term across all fields → { score, tokens }
+const scoreTerm = (term, doc) => {
+  let score = 0;
+  const tokens = new Set();
+  Object.entries(doc.tokens).forEach(([field, fieldTokens]) => {
+    fieldTokens.forEach(token => {
+      const kind = matchKind(term, token);
+      if (!kind) return;
+      tokens.add(token);
+      score = Math.max(score, FIELD_WEIGHTS[field] * MATCH_SCORES[kind]);
+    });
+  });
+  return { score, tokens };
+};
+
+// → [{ restaurant, score, items: [{ item, score, matched }] }], best first.
+// `matched` holds the normalized document words that hit, for highlighting.
+export const searchMenu = (index, query, filters) => {
+  const terms = tokenize(query);
+  const groups = new Map();
+
+  index.forEach(doc => {
+    if (!passesFilters(doc, filters)) return;
+
+    let score = 0;
+    const matched = new Set();
+    for (const term of terms) {
+      const hit = scoreTerm(term, doc);
+      if (!hit.score) return;
+      score += hit.score;
+      hit.tokens.forEach(t => matched.add(t));
+    }
+
+    const rId = doc.restaurant.id;
+    if (!groups.has(rId)) groups.set(rId, { restaurant: doc.restaurant, score: 0, items: [] });
+    const group = groups.get(rId);
+    group.items.push({ item: doc.item, score, matched });
+    group.score = Math.max(group.score, score);
+  });
+
+  const results = Array.from(groups.values());
+  results.forEach(g => g.items.sort((a, b) => b.score - a.score));
+  return results.sort((a, b) => b.score - a.score || a.restaurant.name.localeCompare(b.restaurant.name));
+};
+
+// Split text into [{ text, match }] so matched words can be wrapped in <mark>
+export const highlight = (text, matched) => {
+  if (!text) return [];
+  if (!matched || matched.size === 0) return [{ text, match: false }];
+  return text.split(/([\p{L}\p{N}]+)/u)
+    .filter(Boolean)
+    .map(part => ({ text: part, match: matched.has(normalize(part)) }));
+};
@@ -0,0 +1,81 @@
+import { normalize, buildSearchIndex, getFacets, searchMenu, highlight } from './search';
+
+const restaurants = [
+  { id: 'kayacafe', name: 'Kaya Cafe',   location: 'Lilongwe', specialty: 'Lake fish', rating: 4.2 },
+  { id: 'nyama',    name: 'Nyama Choma', location: 'Blantyre', specialty: 'Grills',    rating: 4.8 },
+];
+const menuItems = {
+  kayacafe: [
+    { id: 'a', name: 'Chambo & Nsima', category: 'Main Dishes', description: 'Whole fried chambo', price: 'K7,500' },
+    { id: 'b', name: 'Tea',            category: 'Drinks',      description: 'Rooibos',            price: 'K800',
+      translations: { ny: { name: 'Tiyi' } } },
+  ],
+  nyama: [
+    { id: 'c', name: 'Goat Nsíma', category: 'Main Dishes', description: 'Nsima with grilled goat', price: 'K5,000' },
+  ],
+};
+const index = buildSearchIndex(restaurants, menuItems);
+const ids = (results) => results.flatMap(g => g.items.map(i => i.item.id));
+
+test('normalize strips accents and case', () => {
+  expect(normalize('Nsíma ÇHAMBO')).toBe('nsima chambo');
+});
+
+test('matches across every menu, accent-insensitively', () => {
+  expect(ids(searchMenu(index, 'NSIMA')).sort()).toEqual(['a', 'c']);
+});
+
+test('tolerates typos and prefixes', () => {
+  expect(ids(searchMenu(index, 'chmabo'))).toEqual(['a']);       // swapped letters are one edit
+  expect(ids(searchMenu(index, 'chmbao'))).toEqual([]);          // two swaps in 6 letters
+  expect(ids(searchMenu(index, 'chambp'))).toEqual(['a']);
+  expect(ids(searchMenu(index, 'cham'))).toEqual(['a']);
+});
+
+test('every query word must match', () => {
+  expect(ids(searchMenu(index, 'nsima goat'))).toEqual(['c']);
+});
+
+test('finds dishes by their translated names too', () => {
+  expect(ids(searchMenu(index, 'tiyi'))).toEqual(['b']);
+});
+
+test('searches restaurant specialty', () => {
+  expect(ids(searchMenu(index, 'grills'))).toEqual(['c']);
+});
+
+test('groups results by restaurant, best match first', () => {
+  const results = searchMenu(index, 'goat');
+  expect(results.map(g => g.restaurant.id)).toEqual(['nyama']);
+});
+
+test('facet filters narrow results', () => {
+  expect(ids(searchMenu(index, '', { category: 'Drinks' }))).toEqual(['b']);
+  expect(ids(searchMenu(index, 'nsima', { location: 'Lilongwe' }))).toEqual(['a']);
+  expect(ids(searchMenu(index, 'nsima', { minRating: 4.5 }))).toEqual(['c']);
+  expect(ids(searchMenu(index, '', { minPrice: 1000, maxPrice: 6000 }))).toEqual(['c']);
+});
+
+test('the rating filter keeps unrated restaurants unless told not to', () => {
+  const unrated = buildSearchIndex(
+    [{ ...restaurants[0], rating: null }, { ...restaurants[1], rating: undefined }], menuItems);
+  expect(ids(searchMenu(unrated, 'nsima', { minRating: 4.5 })).sort()).toEqual(['a', 'c']);
+  expect(ids(searchMenu(unrated, 'nsima', { minRating: 4.5, includeUnrated: false }))).toEqual([]);
+  const zero = buildSearchIndex([{ ...restaurants[0], rating: 0 }], menuItems);
+  expect(ids(searchMenu(zero, 'nsima', { minRating: 1 }))).toEqual([]);
+});
+
+test('getFacets lists categories, locations and price bounds', () => {
+  expect(getFacets(index)).toEqual({
+    categories: ['Drinks', 'Main Dishes'],
+    locations:  ['Blantyre', 'Lilongwe'],
+    minPrice: 800,
+    maxPrice: 7500,
+  });
+});
+
+test('highlight marks the matched words', () => {
+  const [{ matched }] = searchMenu(index, 'nsim')[0].items;
+  const parts = highlight('Goat Nsíma', matched);
+  expect(parts.filter(p => p.match).map(p => p.text)).toEqual(['Nsíma']);
+});
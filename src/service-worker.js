@@ -0,0 +1,95 @@
+/* eslint-disable no-restricted-globals */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SERVICE WORKER
+//
+// Built by react-scripts (Workbox InjectManifest) only in production, so
+// `npm start` never gets stuck on a stale cache.
+//   • app shell  — every webpack asset is precached; navigations get index.html
+//   • dish images — lh3.googleusercontent.com (what getDriveImageUrl resolves
+//     to) plus the Unsplash fallback, cache-first, capped by count and age
+//   • offline.html — served to a navigation when index.html is neither in
+//     the precache (evicted, or an update mid-install) nor reachable
+// ─────────────────────────────────────────────────────────────────────────────
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, matchPrecache } from 'workbox-precaching';
+import { registerRoute, setCatchHandler } from 'workbox-routing';
+import { CacheFirst } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+
+const PUBLIC_URL     = process.env.PUBLIC_URL;
+const APP_SHELL_URL  = `${PUBLIC_URL}/index.html`;
+const OFFLINE_URL    = `${PUBLIC_URL}/offline.html`;
+const OFFLINE_CACHE  = 'offline-fallback-v1';
+const IMAGE_CACHE    = 'dish-images-v1';
+const IMAGE_HOSTS    = ['lh3.googleusercontent.com', 'images.unsplash.com'];
+const IMAGE_MAX      = 150;
+const IMAGE_MAX_AGE  = 30 * 24 * 60 * 60; // 30 days, in seconds
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// offline.html lives in /public, so it's not part of the webpack manifest
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(OFFLINE_CACHE).then(cache => cache.add(OFFLINE_URL)));
+});
+
+const offlinePage = () => caches.match(OFFLINE_URL, { cacheName: OFFLINE_CACHE });
+
+// Precached index.html, else the network's, else the offline page
+const appShell = async () => {
+  const cached = await matchPrecache(APP_SHELL_URL);
+  if (cached) return cached;
+  try {
+    return await fetch(APP_SHELL_URL);
+  } catch (e) {
+    return (await offlinePage()) || Response.error();
+  }
+};
+
+// App shell: send every navigation to index.html, except real files
+// (anything with an extension) and CRA's reserved /_ paths.
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  appShell
+);
+
+// Dish images are cross-origin <img> loads, so responses are opaque (status 0)
+registerRoute(
+  ({ url, request }) => request.destination === 'image' && IMAGE_HOSTS.includes(url.hostname),
+  new CacheFirst({
+    cacheName: IMAGE_CACHE,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({
+        maxEntries: IMAGE_MAX,
+        maxAgeSeconds: IMAGE_MAX_AGE,
+        purgeOnQuotaError: true,
+      }),
+    ],
+  })
+);
+
+// Navigations to real files (skipped above) that fail offline end up here
+setCatchHandler(async ({ request }) => {
+  if (request.destination === 'document') {
+    const cached = await offlinePage();
+    if (cached) return cached;
+  }
+  return Response.error();
+});
+
+// The "update available" prompt posts this when the user taps Reload
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,61 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// SERVICE WORKER REGISTRATION
+//
+// Production only. When a new build has been deployed the new worker waits
+// until every tab is closed; `onUpdate` hands the waiting registration to
+// the app so it can offer a reload instead (see UpdatePrompt in App.js).
+// ─────────────────────────────────────────────────────────────────────────────
+const DEBUG = process.env.NODE_ENV !== 'production';
+const err = (...a) => console.error('[ServiceWorker]', ...a);
+
+export const SW_UPDATE_EVENT = 'sw-update-available';
+
+export const register = ({ onUpdate, onSuccess } = {}) => {
+  if (DEBUG || !('serviceWorker' in navigator)) return;
+
+  // Serving from a CDN on another origin would make the worker unreachable
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(
+        `${process.env.PUBLIC_URL}/service-worker.js`
+      );
+
+      // A worker may already be waiting from a previous visit
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        onUpdate?.(registration);
+      }
+
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          if (installing.state !== 'installed') return;
+          if (navigator.serviceWorker.controller) onUpdate?.(registration);
+          else onSuccess?.(registration);
+        };
+      };
+    } catch (e) {
+      err('Registration failed:', e);
+    }
+  });
+};
+
+// Activate the waiting worker, then reload once it has taken control
+export const applyUpdate = (registration) => {
+  if (!registration?.waiting) { window.location.reload(); return; }
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
+
+export const unregister = async () => {
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.unregister();
+  } catch (e) {
+    err(e.message);
+  }
+};
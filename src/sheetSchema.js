@@ -0,0 +1,365 @@
+import { extractDriveFileId, isExternalImageUrl } from './driveImage';
+import { parseHours } from './openingHours';
+import { parseTags } from './dietary';
+import { parseLatLng } from './geo';
+import { LANGUAGES, DEFAULT_LANGUAGE, translationKey } from './i18n';
+import { parsePrice } from './price';
+import { parsePickDate, isAmbiguousDate } from './gourmetPicks';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SPREADSHEET SCHEMA + DATA-QUALITY REPORT
+//
+// parseSheetData is forgiving on purpose (a broken row shouldn't take the
+// site down), which means editors never hear about their mistakes. These
+// schemas describe what each column should hold; validateSheet() lists every
+// deviation with the sheet row number so it can be fixed at the source.
+//
+// Columns are found by their header text (label, key or any alias —
+// case, spaces and punctuation ignored), so editors can reorder or insert
+// columns freely. `position` is the old fixed layout, used only when the
+// header row matches nothing at all. `fallback` is what parseSheetData shows
+// when the cell is empty. `restaurantLevel` fields are only read from a
+// restaurant's first row. Unrecognised headers become `extra` fields.
+// Translatable text columns get an optional sibling per extra language,
+// e.g. "Item name (Chichewa)" or "Description ny" — see withTranslations().
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Adds "<label> (<language>)" columns for `keys`, keyed translationKey(key, lang).
+// They have no `position`, so a sheet without headers simply has none.
+const withTranslations = (columns, keys) => [
+  ...columns,
+  ...LANGUAGES.filter(l => l.id !== DEFAULT_LANGUAGE).flatMap(lang =>
+    columns.filter(col => keys.includes(col.key)).map(col => ({
+      key:     translationKey(col.key, lang.id),
+      label:   `${col.label} (${lang.label})`,
+      type:    'text',
+      aliases: [col.label, col.key, ...(col.aliases || [])]
+        .flatMap(name => [`${name} ${lang.id}`, `${name} ${lang.label}`, `${lang.label} ${name}`]),
+    }))),
+];
+
+export const MENU_SCHEMA = {
+  sheet:   'Sheet1',
+  range:   'Sheet1!A:Z',
+  groupBy: 'restaurant',
+  columns: withTranslations([
+    { key: 'restaurant',  label: 'Restaurant',       position: 0,  type: 'text',    required: true,
+      aliases: ['restaurant name'] },
+    { key: 'item',        label: 'Item name',        position: 1,  type: 'text',    required: true,
+      aliases: ['item', 'dish', 'dish name', 'menu item'] },
+    { key: 'price',       label: 'Price',            position: 2,  type: 'price',   recommended: true,
+      aliases: ['cost'] },
+    { key: 'category',    label: 'Category',         position: 3,  type: 'text',    fallback: 'Main Dishes',
+      aliases: ['section', 'course'] },
+    { key: 'description', label: 'Description',      position: 4,  type: 'text',
+      aliases: ['desc', 'details'] },
+    { key: 'image',       label: 'Item image',       position: 5,  type: 'image',
+      aliases: ['image', 'image url', 'item image url', 'photo', 'dish image', 'picture'] },
+    { key: 'location',    label: 'Location',         position: 7,  type: 'text',    restaurantLevel: true, fallback: 'Malawi',
+      aliases: ['town', 'city', 'area', 'address'] },
+    { key: 'specialty',   label: 'Specialty',        position: 8,  type: 'text',    restaurantLevel: true, fallback: 'Malawian Cuisine',
+      aliases: ['speciality', 'cuisine'] },
+    // Ratings come from diners' reviews now. The column is still recognised so
+    // old sheets line up and it doesn't ride along as an extra, but never read.
+    { key: 'rating',      label: 'Rating',           position: 9,  type: 'ignored', restaurantLevel: true,
+      aliases: ['stars'] },
+    { key: 'rImage',      label: 'Restaurant image', position: 10, type: 'image',   restaurantLevel: true,
+      aliases: ['restaurant image url', 'restaurant photo', 'logo'] },
+    { key: 'mapsUrl',     label: 'Maps URL',         position: 11, type: 'url',
+      aliases: ['maps', 'map', 'google maps', 'maps link', 'directions'] },
+    { key: 'isTop',       label: 'Featured',         position: 12, type: 'boolean', restaurantLevel: true,
+      aliases: ['top', 'is top', 'popular'] },
+    { key: 'phone',       label: 'Phone',            position: 13, type: 'phone',   restaurantLevel: true,
+      aliases: ['phone number', 'whatsapp', 'contact'] },
+    { key: 'hours',       label: 'Opening hours',    position: 14, type: 'hours',   restaurantLevel: true,
+      aliases: ['hours', 'open', 'opening times', 'schedule'] },
+    { key: 'tags',        label: 'Tags',             position: 15, type: 'tags',
+      aliases: ['dietary', 'dietary tags', 'diet', 'allergens', 'dietary info'] },
+    { key: 'coordinates', label: 'Coordinates',      position: 16, type: 'coords',  restaurantLevel: true,
+      aliases: ['lat/lng', 'lat lng', 'latlng', 'lat/long', 'gps', 'map coordinates'] },
+    // The same position split over two cells — header-only, like the translations
+    { key: 'lat',         label: 'Latitude',         type: 'latitude',  restaurantLevel: true, pairedWith: 'lng',
+      aliases: ['lat'] },
+    { key: 'lng',         label: 'Longitude',        type: 'longitude', restaurantLevel: true, pairedWith: 'lat',
+      aliases: ['lng', 'long', 'lon'] },
+  ], ['item', 'description']),
+};
+
+export const GOURMET_PICKS_SCHEMA = {
+  sheet:   'GourmetPicks',
+  range:   'GourmetPicks!A:Z',
+  columns: withTranslations([
+    { key: 'name',        label: 'Name',        position: 0, type: 'text',  required: true,
+      aliases: ['dish', 'dish name', 'item', 'item name'] },
+    { key: 'description', label: 'Description', position: 1, type: 'text',
+      aliases: ['desc', 'details'] },
+    { key: 'promoText',   label: 'Promo text',  position: 2, type: 'text',
+      aliases: ['promo', 'promotion', 'badge'] },
+    { key: 'image',       label: 'Image',       position: 3, type: 'image',
+      aliases: ['image url', 'photo', 'picture'] },
+    { key: 'price',       label: 'Price',       position: 4, type: 'price',
+      aliases: ['cost'] },
+    { key: 'mapsUrl',     label: 'Maps URL',    position: 5, type: 'url',
+      aliases: ['maps', 'map', 'google maps', 'maps link', 'directions'] },
+    // Scheduling — header-only, so old six-column sheets are unaffected
+    { key: 'startDate',   label: 'Start date',  type: 'date',
+      aliases: ['start', 'starts', 'from', 'valid from'] },
+    { key: 'endDate',     label: 'End date',    type: 'date', notBefore: 'startDate',
+      aliases: ['end', 'ends', 'until', 'expires', 'valid until'] },
+    { key: 'restaurant',  label: 'Restaurant',  type: 'text',
+      aliases: ['restaurant name', 'target restaurant', 'link to restaurant'] },
+    { key: 'priority',    label: 'Priority',    type: 'number',
+      aliases: ['order', 'rank', 'position'] },
+  ], ['name', 'description', 'promoText']),
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Header mapping
+// ─────────────────────────────────────────────────────────────────────────────
+const normalizeHeader = (header) => (header || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// "Opening Hours" → "openingHours", "Dietary tags (comma separated)" → "dietaryTagsCommaSeparated"
+export const headerToKey = (header) => {
+  const words = (header || '').toString().trim().split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return words.map((w, i) => i === 0
+    ? w.toLowerCase()
+    : w[0].toUpperCase() + w.slice(1).toLowerCase()
+  ).join('');
+};
+
+/**
+ * Work out which column holds which field from the sheet's header row.
+ *
+ * @returns {{ index: Object<string, number>, extras: {key, header, index}[],
+ *            duplicates: {key, header, index}[], missing: string[], legacy: boolean }}
+ *          `index` maps schema keys to column indexes; `missing` lists the
+ *          labels of required columns that weren't found.
+ */
+export const mapHeaders = (headerRow, schema) => {
+  const lookup = new Map();
+  schema.columns.forEach(col => {
+    [col.key, col.label, ...(col.aliases || [])].forEach(name => lookup.set(normalizeHeader(name), col.key));
+  });
+
+  const index = {};
+  const extras = [];
+  const duplicates = [];
+  (headerRow || []).forEach((header, i) => {
+    const norm = normalizeHeader(header);
+    if (!norm) return;
+    const key = lookup.get(norm);
+    if (!key) {
+      const extraKey = headerToKey(header);
+      if (extraKey) extras.push({ key: extraKey, header: header.toString().trim(), index: i });
+    } else if (key in index) {
+      duplicates.push({ key, header: header.toString().trim(), index: i });
+    } else {
+      index[key] = i;
+    }
+  });
+
+  // A header row that names none of our columns is the pre-header layout
+  const legacy = Object.keys(index).length === 0;
+  if (legacy) {
+    schema.columns.forEach(col => { if (col.position !== undefined) index[col.key] = col.position; });
+    extras.length = 0;
+  }
+
+  const missing = schema.columns.filter(c => c.required && !(c.key in index)).map(c => c.label);
+  return { index, extras, duplicates, missing, legacy };
+};
+
+const cell = (row, i) => (i === undefined || row[i] === undefined || row[i] === null ? '' : row[i].toString().trim());
+
+// Row → { [schema key]: trimmed string, extra: { [header key]: trimmed string } }
+export const readRow = (row, mapping) => {
+  const out = { extra: {} };
+  Object.entries(mapping.index).forEach(([key, i]) => { out[key] = cell(row, i); });
+  mapping.extras.forEach(({ key, index }) => { out.extra[key] = cell(row, index); });
+  return out;
+};
+
+const PHONE_RE = /^\+?[\d\s()-]{9,}$/;
+
+// Each returns an error message, { severity, message } for a softer
+// problem, or null when the value is fine. Only called for non-empty cells.
+const TYPE_CHECKS = {
+  text:    () => null,
+  // Anything the site can read: "K3,500", "MK 3 500", "K2,000–3,500", "from K1,500", "US$12"
+  price:   (v) => parsePrice(v) ? null : `"${v}" is not a price — use a format like K3,500`,
+  ignored: () => null,
+  boolean: (v) => {
+    if (v === 'TRUE' || v === 'FALSE') return null;
+    return /^(true|false)$/i.test(v)
+      ? `"${v}" must be written TRUE or FALSE in capitals — it is read as FALSE`
+      : `"${v}" is not TRUE or FALSE — it is read as FALSE`;
+  },
+  image:   (v) => isExternalImageUrl(v) || extractDriveFileId(v)
+    ? null
+    : `"${v}" is neither a Google Drive link/ID nor an http(s) image URL`,
+  url:     (v) => /^https?:\/\/\S+$/.test(v) ? null : `"${v}" is not an http(s) link`,
+  phone:   (v) => PHONE_RE.test(v) ? null : `"${v}" doesn't look like a phone number`,
+  hours:   (v) => {
+    const { errors } = parseHours(v);
+    return errors.length ? `${errors.join('; ')} — use e.g. "Mon-Fri 07:00-21:00; Sun closed"` : null;
+  },
+  date:    (v) => {
+    if (!parsePickDate(v)) return `"${v}" is not a date — use 2026-10-31 or 31/10/2026`;
+    return isAmbiguousDate(v)
+      ? { severity: 'warning', message: `"${v}" is read day-first (${parsePickDate(v)}) — write it as ${parsePickDate(v)} so day and month can't be swapped` }
+      : null;
+  },
+  number:  (v) => Number.isFinite(Number(v)) ? null : `"${v}" is not a number`,
+  coords:  (v) => parseLatLng(v) ? null : `"${v}" is not "latitude, longitude" — e.g. -13.9626, 33.7741`,
+  // One half of a pair; pairedWith flags the other half missing
+  latitude:  (v) => /^-?\d{1,2}(\.\d+)?$/.test(v) && Math.abs(v) <= 90 ? null : `"${v}" is not a latitude — e.g. -13.9626`,
+  longitude: (v) => /^-?\d{1,3}(\.\d+)?$/.test(v) && Math.abs(v) <= 180 ? null : `"${v}" is not a longitude — e.g. 33.7741`,
+  tags:    (v) => {
+    const { unknown } = parseTags(v);
+    return unknown.length
+      ? { severity: 'warning', message: `Unknown tag${unknown.length === 1 ? '' : 's'} ${unknown.map(t => `"${t}"`).join(', ')} — ignored` }
+      : null;
+  },
+};
+
+export const columnLetter = (index) => {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+/**
+ * Check a raw sheet (header row first, as returned by the Sheets API)
+ * against a schema. Pure — no logging, no network.
+ *
+ * @returns {{ sheet, row, column, field, severity: 'error'|'warning', message, value }[]}
+ *          `row` is the 1-based sheet row number, `column` its letter.
+ */
+export const validateSheet = (rows, schema) => {
+  const problems = [];
+  const report = (row, col, colIndex, severity, message, value = '') => problems.push({
+    sheet:  schema.sheet,
+    row,
+    column: colIndex === null ? '' : columnLetter(colIndex),
+    field:  col ? col.label : '',
+    severity,
+    message,
+    value,
+  });
+
+  if (!rows || rows.length < 2) {
+    report(1, null, null, 'error', 'Sheet is empty or has only a header row');
+    return problems;
+  }
+
+  const mapping = mapHeaders(rows[0], schema);
+  if (mapping.missing.length) {
+    mapping.missing.forEach(label => report(1, null, null, 'error',
+      `Missing required column "${label}" — add a header cell with that name`));
+    return problems;
+  }
+  if (mapping.legacy) {
+    report(1, null, null, 'warning',
+      'No recognised column headers — columns are read by their old fixed positions. ' +
+      `Name the header cells (${schema.columns.filter(c => c.position !== undefined).map(c => c.label).join(', ')}) ` +
+      'so columns can be moved safely');
+  }
+  mapping.duplicates.forEach(d => {
+    const col = schema.columns.find(c => c.key === d.key);
+    report(1, col, d.index, 'warning',
+      `Duplicate "${d.header}" column — only column ${columnLetter(mapping.index[d.key])} is read`, d.header);
+  });
+
+  const mapped = schema.columns
+    .filter(col => col.key in mapping.index)
+    .map(col => ({ col, c: mapping.index[col.key] }));
+
+  const group = schema.groupBy;
+  const firstRowOf = new Map();   // group value → { rowNumber, data }
+
+  rows.slice(1).forEach((row, i) => {
+    const rowNumber = i + 2;
+    if (row.every((_, c) => cell(row, c) === '')) return;   // blank spacer rows are harmless
+    const data = readRow(row, mapping);
+
+    mapped.forEach(({ col, c }) => {
+      const value = data[col.key];
+      if (!value) {
+        if (col.required) report(rowNumber, col, c, 'error', `${col.label} is required`);
+        else if (col.recommended) report(rowNumber, col, c, 'warning', `${col.label} is empty`);
+        else if (col.fallback && !col.restaurantLevel) {
+          report(rowNumber, col, c, 'warning', `${col.label} is empty — the site shows "${col.fallback}"`);
+        }
+        return;
+      }
+      const problem = TYPE_CHECKS[col.type](value);
+      if (typeof problem === 'string') report(rowNumber, col, c, 'error', problem, value);
+      else if (problem) report(rowNumber, col, c, problem.severity, problem.message, value);
+      else if (col.pairedWith && !data[col.pairedWith]) {
+        const other = schema.columns.find(o => o.key === col.pairedWith);
+        report(rowNumber, col, c, 'warning', `${other.label} is empty — ${col.label} alone is ignored`, value);
+      } else if (col.notBefore && parsePickDate(data[col.notBefore])
+        && parsePickDate(value) < parsePickDate(data[col.notBefore])) {
+        const other = schema.columns.find(o => o.key === col.notBefore);
+        report(rowNumber, col, c, 'error', `${col.label} is before ${other.label}`, value);
+      }
+    });
+
+    if (!group || !data[group]) return;
+
+    const first = firstRowOf.get(data[group]);
+    if (!first) {
+      firstRowOf.set(data[group], { rowNumber, data });
+      mapped.forEach(({ col, c }) => {
+        if (col.restaurantLevel && col.fallback && !data[col.key]) {
+          report(rowNumber, col, c, 'warning', `${col.label} is empty — the site shows "${col.fallback}"`);
+        }
+      });
+      return;
+    }
+
+    // Restaurant details come from the first row only; flag disagreements
+    mapped.forEach(({ col, c }) => {
+      if (!col.restaurantLevel || col.type === 'ignored') return;
+      const value = data[col.key];
+      const original = first.data[col.key];
+      if (!value || value === original) return;
+      report(rowNumber, col, c, 'warning',
+        original
+          ? `Conflicts with "${original}" in row ${first.rowNumber} — the site uses row ${first.rowNumber}`
+          : `Ignored — row ${first.rowNumber} (the first ${data[group]} row) leaves ${col.label} empty`,
+        value);
+    });
+  });
+
+  return problems;
+};
+
+// A pick's Restaurant has to name a restaurant on the menu sheet; otherwise
+// the site opens the dish instead of the menu
+const checkPickTargets = (menuRows, pickRows) => {
+  if (!menuRows?.length || !pickRows?.length) return [];
+  const picks = mapHeaders(pickRows[0], GOURMET_PICKS_SCHEMA);
+  if (!('restaurant' in picks.index)) return [];
+  const menu = mapHeaders(menuRows[0], MENU_SCHEMA);
+  const known = new Set(menuRows.slice(1).map(row => normalizeHeader(readRow(row, menu).restaurant)));
+  const col = GOURMET_PICKS_SCHEMA.columns.find(c => c.key === 'restaurant');
+
+  return pickRows.slice(1).flatMap((row, i) => {
+    const value = readRow(row, picks).restaurant;
+    if (!value || known.has(normalizeHeader(value))) return [];
+    return [{
+      sheet: GOURMET_PICKS_SCHEMA.sheet, row: i + 2, column: columnLetter(picks.index.restaurant), field: col.label,
+      severity: 'warning', message: `No restaurant called "${value}" on ${MENU_SCHEMA.sheet} — the pick opens its dish instead`,
+      value,
+    }];
+  });
+};
+
+export const validateWorkbook = ({ menuRows, pickRows }) => [
+  ...validateSheet(menuRows, MENU_SCHEMA),
+  ...validateSheet(pickRows, GOURMET_PICKS_SCHEMA),
+  ...checkPickTargets(menuRows, pickRows),
+];
@@ -0,0 +1,219 @@
+import {
+  validateSheet, validateWorkbook, columnLetter, mapHeaders, readRow, headerToKey,
+  MENU_SCHEMA, GOURMET_PICKS_SCHEMA,
+} from './sheetSchema';
+
+const HEADER = ['Restaurant', 'Item', 'Price', 'Category', 'Description', 'Image', 'Notes',
+  'Location', 'Specialty', 'Rating', 'Restaurant image', 'Maps', 'Top', 'Phone', 'Hours', 'Tags', 'Lat/Lng'];
+const DRIVE_ID = '1AbCdEfGhIjKlMnOpQrStUvWxYz012345';
+const good = (overrides = {}) => {
+  const row = ['Kaya Cafe', 'Nsima', 'K3,500', 'Main Dishes', 'With relish', DRIVE_ID, '',
+    'Lilongwe', 'Lake fish', '4.2', 'https://example.com/kaya.jpg', 'https://maps.app.goo.gl/x', 'TRUE', '0999 123 456',
+    'Mon-Sat 07:00-21:00; Sun closed', 'vegetarian, spicy 2', '-13.9626, 33.7741'];
+  Object.entries(overrides).forEach(([i, v]) => { row[i] = v; });
+  return row;
+};
+const messages = (problems) => problems.map(p => `${p.row}${p.column} ${p.severity}: ${p.message}`);
+
+test('a clean sheet has no problems', () => {
+  expect(validateSheet([HEADER, good(), good({ 1: 'Chambo' })], MENU_SCHEMA)).toEqual([]);
+});
+
+test('empty sheets are reported', () => {
+  expect(validateSheet([HEADER], MENU_SCHEMA)).toHaveLength(1);
+  expect(validateSheet(undefined, MENU_SCHEMA)[0].severity).toBe('error');
+});
+
+test('short rows are checked like any other', () => {
+  const problems = validateSheet([HEADER, good(), ['Kaya Cafe', 'Tea']], MENU_SCHEMA);
+  expect(messages(problems)).toEqual([
+    '3C warning: Price is empty',
+    '3D warning: Category is empty — the site shows "Main Dishes"',
+  ]);
+});
+
+test('blank spacer rows are ignored', () => {
+  expect(validateSheet([HEADER, good(), [], ['', ' '], good({ 1: 'Tea' })], MENU_SCHEMA)).toEqual([]);
+});
+
+test('required fields', () => {
+  const problems = validateSheet([HEADER, good({ 0: '', 1: '' })], MENU_SCHEMA);
+  expect(messages(problems)).toEqual([
+    '2A error: Restaurant is required',
+    '2B error: Item name is required',
+  ]);
+});
+
+test('column formats', () => {
+  const problems = validateSheet([HEADER, good({
+    2: 'three thousand', 5: 'photo.jpg', 9: '7', 11: 'google maps', 12: 'yes', 13: 'call us', 14: 'weekdays 9 to 5',
+    16: 'Area 47',
+  })], MENU_SCHEMA);
+  // Rating (J) is ignored — ratings come from reviews
+  expect(problems.map(p => `${p.column} ${p.field}`)).toEqual([
+    'C Price', 'F Item image', 'L Maps URL', 'M Featured', 'N Phone', 'O Opening hours', 'Q Coordinates',
+  ]);
+  expect(problems.every(p => p.severity === 'error')).toBe(true);
+});
+
+test('accepted price, boolean and image formats', () => {
+  const rows = [HEADER,
+    good({ 2: 'MK 3 500', 9: '0', 12: 'FALSE', 5: `https://drive.google.com/file/d/${DRIVE_ID}/view` }),
+    good({ 0: 'Nyama Choma', 2: '800', 9: '5', 12: 'TRUE', 5: `https://drive.google.com/open?id=${DRIVE_ID}` }),
+    good({ 0: 'Mama Ruth', 2: 'K1,500.50', 5: 'https://images.unsplash.com/photo-1' }),
+  ];
+  expect(validateSheet(rows, MENU_SCHEMA)).toEqual([]);
+});
+
+test('unknown dietary tags are warnings', () => {
+  const [problem] = validateSheet([HEADER, good({ 15: 'vegan, organic' })], MENU_SCHEMA);
+  expect(problem).toMatchObject({ column: 'P', severity: 'warning', message: 'Unknown tag "organic" — ignored' });
+});
+
+test('lowercase booleans explain that they are read as FALSE', () => {
+  const [problem] = validateSheet([HEADER, good({ 12: 'true' })], MENU_SCHEMA);
+  expect(problem.message).toMatch(/capitals — it is read as FALSE/);
+});
+
+test('Latitude and Longitude columns are checked and must come as a pair', () => {
+  const rows = [['Restaurant', 'Item', 'Lat', 'Long'],
+    ['Kaya Cafe', 'Tea', '-13.9626', '33.7741'],
+    ['Mandala Cafe', 'Tea', '-13.9626', ''],
+    ['Mama Ruth', 'Tea', '95', 'east']];
+  expect(messages(validateSheet(rows, MENU_SCHEMA))).toEqual([
+    '3C warning: Longitude is empty — Latitude alone is ignored',
+    '4C error: "95" is not a latitude — e.g. -13.9626',
+    '4D error: "east" is not a longitude — e.g. 33.7741',
+  ]);
+});
+
+test('empty columns with parser defaults are warnings', () => {
+  const problems = validateSheet([HEADER, good({ 3: '', 7: '', 9: '' })], MENU_SCHEMA);
+  expect(messages(problems)).toEqual([
+    '2D warning: Category is empty — the site shows "Main Dishes"',
+    '2H warning: Location is empty — the site shows "Malawi"',
+  ]);
+});
+
+test('conflicting restaurant metadata across rows', () => {
+  const problems = validateSheet([HEADER,
+    good({ 13: '', 9: '' }),
+    good({ 1: 'Tea', 7: 'Blantyre' }),
+    good({ 1: 'Fanta', 8: '' }),
+  ], MENU_SCHEMA);
+  expect(messages(problems)).toEqual([
+    '3H warning: Conflicts with "Lilongwe" in row 2 — the site uses row 2',
+    '3N warning: Ignored — row 2 (the first Kaya Cafe row) leaves Phone empty',
+    '4N warning: Ignored — row 2 (the first Kaya Cafe row) leaves Phone empty',
+  ]);
+});
+
+test('gourmet picks', () => {
+  const header = ['Name', 'Description', 'Promo', 'Image', 'Price', 'Maps'];
+  const problems = validateSheet([header,
+    ['Chambo special', 'Fresh', '20% off', DRIVE_ID, 'K6,000', 'https://maps.app.goo.gl/x'],
+    ['', 'Nameless', '', '', 'cheap'],
+  ], GOURMET_PICKS_SCHEMA);
+  expect(messages(problems)).toEqual([
+    '3A error: Name is required',
+    '3E error: "cheap" is not a price — use a format like K3,500',
+  ]);
+  expect(problems[0].sheet).toBe('GourmetPicks');
+});
+
+test('gourmet pick scheduling columns', () => {
+  const header = ['Name', 'Start date', 'End date', 'Priority'];
+  const problems = validateSheet([header,
+    ['Chambo week', '2026-10-01', '7/10/2026', '1'],
+    ['Backwards', '2026-10-07', '2026-10-01', ''],
+    ['Vague', 'soon', 'October', 'high'],
+  ], GOURMET_PICKS_SCHEMA);
+  expect(messages(problems)).toEqual([
+    '2C warning: "7/10/2026" is read day-first (2026-10-07) — write it as 2026-10-07 so day and month can\'t be swapped',
+    '3C error: End date is before Start date',
+    '4B error: "soon" is not a date — use 2026-10-31 or 31/10/2026',
+    '4C error: "October" is not a date — use 2026-10-31 or 31/10/2026',
+    '4D error: "high" is not a number',
+  ]);
+});
+
+test('a pick\'s restaurant must be on the menu sheet', () => {
+  const problems = validateWorkbook({
+    menuRows: [HEADER, good()],
+    pickRows: [['Name', 'Restaurant'], ['Chambo', 'kaya cafe'], ['Usipa', 'Lakeshore Grill']],
+  });
+  expect(messages(problems)).toEqual([
+    '3B warning: No restaurant called "Lakeshore Grill" on Sheet1 — the pick opens its dish instead',
+  ]);
+});
+
+test('validateWorkbook combines both sheets', () => {
+  const problems = validateWorkbook({ menuRows: [HEADER, good()], pickRows: [] });
+  expect(problems).toHaveLength(1);
+  expect(problems[0].sheet).toBe('GourmetPicks');
+});
+
+test('columnLetter', () => {
+  expect([0, 12, 25, 26, 27].map(columnLetter)).toEqual(['A', 'M', 'Z', 'AA', 'AB']);
+});
+
+describe('header mapping', () => {
+  test('finds columns by name, in any order and case', () => {
+    const { index, missing, legacy } = mapHeaders(
+      ['PRICE', ' dish name ', 'Notes', 'Restaurant Name', 'Is-Top'], MENU_SCHEMA);
+    expect(index).toEqual({ price: 0, item: 1, restaurant: 3, isTop: 4 });
+    expect(missing).toEqual([]);
+    expect(legacy).toBe(false);
+  });
+
+  test('reports missing required headers', () => {
+    expect(mapHeaders(['Item', 'Price'], MENU_SCHEMA).missing).toEqual(['Restaurant']);
+    const problems = validateSheet([['Item', 'Price'], ['Nsima', 'K3,500']], MENU_SCHEMA);
+    expect(messages(problems)).toEqual(['1 error: Missing required column "Restaurant" — add a header cell with that name']);
+  });
+
+  test('unknown headers become extra fields on every row', () => {
+    const mapping = mapHeaders(['Restaurant', 'Item', 'Instagram Handle', 'Chef', 'Availability'], MENU_SCHEMA);
+    expect(mapping.extras.map(e => e.key)).toEqual(['instagramHandle', 'chef', 'availability']);
+    expect(readRow(['Kaya Cafe', ' Nsima ', '@kayacafe', 'Mercy'], mapping)).toEqual({
+      restaurant: 'Kaya Cafe',
+      item: 'Nsima',
+      extra: { instagramHandle: '@kayacafe', chef: 'Mercy', availability: '' },
+    });
+  });
+
+  test('falls back to the old fixed layout when no header is recognised', () => {
+    const mapping = mapHeaders(['a', 'b', 'c'], MENU_SCHEMA);
+    expect(mapping.legacy).toBe(true);
+    expect(mapping.index.location).toBe(7);
+    expect(mapping.extras).toEqual([]);
+    expect(validateSheet([['a', 'b'], good()], MENU_SCHEMA)[0].message).toMatch(/No recognised column headers/);
+  });
+
+  test('translated columns are recognised by language name or code', () => {
+    const { index, extras } = mapHeaders(
+      ['Restaurant', 'Item', 'Item name (Chichewa)', 'Description ny', 'Chichewa dish'], MENU_SCHEMA);
+    expect(index).toMatchObject({ itemNy: 2, descriptionNy: 3 });
+    expect(extras).toEqual([]);
+    expect(mapHeaders(['Name', 'Promo (ny)'], GOURMET_PICKS_SCHEMA).index).toMatchObject({ promoTextNy: 1 });
+    expect(mapHeaders(['a', 'b'], MENU_SCHEMA).index).not.toHaveProperty('itemNy');
+  });
+
+  test('reordered columns are validated under their own letters', () => {
+    const problems = validateSheet([['Price', 'Restaurant', 'Item'], ['cheap', 'Kaya Cafe', 'Nsima']], MENU_SCHEMA);
+    expect(problems[0]).toMatchObject({
+      row: 2, column: 'A', field: 'Price', message: '"cheap" is not a price — use a format like K3,500',
+    });
+  });
+
+  test('duplicate headers are flagged', () => {
+    const problems = validateSheet([['Restaurant', 'Item', 'Price', 'Cost'], ['Kaya Cafe', 'Nsima', 'K1', 'K2']], MENU_SCHEMA);
+    expect(messages(problems)).toEqual(['1D warning: Duplicate "Cost" column — only column C is read']);
+  });
+
+  test('headerToKey', () => {
+    expect(headerToKey('Opening Hours')).toBe('openingHours');
+    expect(headerToKey('  Dietary tags (comma separated) ')).toBe('dietaryTagsCommaSeparated');
+    expect(headerToKey('---')).toBe('');
+  });
+});